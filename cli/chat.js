@@ -0,0 +1,372 @@
+#!/usr/bin/env node
+/* chat.js -- send a prompt to an OpenClaw session from the terminal
+ *
+ * Talks to the gateway through ui/gateway.js (same connect/challenge and
+ * request logic as the browser UI), so replies keep the session history,
+ * tools and workspace. The reply streams to stdout; logs go to stderr.
+ *
+ *   node cli/chat.js "what changed in SOUL.md?"
+ *   git diff | node cli/chat.js -s review "review this"
+ *
+ * Exit codes: 0 reply finished, 1 error (connect, auth, send or run),
+ * 2 bad usage, 3 run aborted by the gateway, 130 interrupted (Ctrl+C).
+ * No template literals per project convention.
+ */
+
+"use strict";
+
+var crypto = require("crypto");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+
+var ROOT = path.resolve(__dirname, "..");
+var Gateway = require(path.join(ROOT, "ui", "gateway.js"));
+
+var EXIT_OK = 0;
+var EXIT_ERROR = 1;
+var EXIT_USAGE = 2;
+var EXIT_ABORTED = 3;
+var EXIT_INTERRUPTED = 130;
+
+var USAGE = [
+  "Usage: node cli/chat.js [options] [prompt...]",
+  "",
+  "Sends the prompt (arguments, then stdin when piped) to a gateway session",
+  "and streams the reply to stdout.",
+  "",
+  "Options:",
+  "  -s, --session KEY   session key, or a name under the main agent",
+  "                      (default: the gateway's main session)",
+  "  -u, --url URL       gateway WebSocket URL (default: ws://127.0.0.1:$OPENCLAW_PORT)",
+  "  -t, --token TOKEN   auth token (default: $OPENCLAW_GATEWAY_TOKEN, then",
+  "                      gateway.auth.token in ~/.openclaw/openclaw.json)",
+  "      --timeout SEC   give up when the reply takes longer (default: none)",
+  "      --thinking      also print model reasoning (to stderr)",
+  "  -v, --verbose       protocol logs on stderr",
+  "  -h, --help          show this help"
+].join("\n");
+
+// ── args ──────────────────────────────────────────────────
+
+function parseArgs(argv) {
+  var opts = { session: null, url: null, token: null, timeout: 0, thinking: false, verbose: false, help: false, prompt: [] };
+  var valued = { "-s": "session", "--session": "session", "-u": "url", "--url": "url", "-t": "token", "--token": "token", "--timeout": "timeout" };
+
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+    var eq = arg.indexOf("=");
+    var name = arg.slice(0, 2) === "--" && eq !== -1 ? arg.slice(0, eq) : arg;
+
+    if (arg === "--") {
+      opts.prompt = opts.prompt.concat(argv.slice(i + 1));
+      break;
+    } else if (valued[name]) {
+      var value = name !== arg ? arg.slice(eq + 1) : argv[++i];
+      if (value === undefined) throw new Error(name + " needs a value");
+      opts[valued[name]] = value;
+    } else if (arg === "--thinking") {
+      opts.thinking = true;
+    } else if (arg === "-v" || arg === "--verbose") {
+      opts.verbose = true;
+    } else if (arg === "-h" || arg === "--help") {
+      opts.help = true;
+    } else if (arg.charAt(0) === "-" && arg !== "-") {
+      throw new Error("unknown option " + arg);
+    } else {
+      opts.prompt.push(arg);
+    }
+  }
+
+  if (opts.timeout) {
+    opts.timeout = Number(opts.timeout);
+    if (!(opts.timeout > 0)) throw new Error("--timeout must be a number of seconds");
+  }
+  return opts;
+}
+
+// ── config ────────────────────────────────────────────────
+
+function configToken() {
+  var file = path.join(os.homedir(), ".openclaw", "openclaw.json");
+  try {
+    var config = JSON.parse(fs.readFileSync(file, "utf8"));
+    return (config.gateway && config.gateway.auth && config.gateway.auth.token) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Node 22+ has a global WebSocket; older versions use the "ws" package,
+// from anywhere on the require path or from the OpenClaw checkout
+function resolveWebSocket() {
+  if (typeof globalThis.WebSocket === "function") return globalThis.WebSocket;
+  var candidates = ["ws", path.join(ROOT, "openclaw", "node_modules", "ws")];
+  for (var i = 0; i < candidates.length; i++) {
+    try { return require(candidates[i]); } catch (e) { /* next */ }
+  }
+  return null;
+}
+
+function readStdin() {
+  if (process.stdin.isTTY) return Promise.resolve("");
+  return new Promise(function (resolve, reject) {
+    var chunks = [];
+    process.stdin.on("data", function (chunk) { chunks.push(chunk); });
+    process.stdin.on("end", function () { resolve(Buffer.concat(chunks).toString("utf8")); });
+    process.stdin.on("error", reject);
+  });
+}
+
+// ── reply text ────────────────────────────────────────────
+// Same rules as the browser UI: text blocks joined, <think> sections
+// (possibly still open while streaming) split out of the answer.
+
+var THINK_RE = /<(think|thinking)>([\s\S]*?)(?:<\/\1>|$)/gi;
+
+function rawText(msg) {
+  if (!msg) return null;
+  var content = msg.content;
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    var parts = [];
+    for (var i = 0; i < content.length; i++) {
+      var block = content[i];
+      if (block && block.type === "text" && typeof block.text === "string") parts.push(block.text);
+    }
+    if (parts.length > 0) return parts.join("\n");
+  }
+  if (typeof msg.text === "string") return msg.text;
+  return null;
+}
+
+function splitThinking(text) {
+  if (!text || !/<\/?think(ing)?>/i.test(text)) return { thinking: "", answer: text || "" };
+  var thinking = [];
+  var lead = /^([\s\S]*?)<\/think(?:ing)?>/i.exec(text);
+  if (lead && !/<think(ing)?>/i.test(lead[1])) {
+    thinking.push(lead[1]);
+    text = text.slice(lead[0].length);
+  }
+  var answer = text.replace(THINK_RE, function (all, tag, body) {
+    thinking.push(body);
+    return "";
+  });
+  return { thinking: thinking.join("\n\n"), answer: answer.replace(/^\s+/, "") };
+}
+
+function thinkingOf(msg, text) {
+  var parts = [];
+  if (msg && Array.isArray(msg.content)) {
+    for (var i = 0; i < msg.content.length; i++) {
+      var block = msg.content[i];
+      if (block && block.type === "thinking" && typeof block.thinking === "string") parts.push(block.thinking);
+    }
+  }
+  var inline = splitThinking(text).thinking;
+  if (inline) parts.push(inline);
+  return parts.join("\n\n");
+}
+
+// Deltas carry the whole reply so far; print only what is new. A reply
+// that rewrites earlier text can't be unprinted, so it is skipped.
+function Printer(out, err, showThinking) {
+  this._out = out;
+  this._err = err;
+  this._showThinking = showThinking;
+  this._answer = "";
+  this._thinking = "";
+}
+
+Printer.prototype.update = function (msg) {
+  var text = rawText(msg);
+  if (this._showThinking) {
+    var thought = thinkingOf(msg, text);
+    if (thought.length > this._thinking.length && thought.indexOf(this._thinking) === 0) {
+      this._err.write(thought.slice(this._thinking.length));
+      this._thinking = thought;
+    }
+  }
+  if (typeof text !== "string") return;
+  var answer = splitThinking(text).answer;
+  if (answer.length > this._answer.length && answer.indexOf(this._answer) === 0) {
+    if (this._thinking && !this._answer) this._err.write("\n");
+    this._out.write(answer.slice(this._answer.length));
+    this._answer = answer;
+  }
+};
+
+Printer.prototype.finish = function () {
+  if (this._answer && this._answer.slice(-1) !== "\n") this._out.write("\n");
+};
+
+// ── run ───────────────────────────────────────────────────
+
+// Resolves with an exit code (rejects only without a WebSocket).
+function run(opts) {
+  var WebSocketImpl = resolveWebSocket();
+  if (!WebSocketImpl) {
+    return Promise.reject(new Error("no WebSocket available: use Node 22+, or install the \"ws\" package"));
+  }
+
+  var port = process.env.OPENCLAW_PORT || "18789";
+  var url = opts.url || "ws://127.0.0.1:" + port;
+  var token = opts.token || process.env.OPENCLAW_GATEWAY_TOKEN || configToken();
+  var quiet = function () {};
+  var logger = opts.verbose ? { log: console.error, warn: console.error, error: console.error } : { log: quiet, warn: quiet, error: quiet };
+  var printer = new Printer(process.stdout, process.stderr, opts.thinking);
+
+  return new Promise(function (resolve) {
+    var gw = null;
+    var sessionKey = null;
+    var runId = null;
+    var sent = false;
+    var done = false;
+    var timer = null;
+
+    function finish(code, message) {
+      if (done) return;
+      done = true;
+      if (timer) clearTimeout(timer);
+      process.removeListener("SIGINT", interrupt);
+      process.removeListener("beforeExit", drained);
+      printer.finish();
+      if (message) process.stderr.write("chat: " + message + "\n");
+      gw.stop();
+      resolve(code);
+    }
+
+    // first Ctrl+C asks the gateway to stop the run, a second one quits
+    var interrupted = false;
+    function interrupt() {
+      if (interrupted || !sent || !gw.connected()) {
+        finish(EXIT_INTERRUPTED, "interrupted");
+        return;
+      }
+      interrupted = true;
+      var params = { sessionKey: sessionKey };
+      if (runId) params.runId = runId;
+      gw.request("chat.abort", params, { timeoutMs: 5000 }).catch(function () {
+        finish(EXIT_INTERRUPTED, "interrupted");
+      });
+    }
+    process.on("SIGINT", interrupt);
+
+    // Node's built-in WebSocket can fail to connect without a close event;
+    // the event loop then runs dry with nothing left to wait for
+    function drained() {
+      finish(EXIT_ERROR, sent ? "connection lost" : "could not connect to " + url);
+    }
+    process.on("beforeExit", drained);
+
+    function resolveSession(hello) {
+      var defaults = hello && hello.snapshot && hello.snapshot.sessionDefaults;
+      var main = (defaults && defaults.mainSessionKey) || "main";
+      if (!opts.session) return main;
+      if (opts.session.indexOf(":") !== -1) return opts.session;
+      // a bare name lives under the main session's agent ("agent:main:")
+      return main.slice(0, main.lastIndexOf(":") + 1) + opts.session;
+    }
+
+    function send() {
+      sent = true;
+      runId = crypto.randomUUID();
+      var params = {
+        sessionKey: sessionKey,
+        message: opts.message,
+        deliver: false,
+        idempotencyKey: runId
+      };
+      gw.request("chat.send", params).then(function (res) {
+        if (res && res.runId) runId = res.runId;
+      }).catch(function (err) {
+        finish(EXIT_ERROR, "send failed: " + err.message);
+      });
+      if (opts.timeout) {
+        timer = setTimeout(function () {
+          finish(EXIT_ERROR, "no reply within " + opts.timeout + "s");
+        }, opts.timeout * 1000);
+      }
+    }
+
+    function handleEvent(evt) {
+      if (!sent || evt.event !== "chat") return;
+      var payload = evt.payload;
+      if (!payload || payload.sessionKey !== sessionKey) return;
+      // other clients may be chatting in the same session
+      if (payload.runId && runId && payload.runId !== runId) return;
+
+      if (payload.state === "delta") {
+        printer.update(payload.message);
+      } else if (payload.state === "final") {
+        if (payload.message) printer.update(payload.message);
+        finish(EXIT_OK);
+      } else if (payload.state === "aborted") {
+        finish(interrupted ? EXIT_INTERRUPTED : EXIT_ABORTED, "run aborted");
+      } else if (payload.state === "error") {
+        finish(EXIT_ERROR, payload.errorMessage || "chat error");
+      }
+    }
+
+    gw = new Gateway({
+      url: url,
+      token: token,
+      WebSocket: WebSocketImpl,
+      client: { id: "cli", mode: "cli", version: "standalone-1.0" },
+      reconnect: false,
+      logger: logger,
+      onHello: function (hello) {
+        sessionKey = resolveSession(hello);
+        logger.log("[cli] session:", sessionKey);
+        send();
+      },
+      onEvent: handleEvent,
+      onClose: function (info) {
+        var why = info.reason || "code " + info.code;
+        finish(EXIT_ERROR, sent ? "connection lost (" + why + ")" : "could not connect to " + url + " (" + why + ")");
+      }
+    });
+
+    try {
+      gw.start();
+    } catch (err) {
+      finish(EXIT_ERROR, err.message);
+    }
+  });
+}
+
+function main() {
+  var opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    process.stderr.write("chat: " + err.message + "\n\n" + USAGE + "\n");
+    process.exitCode = EXIT_USAGE;
+    return;
+  }
+  if (opts.help) {
+    process.stdout.write(USAGE + "\n");
+    return;
+  }
+
+  readStdin().then(function (input) {
+    var parts = [opts.prompt.join(" ").trim(), input.replace(/\s+$/, "")].filter(Boolean);
+    if (parts.length === 0) {
+      process.stderr.write("chat: no prompt (pass it as arguments or on stdin)\n\n" + USAGE + "\n");
+      return EXIT_USAGE;
+    }
+    opts.message = parts.join("\n\n");
+    return run(opts);
+  }).then(function (code) {
+    process.exit(code);
+  }, function (err) {
+    process.stderr.write("chat: " + err.message + "\n");
+    process.exit(EXIT_ERROR);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseArgs: parseArgs, run: run, splitThinking: splitThinking, Printer: Printer };
@@ -0,0 +1,660 @@
+#!/usr/bin/env node
+/* mock-gateway.js -- local stand-in for the OpenClaw gateway
+ *
+ * Speaks the subset of protocol 3 that ui/gateway.js and ui/chat.js use:
+ * connect.challenge, connect/hello-ok, chat.send, chat.history,
+ * chat.abort, sessions.list/patch/reset/delete, models.list and
+ * seq-numbered "chat" events. Replies are scripted, so the UI can be developed and tested
+ * without a gateway or a loaded model. Also serves ui/ over HTTP.
+ *
+ * Device auth follows the gateway: a signed connect from an unknown
+ * device is paired (pairing "auto", like a loopback client) or held with
+ * "pairing required" until device.pair.approve (pairing "manual").
+ *
+ *   node dev/mock-gateway.js            # http://localhost:18789/?token=mock
+ *   PORT=0 node dev/mock-gateway.js     # any free port
+ *
+ * chat.send checks its `attachments` the way the gateway does: images
+ * only, base64 in `content`.
+ *
+ * A reply runs the next queued scenario (mock.queue), else the one named
+ * by a #tag in the message (#error, #abort, #slow, #think, #hang), else
+ * an echo. Scenario fields, all optional:
+ *   text          full reply text (default: echo of the message)
+ *   chunks        number of deltas to stream it in (default 4)
+ *   delayMs       pause before each delta (default 30)
+ *   thinking      reasoning sent ahead of the text as a thinking block
+ *   end           "final" (default), "error", "aborted" or "none" (hang)
+ *   errorMessage  for end: "error"
+ *
+ * No template literals per project convention.
+ */
+
+"use strict";
+
+var crypto = require("crypto");
+var fs = require("fs");
+var http = require("http");
+var path = require("path");
+var WebSocketServer = require("ws").WebSocketServer;
+
+var UI_DIR = path.resolve(__dirname, "..", "ui");
+var WORKSPACE_DIR = path.resolve(__dirname, "..", "workspace");
+
+var METHODS = [
+  "connect", "health", "chat.send", "chat.history", "chat.abort",
+  "sessions.list", "sessions.patch", "sessions.reset", "sessions.delete",
+  "models.list", "tts.disable",
+  "device.pair.list", "device.pair.approve", "device.pair.reject"
+];
+
+// signatures older than this are refused, as replays
+var SIGNATURE_MAX_AGE_MS = 10 * 60 * 1000;
+
+var DEFAULT_MODELS = [
+  { id: "qwen2.5:7b", name: "Qwen 2.5 7B", provider: "ollama", contextWindow: 131072, reasoning: false, input: ["text"] },
+  { id: "deepseek-r1:8b", name: "DeepSeek R1 8B", provider: "ollama", contextWindow: 65536, reasoning: true, input: ["text"] }
+];
+
+var TAGS = {
+  error: { end: "error", errorMessage: "mock model error" },
+  abort: { end: "aborted" },
+  slow: { delayMs: 400, chunks: 12 },
+  think: { thinking: "Let me think about that for a moment." },
+  hang: { end: "none" }
+};
+
+var MIME = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".md": "text/markdown; charset=utf-8",
+  ".json": "application/json"
+};
+
+function GatewayRequestError(code, message, details) {
+  this.name = "GatewayRequestError";
+  this.code = code;
+  this.message = message;
+  this.details = details || null;
+}
+GatewayRequestError.prototype = Object.create(Error.prototype);
+GatewayRequestError.prototype.constructor = GatewayRequestError;
+
+function invalid(message) {
+  return new GatewayRequestError("INVALID_REQUEST", message);
+}
+
+// ── constructor ──────────────────────────────────────────
+// opts (all optional):
+//   port             listen port (default 0 = any free port)
+//   host             listen address (default 127.0.0.1)
+//   token            required auth token (default: none, anything goes)
+//   models           models.list entries
+//   mainSessionKey   default "agent:main:main"
+//   methods          advertised in hello features (default: all handled)
+//   pairing          "auto" (default) or "manual" for unknown devices
+//   logger           console-like (default: silent)
+
+function MockGateway(opts) {
+  opts = opts || {};
+  this.port = typeof opts.port === "number" ? opts.port : 0;
+  this.host = opts.host || "127.0.0.1";
+  this.token = opts.token || null;
+  this.models = opts.models || DEFAULT_MODELS;
+  this.mainSessionKey = opts.mainSessionKey || "agent:main:main";
+  this.methods = opts.methods || METHODS.slice();
+  this.pairing = opts.pairing || "auto";
+  this.devices = {};        // deviceId -> { deviceId, publicKey, token, role, scopes }
+  this.pairRequests = {};   // requestId -> { requestId, deviceId, publicKey, clientId, platform, ts }
+  this.sessions = {};       // key -> { key, label, model, updatedAt, messages }
+  this.requests = [];       // every request frame received, in order
+  this._logger = opts.logger || { log: function () {} };
+  this._scenarios = [];
+  this._runs = {};          // runId -> { sessionKey, scenario, text, timer }
+  this._idempotency = {};   // idempotencyKey -> runId
+  this._failures = {};      // method -> errors for its next requests
+  this._clients = [];
+  this._seq = 0;
+  this._http = null;
+  this._wss = null;
+}
+
+// ── public api ───────────────────────────────────────────
+
+MockGateway.prototype.start = function () {
+  var self = this;
+  this._http = http.createServer(function (req, res) { self._serve(req, res); });
+  this._wss = new WebSocketServer({ server: this._http });
+  this._wss.on("connection", function (ws) { self._accept(ws); });
+  return new Promise(function (resolve, reject) {
+    self._http.once("error", reject);
+    self._http.listen(self.port, self.host, function () {
+      self.port = self._http.address().port;
+      self._logger.log("[mock] listening on http://" + self.host + ":" + self.port);
+      resolve(self);
+    });
+  });
+};
+
+MockGateway.prototype.stop = function () {
+  var self = this;
+  Object.keys(this._runs).forEach(function (id) { self._cancelRun(id); });
+  this._clients.forEach(function (client) { client.ws.terminate(); });
+  this._clients = [];
+  if (!this._http) return Promise.resolve();
+  return new Promise(function (resolve) {
+    self._wss.close();
+    self._http.close(function () { resolve(); });
+  });
+};
+
+MockGateway.prototype.url = function () {
+  return "http://" + this.host + ":" + this.port + "/";
+};
+
+MockGateway.prototype.wsUrl = function () {
+  return "ws://" + this.host + ":" + this.port;
+};
+
+// script the next reply (scenario fields above)
+MockGateway.prototype.queue = function (scenario) {
+  this._scenarios.push(scenario || {});
+  return this;
+};
+
+// send an event to every connected client; seq is shared, like the gateway's
+MockGateway.prototype.broadcast = function (event, payload) {
+  this._seq++;
+  var frame = JSON.stringify({ type: "event", event: event, payload: payload, seq: this._seq });
+  this._clients.forEach(function (client) {
+    if (client.helloSent) client.ws.send(frame);
+  });
+};
+
+// answer the next request for method with an error instead
+MockGateway.prototype.failNext = function (method, code, message) {
+  (this._failures[method] = this._failures[method] || []).push(new GatewayRequestError(code, message));
+  return this;
+};
+
+// skip seq numbers, so clients see a gap
+MockGateway.prototype.skipSeq = function (count) {
+  this._seq += count || 1;
+};
+
+// drop every socket without a close handshake (clients reconnect)
+MockGateway.prototype.dropClients = function () {
+  this._clients.forEach(function (client) { client.ws.terminate(); });
+  this._clients = [];
+};
+
+MockGateway.prototype.clientCount = function () {
+  return this._clients.filter(function (c) { return c.helloSent; }).length;
+};
+
+// runIds still streaming (or hanging)
+MockGateway.prototype.activeRuns = function () {
+  return Object.keys(this._runs);
+};
+
+MockGateway.prototype.session = function (key) {
+  if (!this.sessions[key]) {
+    this.sessions[key] = { key: key, label: null, model: null, updatedAt: Date.now(), messages: [] };
+  }
+  return this.sessions[key];
+};
+
+// ── http ──────────────────────────────────────────────────
+
+MockGateway.prototype._serve = function (req, res) {
+  var pathname;
+  try { pathname = decodeURIComponent(req.url.split("?")[0]); } catch (e) { pathname = ""; }
+  if (pathname === "/__openclaw/control-ui-config.json") {
+    res.writeHead(200, { "Content-Type": MIME[".json"] });
+    res.end(JSON.stringify({ assistantName: "Mock" }));
+    return;
+  }
+  var file;
+  if (pathname.indexOf("/templates/") === 0) {
+    file = path.join(WORKSPACE_DIR, path.basename(pathname));
+  } else {
+    file = path.join(UI_DIR, path.normalize(pathname === "/" ? "/index.html" : pathname));
+    if (file.indexOf(UI_DIR + path.sep) !== 0) file = null;
+  }
+  if (!file) {
+    res.writeHead(404);
+    res.end("not found");
+    return;
+  }
+  fs.readFile(file, function (err, data) {
+    if (err) {
+      res.writeHead(404);
+      res.end("not found");
+      return;
+    }
+    res.writeHead(200, { "Content-Type": MIME[path.extname(file)] || "application/octet-stream" });
+    res.end(data);
+  });
+};
+
+// ── socket ────────────────────────────────────────────────
+
+MockGateway.prototype._accept = function (ws) {
+  var self = this;
+  var client = { ws: ws, nonce: crypto.randomUUID(), helloSent: false };
+  this._clients.push(client);
+
+  ws.on("message", function (raw) {
+    var frame;
+    try { frame = JSON.parse(String(raw)); } catch (e) { return; }
+    if (!frame || frame.type !== "req" || typeof frame.id !== "string") return;
+    self.requests.push(frame);
+    self._logger.log("[mock] req:", frame.method);
+    self._handle(client, frame);
+  });
+
+  ws.on("close", function () {
+    var at = self._clients.indexOf(client);
+    if (at !== -1) self._clients.splice(at, 1);
+  });
+
+  ws.send(JSON.stringify({
+    type: "event",
+    event: "connect.challenge",
+    payload: { nonce: client.nonce, ts: Date.now() }
+  }));
+};
+
+MockGateway.prototype._handle = function (client, frame) {
+  var result;
+  try {
+    if (!client.helloSent && frame.method !== "connect") {
+      throw invalid("first request must be connect");
+    }
+    var handler = this._handlers[frame.method];
+    if (!handler || this.methods.indexOf(frame.method) === -1) {
+      throw invalid("unknown method: " + frame.method);
+    }
+    var failures = this._failures[frame.method];
+    if (failures && failures.length) throw failures.shift();
+    result = handler.call(this, frame.params || {}, client);
+  } catch (err) {
+    this._reply(client, frame.id, err);
+    return;
+  }
+  this._reply(client, frame.id, null, result);
+  if (frame.method === "connect") client.helloSent = true;
+};
+
+MockGateway.prototype._reply = function (client, id, err, payload) {
+  var frame = err
+    ? { type: "res", id: id, ok: false, error: { code: err.code || "UNAVAILABLE", message: err.message, details: err.details || undefined } }
+    : { type: "res", id: id, ok: true, payload: payload === undefined ? {} : payload };
+  client.ws.send(JSON.stringify(frame));
+};
+
+// ── methods ───────────────────────────────────────────────
+
+MockGateway.prototype._handlers = {
+  "connect": function (params, client) {
+    if (!(params.minProtocol <= 3 && params.maxProtocol >= 3)) {
+      throw new GatewayRequestError("INVALID_REQUEST", "protocol mismatch");
+    }
+    var token = params.auth && params.auth.token;
+    var auth = params.device ? this._deviceAuth(params, client, token) : null;
+    if (!auth && this.token && token !== this.token) {
+      throw new GatewayRequestError("UNAUTHORIZED", "unauthorized: gateway token mismatch");
+    }
+    return {
+      type: "hello-ok",
+      protocol: 3,
+      server: { version: "mock", connId: crypto.randomUUID() },
+      features: { methods: this.methods.slice(), events: ["chat", "connect.challenge", "device.pair.requested", "device.pair.resolved"] },
+      snapshot: {
+        sessionDefaults: { mainSessionKey: this.mainSessionKey, defaultAgentId: "main" }
+      },
+      policy: { maxPayload: 25 * 1024 * 1024, tickIntervalMs: 30000 },
+      auth: auth || undefined
+    };
+  },
+
+  "device.pair.list": function () {
+    var self = this;
+    return {
+      pending: Object.keys(this.pairRequests).map(function (id) { return self.pairRequests[id]; }),
+      paired: Object.keys(this.devices).map(function (id) {
+        return { deviceId: id, role: self.devices[id].role, scopes: self.devices[id].scopes };
+      })
+    };
+  },
+
+  "device.pair.approve": function (params) {
+    var req = this.pairRequests[params.requestId];
+    if (!req) throw invalid("unknown requestId");
+    this._pairDevice(req.deviceId, req.publicKey);
+    delete this.pairRequests[req.requestId];
+    this.broadcast("device.pair.resolved", { requestId: req.requestId, deviceId: req.deviceId, decision: "approved", ts: Date.now() });
+    return { requestId: req.requestId, device: { deviceId: req.deviceId } };
+  },
+
+  "device.pair.reject": function (params) {
+    var req = this.pairRequests[params.requestId];
+    if (!req) throw invalid("unknown requestId");
+    delete this.pairRequests[req.requestId];
+    this.broadcast("device.pair.resolved", { requestId: req.requestId, deviceId: req.deviceId, decision: "rejected", ts: Date.now() });
+    return { requestId: req.requestId, deviceId: req.deviceId };
+  },
+
+  "health": function () {
+    return { ok: true };
+  },
+
+  "tts.disable": function () {
+    return { enabled: false };
+  },
+
+  "models.list": function () {
+    return { models: this.models };
+  },
+
+  "sessions.list": function () {
+    var self = this;
+    var keys = Object.keys(this.sessions);
+    if (keys.indexOf(this.mainSessionKey) === -1) keys.unshift(this.mainSessionKey);
+    return {
+      sessions: keys.map(function (key) {
+        var s = self.sessions[key];
+        var model = s && s.model;
+        return {
+          key: key,
+          label: s && s.label,
+          model: model ? model.id : undefined,
+          modelProvider: model ? model.provider : undefined,
+          updatedAt: s ? s.updatedAt : null
+        };
+      }).sort(function (a, b) { return (b.updatedAt || 0) - (a.updatedAt || 0); })
+    };
+  },
+
+  // label and model ("provider/id", null for the default); fields left
+  // out stay as they are
+  "sessions.patch": function (params) {
+    if (typeof params.key !== "string" || !params.key) throw invalid("key required");
+    var model;
+    if (params.model) {
+      var slash = String(params.model).indexOf("/");
+      var provider = slash === -1 ? null : params.model.slice(0, slash);
+      var id = slash === -1 ? params.model : params.model.slice(slash + 1);
+      var known = this.models.some(function (m) { return m.id === id && (!provider || m.provider === provider); });
+      if (!known) throw invalid("unknown model: " + params.model);
+      model = { provider: provider || "ollama", id: id };
+    }
+    var s = this.session(params.key);
+    if (params.label !== undefined) s.label = params.label || null;
+    if (params.model !== undefined) s.model = model || null;
+    s.updatedAt = Date.now();
+    return { ok: true, key: params.key };
+  },
+
+  "sessions.delete": function (params) {
+    if (typeof params.key !== "string" || !params.key) throw invalid("key required");
+    if (params.key === this.mainSessionKey) throw invalid("the main session cannot be deleted");
+    var existed = !!this.sessions[params.key];
+    delete this.sessions[params.key];
+    return { ok: true, key: params.key, deleted: existed };
+  },
+
+  "sessions.reset": function (params) {
+    if (typeof params.key !== "string" || !params.key) throw invalid("key required");
+    var s = this.session(params.key);
+    s.messages = [];
+    s.updatedAt = Date.now();
+    return { ok: true, key: params.key };
+  },
+
+  "chat.history": function (params) {
+    if (typeof params.sessionKey !== "string") throw invalid("sessionKey required");
+    var s = this.sessions[params.sessionKey];
+    var messages = s ? s.messages.slice() : [];
+    if (typeof params.limit === "number") messages = messages.slice(-params.limit);
+    return { sessionKey: params.sessionKey, messages: messages };
+  },
+
+  "chat.send": function (params) {
+    if (typeof params.sessionKey !== "string" || !params.sessionKey) throw invalid("sessionKey required");
+    if (typeof params.message !== "string") throw invalid("message required");
+    var images = imageAttachments(params.attachments);
+    var key = params.idempotencyKey;
+    if (key && this._idempotency[key]) {
+      return { runId: this._idempotency[key], status: "in_flight" };
+    }
+    var runId = key || crypto.randomUUID();
+    if (key) this._idempotency[key] = runId;
+
+    var s = this.session(params.sessionKey);
+    var content = params.message ? [{ type: "text", text: params.message }] : [];
+    s.messages.push({ role: "user", content: content.concat(images), timestamp: Date.now() });
+    s.updatedAt = Date.now();
+    this._startRun(runId, s, params.message);
+    return { runId: runId, status: "started" };
+  },
+
+  "chat.abort": function (params) {
+    if (typeof params.sessionKey !== "string") throw invalid("sessionKey required");
+    var self = this;
+    var aborted = Object.keys(this._runs).filter(function (id) {
+      var r = self._runs[id];
+      return r.sessionKey === params.sessionKey && (!params.runId || params.runId === id);
+    });
+    aborted.forEach(function (id) { self._finishRun(id, "aborted"); });
+    return { ok: true, aborted: aborted.length > 0, runIds: aborted };
+  }
+};
+
+// chat.send's attachments are images only: { type: "image", mimeType,
+// fileName?, content } with content base64. They land in the transcript
+// as image blocks.
+function imageAttachments(list) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) throw invalid("attachments must be an array");
+  return list.map(function (a, i) {
+    var at = "attachments[" + i + "]";
+    if (!a || a.type !== "image") throw invalid(at + ": only images can be attached");
+    if (typeof a.mimeType !== "string" || !/^image\//.test(a.mimeType)) throw invalid(at + ": mimeType must be image/*");
+    if (typeof a.content !== "string" || !/^[A-Za-z0-9+\/]+=*$/.test(a.content)) throw invalid(at + ": content must be base64");
+    var block = { type: "image", data: a.content, mimeType: a.mimeType };
+    if (typeof a.fileName === "string") block.fileName = a.fileName;
+    return block;
+  });
+}
+
+// ── device auth ───────────────────────────────────────────
+
+// the string the client signed (see devicePayload in ui/gateway.js)
+function devicePayload(params, token) {
+  var device = params.device;
+  var parts = [
+    device.nonce ? "v2" : "v1",
+    device.id,
+    params.client && params.client.id,
+    params.client && params.client.mode,
+    params.role,
+    (params.scopes || []).join(","),
+    String(device.signedAt),
+    token || ""
+  ];
+  if (device.nonce) parts.push(device.nonce);
+  return parts.join("|");
+}
+
+// checks the signature, then resolves the device's hello "auth" block;
+// throws when the device is unknown and must be paired first
+MockGateway.prototype._deviceAuth = function (params, client, token) {
+  var device = params.device;
+  var raw = Buffer.from(String(device.publicKey || ""), "base64url");
+  if (crypto.createHash("sha256").update(raw).digest("hex") !== device.id) {
+    throw invalid("device id does not match its public key");
+  }
+  if (device.nonce && device.nonce !== client.nonce) {
+    throw invalid("device nonce mismatch");
+  }
+  if (!(Math.abs(Date.now() - device.signedAt) < SIGNATURE_MAX_AGE_MS)) {
+    throw invalid("device signature expired");
+  }
+  var key = crypto.createPublicKey({ key: { kty: "OKP", crv: "Ed25519", x: device.publicKey }, format: "jwk" });
+  var signature = Buffer.from(String(device.signature || ""), "base64url");
+  if (!crypto.verify(null, Buffer.from(devicePayload(params, token)), key, signature)) {
+    throw invalid("device signature invalid");
+  }
+
+  var known = this.devices[device.id];
+  if (known && token === known.token) return this._authBlock(known);
+  if (token && token !== this.token) {
+    throw new GatewayRequestError("UNAUTHORIZED", "unauthorized: " + (known ? "device token mismatch" : "gateway token mismatch"));
+  }
+  if (known) return this._authBlock(known);
+  if (this.pairing === "auto") return this._authBlock(this._pairDevice(device.id, device.publicKey));
+
+  var req = this._pairRequestFor(device, params);
+  throw new GatewayRequestError("NOT_PAIRED", "pairing required", { requestId: req.requestId, deviceId: device.id });
+};
+
+MockGateway.prototype._pairRequestFor = function (device, params) {
+  var ids = Object.keys(this.pairRequests);
+  for (var i = 0; i < ids.length; i++) {
+    if (this.pairRequests[ids[i]].deviceId === device.id) return this.pairRequests[ids[i]];
+  }
+  var req = {
+    requestId: crypto.randomUUID(),
+    deviceId: device.id,
+    publicKey: device.publicKey,
+    clientId: params.client && params.client.id,
+    platform: params.client && params.client.platform,
+    remoteIp: "127.0.0.1",
+    ts: Date.now()
+  };
+  this.pairRequests[req.requestId] = req;
+  this.broadcast("device.pair.requested", req);
+  return req;
+};
+
+MockGateway.prototype._pairDevice = function (deviceId, publicKey) {
+  this.devices[deviceId] = {
+    deviceId: deviceId,
+    publicKey: publicKey,
+    token: crypto.randomBytes(24).toString("base64url"),
+    role: "operator",
+    scopes: ["operator.admin", "operator.read", "operator.write"]
+  };
+  return this.devices[deviceId];
+};
+
+MockGateway.prototype._authBlock = function (device) {
+  return { deviceToken: device.token, role: device.role, scopes: device.scopes, issuedAtMs: Date.now() };
+};
+
+// ── runs ──────────────────────────────────────────────────
+
+MockGateway.prototype._scenarioFor = function (message) {
+  if (this._scenarios.length > 0) return this._scenarios.shift();
+  var scenario = {};
+  var tags = message.match(/#[a-z]+/g) || [];
+  tags.forEach(function (tag) {
+    var extra = TAGS[tag.slice(1)];
+    if (!extra) return;
+    Object.keys(extra).forEach(function (k) { scenario[k] = extra[k]; });
+  });
+  return scenario;
+};
+
+MockGateway.prototype._startRun = function (runId, session, message) {
+  var scenario = this._scenarioFor(message);
+  var text = typeof scenario.text === "string" ? scenario.text : "You said: " + message;
+  var chunks = Math.max(1, scenario.chunks || 4);
+  var delayMs = typeof scenario.delayMs === "number" ? scenario.delayMs : 30;
+  var run = {
+    sessionKey: session.key,
+    scenario: scenario,
+    text: "",
+    timer: null
+  };
+  this._runs[runId] = run;
+
+  var self = this;
+  var step = 0;
+  var size = Math.ceil(text.length / chunks);
+  function next() {
+    if (!self._runs[runId]) return;
+    if (step < chunks) {
+      step++;
+      run.text = text.slice(0, step * size);
+      self._emitChat(runId, run, "delta", { message: self._assistantMessage(run) });
+      run.timer = setTimeout(next, delayMs);
+      return;
+    }
+    var end = scenario.end || "final";
+    if (end !== "none") self._finishRun(runId, end);
+  }
+  run.timer = setTimeout(next, delayMs);
+};
+
+MockGateway.prototype._assistantMessage = function (run) {
+  var content = [];
+  if (run.scenario.thinking) content.push({ type: "thinking", thinking: run.scenario.thinking });
+  content.push({ type: "text", text: run.text });
+  return { role: "assistant", content: content, timestamp: Date.now() };
+};
+
+// end: "final" | "error" | "aborted"
+MockGateway.prototype._finishRun = function (runId, end) {
+  var run = this._runs[runId];
+  if (!run) return;
+  this._cancelRun(runId);
+  var session = this.session(run.sessionKey);
+
+  if (end === "final") {
+    var message = this._assistantMessage(run);
+    message.usage = { input: 12, output: Math.ceil(run.text.length / 4) };
+    session.messages.push(message);
+    session.updatedAt = Date.now();
+    this._emitChat(runId, run, "final", { message: message });
+  } else if (end === "error") {
+    this._emitChat(runId, run, "error", { errorMessage: run.scenario.errorMessage || "mock error" });
+  } else {
+    this._emitChat(runId, run, "aborted", {});
+  }
+};
+
+MockGateway.prototype._cancelRun = function (runId) {
+  var run = this._runs[runId];
+  if (!run) return;
+  clearTimeout(run.timer);
+  delete this._runs[runId];
+};
+
+MockGateway.prototype._emitChat = function (runId, run, state, extra) {
+  var payload = { runId: runId, sessionKey: run.sessionKey, state: state };
+  Object.keys(extra).forEach(function (k) { payload[k] = extra[k]; });
+  this.broadcast("chat", payload);
+};
+
+// ── cli ───────────────────────────────────────────────────
+
+if (require.main === module) {
+  var port = process.env.PORT !== undefined ? Number(process.env.PORT) : 18789;
+  var token = process.env.MOCK_TOKEN || "mock";
+  var mock = new MockGateway({ port: port, token: token, logger: console });
+  mock.start().then(function () {
+    console.log("[mock] open " + mock.url() + "?token=" + token);
+  }, function (err) {
+    console.error("[mock] " + err.message);
+    process.exit(1);
+  });
+  process.on("SIGINT", function () {
+    mock.stop().then(function () { process.exit(0); });
+  });
+}
+
+module.exports = MockGateway;
+module.exports.MockGateway = MockGateway;
@@ -490,11 +490,17 @@ build_ui() {
             cp "${UI_SRC}/index.html"     "${UI_DST}/index.html"
             cp "${UI_SRC}/chat.css"       "${UI_DST}/chat.css"
             cp "${UI_SRC}/gateway.js"     "${UI_DST}/gateway.js"
+            cp "${UI_SRC}/tabs.js"        "${UI_DST}/tabs.js"
             cp "${UI_SRC}/chat.js"        "${UI_DST}/chat.js"
             cp "${UI_SRC}/marked.min.js"  "${UI_DST}/marked.min.js"
             cp "${UI_SRC}/purify.min.js"  "${UI_DST}/purify.min.js"
+            cp "${UI_SRC}/highlight.min.js" "${UI_DST}/highlight.min.js"
+            cp "${UI_SRC}/katex.min.js"   "${UI_DST}/katex.min.js"
+            # workspace templates, for the editor's "Reset to templates"
+            mkdir -p "${UI_DST}/templates"
+            cp "${WORKSPACE_SRC}"/*.md "${UI_DST}/templates/"
             echo "standalone" > "${UI_MODE_FILE}"
-            _ok "Standalone UI copied (6 files)"
+            _ok "Standalone UI copied (9 files + workspace templates)"
             ;;
         original)
             if [[ ! -d "${OPENCLAW_DIR}" ]]; then
@@ -698,6 +704,28 @@ open_chat() {
     open "${url}" 2>/dev/null || echo "  Visit: ${url}"
 }
 
+# one prompt through the gateway (sessions, tools, workspace); reply on stdout
+ask_gateway() {
+    if ! _port_alive "${OPENCLAW_PORT}"; then
+        _err "Gateway not running on ${OPENCLAW_PORT}"
+        return 1
+    fi
+    OPENCLAW_PORT="${OPENCLAW_PORT}" node "${SCRIPT_DIR}/cli/chat.js" "$@"
+}
+
+# scripted stand-in gateway + the standalone UI, no OpenClaw or Ollama needed
+mock_gateway() {
+    if [[ ! -d "${SCRIPT_DIR}/node_modules/ws" ]]; then
+        _err "Dev dependencies missing -- run: npm install"
+        return 1
+    fi
+    if _port_alive "${OPENCLAW_PORT}"; then
+        _err "Port ${OPENCLAW_PORT} is in use (stop the gateway first, or set OPENCLAW_PORT)"
+        return 1
+    fi
+    PORT="${OPENCLAW_PORT}" node "${SCRIPT_DIR}/dev/mock-gateway.js"
+}
+
 # ============================================================
 # START / STOP ALL
 # ============================================================
@@ -1283,6 +1311,8 @@ command_index() {
     echo ""
     echo -e "  ${_B}Chat${_N}"
     echo -e "    chat               ${_D}Open chat UI in browser${_N}"
+    echo -e "    ask [opts] <text>  ${_D}Send a prompt through the gateway (stdin ok, -h for options)${_N}"
+    echo -e "    mock               ${_D}Serve the UI against a scripted mock gateway${_N}"
     echo ""
     echo -e "  ${_B}UI${_N}  ${_D}(current: ${_G}${mode}${_D})${_N}"
     echo -e "    build [mode]       ${_D}Build UI (standalone|original)${_N}"
@@ -1329,6 +1359,8 @@ if [[ "${BASH_SOURCE[0]}" = "$0" ]]; then
         stop-all)       stop_everything ;;
         status)         status_all ;;
         chat)           open_chat ;;
+        ask)            ask_gateway "$@" ;;
+        mock)           mock_gateway ;;
         sync)           sync_workspace ;;
         gateway-start)  gateway_start ;;
         gateway-stop)   gateway_stop ;;
@@ -0,0 +1,816 @@
+/* chat-ui.test.js -- the standalone UI in jsdom against the mock gateway */
+
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var helpers = require("./helpers.js");
+
+var waitFor = helpers.waitFor;
+
+function lastRequest(mock, method) {
+  return mock.requests.filter(function (r) { return r.method === method; }).pop();
+}
+
+test("chat UI", async function (t) {
+  var mock = await helpers.startMock();
+  var page = await helpers.loadUI(mock);
+  var doc = page.document;
+  t.after(function () {
+    page.window.close();
+    return mock.stop();
+  });
+
+  await t.test("connects and loads models and history", async function () {
+    await waitFor(function () { return doc.getElementById("model-select").options.length > 0; }, 3000, "models");
+    var dot = doc.getElementById("status-dot");
+    assert.ok(!dot.classList.contains("status-dot--disconnected"));
+    assert.ok(lastRequest(mock, "chat.history"));
+    assert.strictEqual(lastRequest(mock, "connect").params.auth.token, "test-token");
+  });
+
+  await t.test("streams a reply into the thread", async function () {
+    mock.queue({ text: "Streaming **works**", chunks: 4, delayMs: 20 });
+    helpers.send(page, "hello mock");
+    var sent = await waitFor(function () { return lastRequest(mock, "chat.send"); }, 3000, "chat.send");
+    assert.strictEqual(sent.params.message, "hello mock");
+    assert.strictEqual(sent.params.sessionKey, "agent:main:main");
+
+    // mid-stream: the stop button is up
+    await waitFor(function () { return !doc.getElementById("btn-stop").classList.contains("hidden"); }, 3000, "stop button");
+    await waitFor(function () { return doc.querySelector(".chat-bubble strong"); }, 3000, "rendered markdown");
+    await waitFor(function () { return doc.getElementById("btn-stop").classList.contains("hidden"); }, 3000, "run to end");
+    // final reloads history, which redraws the thread from the gateway's copy
+    await waitFor(function () { return /Streaming works/.test(helpers.threadText(page)); }, 3000, "reply from history");
+    assert.match(helpers.threadText(page), /hello mock/);
+    assert.strictEqual(doc.querySelector(".chat-bubble strong").textContent, "works");
+  });
+
+  await t.test("shows a run error in the thread", async function () {
+    mock.queue({ end: "error", errorMessage: "model fell over", delayMs: 5 });
+    helpers.send(page, "break please");
+    await waitFor(function () { return /Error: model fell over/.test(helpers.threadText(page)); }, 3000, "error bubble");
+  });
+
+  await t.test("Stop aborts the running reply", async function () {
+    mock.queue({ text: "a long reply that never finishes", chunks: 50, delayMs: 50, end: "none" });
+    helpers.send(page, "keep going");
+    await waitFor(function () { return /a long/.test(helpers.threadText(page)); }, 3000, "first delta");
+    doc.getElementById("btn-stop").click();
+    var abort = await waitFor(function () { return lastRequest(mock, "chat.abort"); }, 3000, "chat.abort");
+    assert.strictEqual(abort.params.sessionKey, "agent:main:main");
+    await waitFor(function () { return doc.getElementById("btn-stop").classList.contains("hidden"); }, 3000, "idle after abort");
+    // the partial reply stays on screen
+    assert.match(helpers.threadText(page), /a long/);
+  });
+
+  await t.test("New resets the session", async function () {
+    doc.getElementById("btn-new").click();
+    var reset = await waitFor(function () { return lastRequest(mock, "sessions.reset"); }, 3000, "sessions.reset");
+    assert.deepStrictEqual(reset.params, { key: "agent:main:main", reason: "new" });
+    await waitFor(function () { return !/hello mock/.test(helpers.threadText(page)); }, 3000, "empty thread");
+    assert.strictEqual(mock.sessions["agent:main:main"].messages.length, 0);
+  });
+
+  await t.test("recovers after the connection drops", async function () {
+    mock.dropClients();
+    await waitFor(function () { return doc.getElementById("status-dot").classList.contains("status-dot--disconnected"); }, 3000, "disconnected");
+    await waitFor(function () { return mock.clientCount() > 0; }, 5000, "reconnect");
+    await waitFor(function () { return !doc.getElementById("status-dot").classList.contains("status-dot--disconnected"); }, 3000, "connected");
+
+    mock.queue({ text: "back again", delayMs: 5 });
+    helpers.send(page, "are you there");
+    await waitFor(function () { return /back again/.test(helpers.threadText(page)); }, 3000, "reply after reconnect");
+  });
+
+  await t.test("logs no page errors", function () {
+    assert.deepStrictEqual(page.errors, []);
+  });
+});
+
+test("history paging", async function (t) {
+  var mock = await helpers.startMock();
+  var main = mock.session("agent:main:main");
+  for (var i = 0; i < 250; i++) {
+    main.messages.push({ role: "user", content: [{ type: "text", text: "note " + i }], timestamp: 1700000000000 + i });
+  }
+  var page = await helpers.loadUI(mock);
+  var doc = page.document;
+  t.after(function () {
+    page.window.close();
+    return mock.stop();
+  });
+
+  function limits() {
+    return mock.requests.filter(function (r) { return r.method === "chat.history"; }).map(function (r) { return r.params.limit; });
+  }
+
+  var older = await waitFor(function () { return doc.querySelector(".chat-load-older"); }, 3000, "load older");
+  assert.doesNotMatch(helpers.threadText(page), /note 49\b/);
+  assert.match(helpers.threadText(page), /note 50\b/);
+  assert.deepStrictEqual(limits(), [200]);
+
+  // no cursor: the older page is the whole history with a bigger limit
+  older.click();
+  await waitFor(function () { return /note 0\b/.test(helpers.threadText(page)); }, 3000, "older page");
+  assert.deepStrictEqual(limits(), [200, 400]);
+  // fewer than asked for: that was the start of the transcript
+  assert.ok(!doc.querySelector(".chat-load-older"));
+  assert.deepStrictEqual(page.errors, []);
+});
+
+test("tool cards", async function (t) {
+  var mock = await helpers.startMock();
+  mock.session("agent:main:main").messages.push(
+    { role: "user", content: [{ type: "text", text: "write it" }], timestamp: 1700000000000 },
+    { role: "assistant", content: [{ type: "toolCall", id: "call-1", name: "write", arguments: { path: "notes.md", content: "# Notes\n\nfirst" } }], timestamp: 1700000000001 },
+    { role: "toolResult", toolCallId: "call-1", toolName: "write", content: [{ type: "text", text: "ok" }], timestamp: 1700000000002 }
+  );
+  var page = await helpers.loadUI(mock);
+  t.after(function () {
+    page.window.close();
+    return mock.stop();
+  });
+
+  // a write shows every line of the file as added, the blank one too
+  var diff = await waitFor(function () { return page.document.querySelector(".tool-card .tool-diff"); }, 3000, "write card");
+  var lines = [].map.call(diff.querySelectorAll(".tool-diff__line"), function (el) { return el.textContent; });
+  assert.deepStrictEqual(lines, ["+ # Notes\n", "+ \n", "+ first\n"]);
+  assert.deepStrictEqual(page.errors, []);
+});
+
+test("session sidebar and model picker", async function (t) {
+  var mock = await helpers.startMock();
+  var page = await helpers.loadUI(mock);
+  var doc = page.document;
+  t.after(function () {
+    page.window.close();
+    return mock.stop();
+  });
+
+  function activeItem() {
+    return doc.querySelector(".session-item.active");
+  }
+
+  function typeName(value) {
+    var field = doc.querySelector(".session-item__input");
+    field.value = value;
+    field.dispatchEvent(new page.window.KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+  }
+
+  await waitFor(function () { return doc.getElementById("model-select").options.length > 0; }, 3000, "connected");
+  var key;
+
+  await t.test("creates a session", async function () {
+    doc.getElementById("btn-session-new").click();
+    typeName("Notes");
+    var patch = await waitFor(function () { return lastRequest(mock, "sessions.patch"); }, 3000, "sessions.patch");
+    key = patch.params.key;
+    assert.match(key, /^agent:main:notes-/);
+    assert.strictEqual(mock.sessions[key].label, "Notes");
+    await waitFor(function () { return lastRequest(mock, "sessions.list") && activeItem() && /Notes/.test(activeItem().textContent); }, 3000, "active item");
+  });
+
+  await t.test("renames it", async function () {
+    activeItem().querySelector("[title=Rename]").click();
+    typeName("Meeting notes");
+    await waitFor(function () { return mock.sessions[key].label === "Meeting notes"; }, 3000, "label on the gateway");
+    await waitFor(function () { return /Meeting notes/.test(activeItem().textContent); }, 3000, "label in the sidebar");
+  });
+
+  await t.test("switches its model", async function () {
+    var select = doc.getElementById("model-select");
+    select.value = "ollama/deepseek-r1:8b";
+    select.dispatchEvent(new page.window.Event("change"));
+    await waitFor(function () { return mock.sessions[key].model; }, 3000, "model on the gateway");
+    assert.deepStrictEqual(mock.sessions[key].model, { provider: "ollama", id: "deepseek-r1:8b" });
+    assert.strictEqual(select.value, "ollama/deepseek-r1:8b");
+  });
+
+  await t.test("deletes it and goes back to main", async function () {
+    activeItem().querySelector("[title=Delete]").click();
+    await waitFor(function () { return !mock.sessions[key]; }, 3000, "deleted on the gateway");
+    await waitFor(function () { return page.window.localStorage.getItem("openclaw-session") === "agent:main:main"; }, 3000, "back on main");
+    assert.ok(![].some.call(doc.querySelectorAll(".session-item"), function (el) { return /Meeting notes/.test(el.textContent); }));
+  });
+
+  await t.test("logs no page errors", function () {
+    assert.deepStrictEqual(page.errors, []);
+  });
+});
+
+test("message actions", async function (t) {
+  var mock = await helpers.startMock();
+  var copied = [];
+  var page = await helpers.loadUI(mock, {
+    beforeParse: function (window) {
+      Object.defineProperty(window.navigator, "clipboard", {
+        value: { writeText: function (text) { copied.push(text); return Promise.resolve(); } }
+      });
+    }
+  });
+  t.after(function () {
+    page.window.close();
+    return mock.stop();
+  });
+  var doc = page.document;
+  await waitFor(function () { return doc.getElementById("model-select").options.length > 0; }, 3000, "models");
+  helpers.send(page, "copy **this**");
+  await waitFor(function () {
+    return !doc.querySelector(".chat-bubble.streaming") && doc.querySelector(".chat-group.user .chat-bubble .msg-actions");
+  }, 3000, "reply");
+
+  // copy only: the gateway can't rewrite a transcript
+  var bubble = doc.querySelector(".chat-group.user .chat-bubble");
+  var labels = [].map.call(bubble.querySelectorAll(".msg-action"), function (b) { return b.textContent; });
+  assert.deepStrictEqual(labels, ["Copy", "Copy text"]);
+  bubble.querySelector(".msg-action").click();
+  await waitFor(function () { return copied.length === 1; }, 3000, "copied");
+  assert.strictEqual(copied[0], "copy **this**");
+  assert.ok(!doc.querySelector(".chat-regenerate"));
+  assert.deepStrictEqual(page.errors, []);
+});
+
+test("attachments", async function (t) {
+  var mock = await helpers.startMock();
+  var tabs = helpers.tabGroup();
+  var page = await helpers.loadUI(mock, { tabs: tabs });
+  var other = await helpers.loadUI(mock, { tabs: tabs, noWait: true });
+  t.after(function () {
+    page.window.close();
+    other.window.close();
+    return mock.stop();
+  });
+  var doc = page.document;
+  await waitFor(function () { return other.document.getElementById("model-select").options.length > 0; }, 3000, "models");
+
+  var png = Buffer.from("89504e470d0a1a0a", "hex");
+  var input = doc.getElementById("attach-file");
+  Object.defineProperty(input, "files", {
+    configurable: true,
+    value: [
+      new page.window.File(["# Notes\nfirst line\n"], "notes.md", { type: "text/markdown" }),
+      new page.window.File([new page.window.Uint8Array(png)], "dot.png", { type: "image/png" })
+    ]
+  });
+  input.dispatchEvent(new page.window.Event("change"));
+  await waitFor(function () { return doc.querySelectorAll("#attach-tray .compose-att").length === 2; }, 3000, "tray");
+
+  helpers.send(page, "look at these");
+  await waitFor(function () { return /You said: look at these/.test(helpers.threadText(page)); }, 3000, "reply");
+
+  // text files travel in the message, only images as attachments
+  var params = mock.requests.filter(function (r) { return r.method === "chat.send"; })[0].params;
+  assert.strictEqual(params.message, "look at these\n\nFile: notes.md\n\n```md\n# Notes\nfirst line\n```");
+  assert.deepStrictEqual(params.attachments, [{ type: "image", mimeType: "image/png", fileName: "dot.png", content: png.toString("base64") }]);
+  assert.ok(doc.querySelector(".chat-group.user .chat-image img"));
+  // once the run is over the other tab has the image from the history too
+  await waitFor(function () { return other.document.querySelector(".chat-group.user .chat-image img"); }, 3000, "image in the other tab");
+
+  // while it runs, the other tab shows a send without the image bytes
+  Object.defineProperty(input, "files", { value: [new page.window.File([new page.window.Uint8Array(png)], "again.png", { type: "image/png" })] });
+  input.dispatchEvent(new page.window.Event("change"));
+  await waitFor(function () { return doc.querySelector("#attach-tray .compose-att"); }, 3000, "tray");
+  mock.queue({ end: "none" });
+  helpers.send(page, "and this");
+  await waitFor(function () {
+    return [].some.call(other.document.querySelectorAll(".chat-image--placeholder"), function (el) {
+      return el.textContent === "Image: again.png (8 B)";
+    });
+  }, 3000, "placeholder");
+  assert.deepStrictEqual(page.errors, []);
+  assert.deepStrictEqual(other.errors, []);
+});
+
+test("attachments waiting in the outbox", async function (t) {
+  var mock = await helpers.startMock();
+  var tabs = helpers.tabGroup();
+  var first = await helpers.loadUI(mock, { tabs: tabs });
+  var second = await helpers.loadUI(mock, { tabs: tabs, noWait: true });
+  t.after(function () {
+    second.window.close();
+    return mock.stop();
+  });
+  await waitFor(function () { return second.document.getElementById("model-select").options.length > 0; }, 3000, "second tab");
+
+  function pending(page) {
+    return page.document.querySelector(".chat-pending");
+  }
+
+  var png = Buffer.from("89504e470d0a1a0a", "hex");
+  var input = first.document.getElementById("attach-file");
+  Object.defineProperty(input, "files", { value: [new first.window.File([new first.window.Uint8Array(png)], "dot.png", { type: "image/png" })] });
+  input.dispatchEvent(new first.window.Event("change"));
+  await waitFor(function () { return first.document.querySelector("#attach-tray .compose-att"); }, 3000, "tray");
+  mock.failNext("chat.send", "UNAVAILABLE", "try later");
+  helpers.send(first, "keep this");
+  await waitFor(function () { return pending(first) && /try later/.test(pending(first).textContent); }, 3000, "failed send");
+
+  // stored and shared without the image
+  var stored = first.window.localStorage.getItem("openclaw-outbox");
+  assert.deepStrictEqual(JSON.parse(stored)[0].files, ["dot.png"]);
+  assert.ok(stored.indexOf(png.toString("base64")) === -1);
+  await waitFor(function () { return pending(second); }, 3000, "item in the second tab");
+  assert.match(pending(second).textContent, /Attached: dot\.png/);
+  assert.ok(pending(second).querySelector(".chat-pending__action").disabled);
+
+  // the tab with the image goes; the other can still send the text
+  first.window.close();
+  await waitFor(function () { return /attachments lost/.test(pending(second).textContent); }, 3000, "lost");
+  var retry = await waitFor(function () {
+    var btn = pending(second).querySelector(".chat-pending__action");
+    return !btn.disabled && btn;
+  }, 5000, "retry");
+  retry.click();
+  await waitFor(function () { return /You said: keep this/.test(helpers.threadText(second)); }, 3000, "reply");
+  var sends = mock.requests.filter(function (r) { return r.method === "chat.send"; });
+  assert.strictEqual(sends[sends.length - 1].params.message, "keep this");
+  assert.strictEqual(sends[sends.length - 1].params.attachments, undefined);
+  assert.deepStrictEqual(first.errors, ["[chat] send error:"]);
+  assert.deepStrictEqual(second.errors, []);
+});
+
+test("importing a transcript", async function (t) {
+  var mock = await helpers.startMock();
+  var page = await helpers.loadUI(mock);
+  t.after(function () {
+    page.window.close();
+    return mock.stop();
+  });
+  await waitFor(function () { return page.document.getElementById("model-select").options.length > 0; }, 3000, "models");
+
+  function sends() {
+    return mock.requests.filter(function (r) { return r.method === "chat.send"; });
+  }
+
+  function importFile(messages) {
+    var transcript = { format: "openclaw-transcript", session: { label: "old" }, messages: messages };
+    var input = page.document.getElementById("import-file");
+    var file = new page.window.File([JSON.stringify(transcript)], "old.json", { type: "application/json" });
+    Object.defineProperty(input, "files", { configurable: true, value: [file] });
+    input.dispatchEvent(new page.window.Event("change"));
+  }
+
+  var earlier = [{ role: "user", content: [{ type: "text", text: "an earlier question" }], timestamp: 1 }];
+
+  // it can only go in as a prompt, so the user is asked first
+  var asked = [];
+  page.window.confirm = function (text) { asked.push(text); return false; };
+  importFile(earlier);
+  await waitFor(function () { return asked.length === 1; }, 3000, "confirm");
+  assert.match(asked[0], /agent will reply/);
+  await helpers.sleep(100);
+  assert.strictEqual(sends().length, 0);
+  assert.strictEqual(mock.requests.filter(function (r) { return r.method === "sessions.patch"; }).length, 0);
+
+  page.window.confirm = function () { return true; };
+  importFile(earlier);
+  await waitFor(function () { return sends().length === 1; }, 3000, "chat.send");
+  var params = sends()[0].params;
+  assert.match(params.message, /an earlier question/);
+  assert.notStrictEqual(params.sessionKey, "agent:main:main");
+  assert.deepStrictEqual(page.errors, []);
+});
+
+test("chat UI with storage blocked", async function (t) {
+  var mock = await helpers.startMock();
+  // some privacy settings make every localStorage access throw
+  var page = await helpers.loadUI(mock, {
+    beforeParse: function (window) {
+      Object.defineProperty(window, "localStorage", { get: function () { throw new Error("SecurityError"); } });
+    }
+  });
+  t.after(function () {
+    page.window.close();
+    return mock.stop();
+  });
+  await waitFor(function () { return page.document.getElementById("model-select").options.length > 0; }, 3000, "models");
+  assert.deepStrictEqual(page.errors, []);
+});
+
+test("device pairing in the UI", async function (t) {
+  var mock = await helpers.startMock({ pairing: "manual" });
+  // the operator's browser has no WebCrypto here, so it signs in by token
+  var operator = await helpers.loadUI(mock);
+  var device = await helpers.loadUI(mock, { token: null, webCrypto: true, noWait: true });
+  t.after(function () {
+    operator.window.close();
+    device.window.close();
+    return mock.stop();
+  });
+
+  // no token: the sign-in form offers pairing instead
+  var pair = await waitFor(function () {
+    var btn = device.document.getElementById("btn-login-pair");
+    return !btn.classList.contains("hidden") && btn;
+  }, 3000, "pair button");
+  pair.click();
+
+  var notice = await waitFor(function () { return device.document.querySelector(".chat-notice"); }, 5000, "pairing notice");
+  var requestId = Object.keys(mock.pairRequests)[0];
+  assert.ok(requestId);
+  assert.match(notice.textContent, new RegExp("openclaw devices approve " + requestId));
+  assert.strictEqual(device.document.getElementById("assistant-name").textContent, "Awaiting pairing");
+
+  // the operator sees the request and approves it
+  var prompt = await waitFor(function () {
+    return [].filter.call(operator.document.querySelectorAll(".approval"), function (el) {
+      return /Pair a new device/.test(el.textContent);
+    })[0];
+  }, 3000, "pair prompt");
+  prompt.querySelector(".btn--primary").click();
+  await waitFor(function () { return !/Pair a new device/.test(helpers.threadText(operator)); }, 3000, "prompt cleared");
+
+  // the waiting page gets in on its next attempt, with a device token kept for later
+  await waitFor(function () { return !device.document.querySelector(".chat-notice") && mock.clientCount() === 2; }, 8000, "paired connect");
+  var stored = JSON.parse(device.window.localStorage.getItem("openclaw-device-token"));
+  assert.strictEqual(stored.token, mock.devices[stored.deviceId].token);
+  assert.deepStrictEqual(device.errors, []);
+});
+
+test("signing in", async function (t) {
+  var mock = await helpers.startMock();
+  t.after(function () { return mock.stop(); });
+
+  function loginShown(page) {
+    return !page.document.getElementById("login-panel").classList.contains("hidden");
+  }
+
+  function connects() {
+    return mock.requests.filter(function (r) { return r.method === "connect"; }).length;
+  }
+
+  await t.test("moves a ?token= link into storage", async function () {
+    var page = await helpers.loadUI(mock);
+    t.after(function () { page.window.close(); });
+    assert.strictEqual(page.window.location.search, "");
+    assert.strictEqual(page.window.localStorage.getItem("openclaw-token"), "test-token");
+    assert.ok(!loginShown(page));
+    await waitFor(function () { return !page.document.getElementById("btn-signout").classList.contains("hidden"); }, 3000, "sign-out button");
+  });
+
+  await t.test("asks for a token before connecting when there is none", async function () {
+    var before = connects();
+    var page = await helpers.loadUI(mock, { token: null, noWait: true });
+    t.after(function () { page.window.close(); });
+    await waitFor(function () { return loginShown(page); }, 3000, "sign-in form");
+    assert.ok(page.document.getElementById("login-error").classList.contains("hidden"));
+    // no WebCrypto in this page, so no pairing either
+    assert.ok(page.document.getElementById("btn-login-pair").classList.contains("hidden"));
+    assert.strictEqual(page.document.getElementById("assistant-name").textContent, "Signed out");
+    await helpers.sleep(200);
+    assert.strictEqual(connects(), before);
+  });
+
+  await t.test("shows a rejected token and stops reconnecting", async function () {
+    var page = await helpers.loadUI(mock, { token: "wrong", noWait: true });
+    t.after(function () { page.window.close(); });
+    var doc = page.document;
+    await waitFor(function () { return loginShown(page); }, 3000, "sign-in form");
+    assert.match(doc.getElementById("login-error").textContent, /rejected this token/);
+    assert.strictEqual(page.window.location.search, "");
+    assert.strictEqual(page.window.localStorage.getItem("openclaw-token"), null);
+
+    var before = connects();
+    await helpers.sleep(1200);
+    assert.strictEqual(connects(), before);
+
+    // a good token from the form gets in and is kept
+    doc.getElementById("login-token").value = "test-token";
+    doc.getElementById("btn-login").click();
+    await waitFor(function () { return doc.getElementById("model-select").options.length > 0; }, 3000, "connected");
+    assert.ok(!loginShown(page));
+    assert.strictEqual(page.window.localStorage.getItem("openclaw-token"), "test-token");
+    assert.deepStrictEqual(page.errors, []);
+  });
+
+  await t.test("sign-out forgets the token and disconnects", async function () {
+    var page = await helpers.loadUI(mock);
+    t.after(function () { page.window.close(); });
+    var doc = page.document;
+    var btn = await waitFor(function () {
+      var el = doc.getElementById("btn-signout");
+      return !el.classList.contains("hidden") && el;
+    }, 3000, "sign-out button");
+    var clients = mock.clientCount();
+    btn.click();
+    assert.ok(loginShown(page));
+    assert.strictEqual(page.window.localStorage.getItem("openclaw-token"), null);
+    await waitFor(function () { return mock.clientCount() === clients - 1; }, 3000, "disconnect");
+    await helpers.sleep(1200);
+    assert.strictEqual(mock.clientCount(), clients - 1);
+    assert.deepStrictEqual(page.errors, []);
+  });
+});
+
+test("diagnostics drawer", async function (t) {
+  var mock = await helpers.startMock();
+  var copied = [];
+  var page = await helpers.loadUI(mock, {
+    beforeParse: function (window) {
+      window.navigator.clipboard = { writeText: function (text) { copied.push(text); return Promise.resolve(); } };
+    }
+  });
+  var doc = page.document;
+  t.after(function () {
+    page.window.close();
+    return mock.stop();
+  });
+
+  function field(label) {
+    var dts = doc.querySelectorAll("#diag-list dt");
+    for (var i = 0; i < dts.length; i++) {
+      if (dts[i].textContent === label) return dts[i].nextSibling.textContent;
+    }
+    return null;
+  }
+
+  await waitFor(function () { return doc.getElementById("model-select").options.length > 0; }, 3000, "connected");
+  doc.getElementById("status-dot").click();
+  assert.ok(!doc.getElementById("diag-panel").classList.contains("hidden"));
+  assert.strictEqual(doc.getElementById("diag-state").textContent, "open");
+  assert.strictEqual(field("Protocol"), "v3");
+  assert.strictEqual(field("Pending"), "0");
+  await waitFor(function () { return /^\d+ ms/.test(field("Latency")); }, 3000, "latency probe");
+  assert.match(doc.getElementById("diag-hello").textContent, /"hello-ok"/);
+
+  // a drop shows up as a close with a countdown to the next attempt
+  mock.dropClients();
+  await waitFor(function () { return /^in \d/.test(field("Reconnect")); }, 3000, "countdown");
+  assert.strictEqual(doc.querySelectorAll("#diag-closes tr").length, 1);
+
+  // reconnect now skips the wait
+  doc.getElementById("btn-diag-reconnect").click();
+  await waitFor(function () { return doc.getElementById("diag-state").textContent === "open"; }, 3000, "reconnected");
+
+  doc.getElementById("btn-diag-copy").click();
+  await waitFor(function () { return copied.length; }, 1000, "copy");
+  var report = JSON.parse(copied[0]);
+  assert.strictEqual(report.gateway.protocol, 3);
+  assert.strictEqual(report.gateway.closes.length, 1);
+  assert.ok(report.latency.length > 0);
+
+  doc.getElementById("btn-diag-close").click();
+  assert.ok(doc.getElementById("diag-panel").classList.contains("hidden"));
+  assert.deepStrictEqual(page.errors, []);
+});
+
+test("frame inspector", async function (t) {
+  var mock = await helpers.startMock();
+  var fresh = await helpers.startMock();
+  var saved = [];
+  function keepDownloads(window) {
+    window.URL.createObjectURL = function (blob) { saved.push(blob); return "blob:capture"; };
+    window.URL.revokeObjectURL = function () {};
+    window.HTMLAnchorElement.prototype.click = function () {};
+  }
+  var page = await helpers.loadUI(mock, { query: "debug=frames", beforeParse: keepDownloads });
+  var doc = page.document;
+  t.after(function () {
+    page.window.close();
+    return Promise.all([mock.stop(), fresh.stop()]);
+  });
+
+  function names(p) {
+    return [].map.call(p.document.querySelectorAll("#frames-list .frame__name"), function (el) { return el.textContent; });
+  }
+
+  await waitFor(function () { return doc.getElementById("model-select").options.length > 0; }, 3000, "connected");
+  assert.strictEqual(page.window.location.search, "?debug=frames");
+  helpers.send(page, "/frames");
+  assert.ok(!doc.getElementById("frames-panel").classList.contains("hidden"));
+  assert.ok(names(page).indexOf("connect") !== -1);
+  assert.ok(names(page).indexOf("res connect") !== -1);
+
+  mock.queue({ text: "Replay *me*", chunks: 3, delayMs: 20 });
+  helpers.send(page, "record this");
+  await waitFor(function () { return /Replay me/.test(helpers.threadText(page)); }, 3000, "reply");
+  await waitFor(function () { return names(page).indexOf("chat (final)") !== -1; }, 3000, "final frame");
+
+  // the filter narrows the list; a row opens to its payload
+  var filter = doc.getElementById("frames-filter");
+  filter.value = "chat.send";
+  filter.dispatchEvent(new page.window.Event("input"));
+  // the hello's method list matches too
+  assert.deepStrictEqual(names(page), ["res connect", "chat.send", "res chat.send"]);
+  var dir = doc.getElementById("frames-dir");
+  dir.value = "out";
+  dir.dispatchEvent(new page.window.Event("change"));
+  assert.deepStrictEqual(names(page), ["chat.send"]);
+  doc.querySelector("#frames-list .frame__line").click();
+  assert.match(doc.querySelector("#frames-list .frame__payload").textContent, /"record this"/);
+
+  doc.getElementById("btn-frames-save").click();
+  assert.strictEqual(saved.length, 1);
+  var capture = JSON.parse(await new Promise(function (resolve) {
+    // jsdom's Blob has no text()
+    var reader = new page.window.FileReader();
+    reader.onload = function () { resolve(reader.result); };
+    reader.readAsText(saved[0]);
+  }));
+  assert.strictEqual(capture.format, "openclaw-frames");
+  assert.ok(!/test-token/.test(JSON.stringify(capture)));
+
+  // a page on a gateway that never saw the conversation replays it
+  var other = await helpers.loadUI(fresh, { query: "debug=frames" });
+  t.after(function () { other.window.close(); });
+  await waitFor(function () { return other.document.getElementById("model-select").options.length > 0; }, 3000, "second page");
+  helpers.send(other, "/frames");
+  var input = other.document.getElementById("frames-file");
+  var file = new other.window.File([JSON.stringify(capture)], "capture.json", { type: "application/json" });
+  Object.defineProperty(input, "files", { value: [file] });
+  input.dispatchEvent(new other.window.Event("change"));
+
+  // sending is off: chat.send would be answered from the capture
+  await waitFor(function () { return other.document.getElementById("btn-send").disabled; }, 3000, "send disabled");
+  var compose = other.document.getElementById("compose-input");
+  compose.value = "not during a replay";
+  compose.dispatchEvent(new other.window.KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+  assert.match(other.document.getElementById("compose-hint").textContent, /Sending is off/);
+  compose.value = "";
+
+  await waitFor(function () { return /Replay finished/.test(other.document.getElementById("compose-hint").textContent); }, 5000, "replay");
+  assert.match(helpers.threadText(other), /record this/);
+  assert.match(helpers.threadText(other), /Replay me/);
+  assert.strictEqual(fresh.requests.filter(function (r) { return r.method === "chat.send"; }).length, 0);
+  assert.doesNotMatch(helpers.threadText(other), /not during a replay/);
+  assert.ok(!other.document.getElementById("btn-send").disabled);
+
+  var live = other.document.getElementById("btn-frames-live");
+  assert.ok(!live.classList.contains("hidden"));
+  live.click();
+  await waitFor(function () { return fresh.clientCount() === 1; }, 3000, "back to live");
+  assert.deepStrictEqual(page.errors, []);
+  assert.deepStrictEqual(other.errors, []);
+});
+
+test("tabs", async function (t) {
+  var mock = await helpers.startMock();
+  var tabs = helpers.tabGroup();
+  mock.session("agent:main:scratch").label = "scratch";
+  var first = await helpers.loadUI(mock, { tabs: tabs });
+  var second = await helpers.loadUI(mock, { tabs: tabs });
+  t.after(function () {
+    first.window.close();
+    second.window.close();
+    return mock.stop();
+  });
+
+  function idle(page) {
+    return page.document.getElementById("btn-stop").classList.contains("hidden");
+  }
+
+  // opens the drawer, reads one row and closes it again
+  function diagRow(page, label) {
+    var dot = page.document.getElementById("status-dot");
+    dot.click();
+    var value = null;
+    var terms = page.document.querySelectorAll("#diag-list dt");
+    for (var i = 0; i < terms.length; i++) {
+      if (terms[i].textContent === label) value = terms[i].nextElementSibling.textContent;
+    }
+    dot.click();
+    return value;
+  }
+
+  await t.test("the second tab uses the first tab's connection", async function () {
+    await waitFor(function () { return second.document.getElementById("model-select").options.length > 0; }, 3000, "models in the second tab");
+    assert.ok(!second.document.getElementById("status-dot").classList.contains("status-dot--disconnected"));
+    assert.strictEqual(mock.clientCount(), 1);
+    assert.strictEqual(mock.requests.filter(function (r) { return r.method === "connect"; }).length, 1);
+    assert.strictEqual(diagRow(first, "Tab"), "holds the connection");
+    assert.match(diagRow(second, "Tab"), /^connected through tab /);
+  });
+
+  await t.test("a send from one tab shows in both, and Stop ends it in both", async function () {
+    mock.queue({ text: "a long reply that never finishes", chunks: 50, delayMs: 50, end: "none" });
+    helpers.send(second, "from the second tab");
+    await waitFor(function () { return /from the second tab/.test(helpers.threadText(first)) && !idle(first); }, 3000, "optimistic copy");
+    await waitFor(function () { return /a long/.test(helpers.threadText(first)); }, 3000, "first delta");
+    // one copy of the message per tab, not one per connection
+    assert.strictEqual(helpers.threadText(first).split("from the second tab").length, 2);
+    assert.strictEqual(mock.requests.filter(function (r) { return r.method === "chat.send"; }).length, 1);
+
+    second.document.getElementById("btn-stop").click();
+    var abort = await waitFor(function () { return lastRequest(mock, "chat.abort"); }, 3000, "chat.abort");
+    assert.ok(abort.params.runId);
+    await waitFor(function () { return idle(first) && idle(second); }, 3000, "both idle");
+    assert.match(helpers.threadText(first), /a long/);
+  });
+
+  await t.test("theme, session and draft follow the other tab", async function () {
+    first.document.getElementById("theme-toggle").click();
+    await waitFor(function () { return second.document.documentElement.getAttribute("data-theme") === "light"; }, 3000, "theme");
+
+    var input = first.document.getElementById("compose-input");
+    input.value = "half a thought";
+    input.dispatchEvent(new first.window.Event("input", { bubbles: true }));
+    await waitFor(function () { return second.document.getElementById("compose-input").value === "half a thought"; }, 3000, "draft");
+
+    var open = [].filter.call(second.document.querySelectorAll(".session-item__open"), function (el) {
+      return /scratch/.test(el.textContent);
+    })[0];
+    open.click();
+    await waitFor(function () { return first.window.localStorage.getItem("openclaw-session") === "agent:main:scratch"; }, 3000, "session");
+    assert.match(first.document.querySelector(".session-item.active").textContent, /scratch/);
+  });
+
+  await t.test("the other tab takes over when the connected one closes", async function () {
+    first.window.close();
+    await waitFor(function () { return mock.clientCount() === 1 && mock.requests.filter(function (r) { return r.method === "connect"; }).length === 2; }, 5000, "second tab connects");
+    await waitFor(function () { return !second.document.getElementById("status-dot").classList.contains("status-dot--disconnected"); }, 3000, "connected");
+    assert.strictEqual(diagRow(second, "Tab"), "holds the connection");
+
+    mock.queue({ text: "still here", delayMs: 5 });
+    helpers.send(second, "after the handover");
+    await waitFor(function () { return /still here/.test(helpers.threadText(second)); }, 3000, "reply");
+  });
+
+  await t.test("logs no page errors", function () {
+    assert.deepStrictEqual(first.errors, []);
+    assert.deepStrictEqual(second.errors, []);
+  });
+});
+
+test("replaying in the tab that holds the connection", async function (t) {
+  var mock = await helpers.startMock();
+  mock.session("agent:main:scratch").label = "scratch";
+  var tabs = helpers.tabGroup();
+  var saved = [];
+  var first = await helpers.loadUI(mock, {
+    tabs: tabs,
+    query: "debug=frames",
+    beforeParse: function (window) {
+      window.URL.createObjectURL = function (blob) { saved.push(blob); return "blob:capture"; };
+      window.URL.revokeObjectURL = function () {};
+      window.HTMLAnchorElement.prototype.click = function () {};
+    }
+  });
+  var second = await helpers.loadUI(mock, { tabs: tabs });
+  t.after(function () {
+    first.window.close();
+    second.window.close();
+    return mock.stop();
+  });
+
+  function connects() {
+    return mock.requests.filter(function (r) { return r.method === "connect"; }).length;
+  }
+
+  function sends() {
+    return mock.requests.filter(function (r) { return r.method === "chat.send"; }).length;
+  }
+
+  function openSession(page, label) {
+    [].filter.call(page.document.querySelectorAll(".session-item__open"), function (el) {
+      return el.textContent.indexOf(label) !== -1;
+    })[0].click();
+  }
+
+  function activeSession(page) {
+    return page.document.querySelector(".session-item.active").textContent;
+  }
+
+  await waitFor(function () { return second.document.getElementById("model-select").options.length > 0; }, 3000, "second tab");
+  mock.queue({ text: "recorded reply", delayMs: 5 });
+  helpers.send(first, "record this");
+  await waitFor(function () { return /recorded reply/.test(helpers.threadText(first)); }, 3000, "reply");
+  await waitFor(function () { return /recorded reply/.test(helpers.threadText(second)); }, 3000, "reply in the second tab");
+  // both tabs move on to another session; the capture stays on main
+  openSession(second, "scratch");
+  await waitFor(function () { return /scratch/.test(activeSession(first)); }, 3000, "first tab follows");
+  // both tabs done reloading history, so nothing is in flight at the handover
+  await helpers.sleep(200);
+  helpers.send(first, "/frames");
+  first.document.getElementById("btn-frames-save").click();
+  var input = first.document.getElementById("frames-file");
+  var file = new first.window.File([saved[0]], "capture.json", { type: "application/json" });
+  Object.defineProperty(input, "files", { value: [file] });
+  input.dispatchEvent(new first.window.Event("change"));
+
+  // the second tab takes the connection over and keeps talking to the gateway
+  await waitFor(function () { return connects() === 2 && mock.clientCount() === 1; }, 5000, "second tab connects");
+  await waitFor(function () { return !second.document.getElementById("status-dot").classList.contains("status-dot--disconnected"); }, 3000, "second tab connected");
+  // the replay opens the capture's session in the first tab only
+  await waitFor(function () { return /record this/.test(helpers.threadText(first)); }, 3000, "replayed session");
+  assert.doesNotMatch(activeSession(first), /scratch/);
+  assert.match(activeSession(second), /scratch/);
+  assert.strictEqual(second.window.localStorage.getItem("openclaw-session"), "agent:main:scratch");
+  mock.queue({ text: "live reply", delayMs: 5 });
+  helpers.send(second, "while the first replays");
+  await waitFor(function () { return /live reply/.test(helpers.threadText(second)); }, 3000, "live reply");
+  assert.strictEqual(sends(), 2);
+  assert.doesNotMatch(helpers.threadText(first), /while the first replays/);
+  assert.match(activeSession(second), /scratch/);
+
+  await waitFor(function () { return /Replay finished/.test(first.document.getElementById("compose-hint").textContent); }, 5000, "replay");
+
+  // back to live joins the second tab's connection instead of opening one
+  first.document.getElementById("btn-frames-live").click();
+  openSession(first, "scratch");
+  await waitFor(function () { return /while the first replays/.test(helpers.threadText(first)); }, 3000, "live thread in the first tab");
+  assert.strictEqual(mock.clientCount(), 1);
+  assert.strictEqual(connects(), 2);
+  assert.deepStrictEqual(first.errors, []);
+  assert.deepStrictEqual(second.errors, []);
+});
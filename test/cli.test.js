@@ -0,0 +1,91 @@
+/* cli.test.js -- cli/chat.js as a child process against the mock gateway */
+
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var childProcess = require("child_process");
+var path = require("path");
+var helpers = require("./helpers.js");
+
+var CLI = path.resolve(__dirname, "..", "cli", "chat.js");
+
+// resolves { code, stdout, stderr }
+function runCli(args, opts) {
+  opts = opts || {};
+  return new Promise(function (resolve) {
+    var child = childProcess.spawn(process.execPath, [CLI].concat(args), {
+      env: Object.assign({}, process.env, { OPENCLAW_GATEWAY_TOKEN: "" })
+    });
+    var stdout = "";
+    var stderr = "";
+    child.stdout.on("data", function (d) { stdout += d; });
+    child.stderr.on("data", function (d) { stderr += d; });
+    child.on("close", function (code) { resolve({ code: code, stdout: stdout, stderr: stderr }); });
+    if (opts.onSpawn) opts.onSpawn(child);
+    child.stdin.end(opts.stdin || "");
+  });
+}
+
+test("chat CLI", async function (t) {
+  var mock = await helpers.startMock();
+  t.after(function () { return mock.stop(); });
+  var base = ["--url", mock.wsUrl(), "--token", "test-token"];
+
+  await t.test("streams the reply to stdout and exits 0", async function () {
+    mock.queue({ text: "<think>hmm</think>\n\nHello from the CLI", chunks: 5, delayMs: 5 });
+    var res = await runCli(base.concat(["say", "hi"]));
+    assert.strictEqual(res.code, 0, res.stderr);
+    assert.strictEqual(res.stdout, "Hello from the CLI\n");
+    var send = mock.requests.filter(function (r) { return r.method === "chat.send"; }).pop();
+    assert.strictEqual(send.params.sessionKey, "agent:main:main");
+    assert.strictEqual(send.params.message, "say hi");
+  });
+
+  await t.test("appends stdin and resolves a bare session name", async function () {
+    mock.queue({ text: "ok", delayMs: 5 });
+    var res = await runCli(base.concat(["-s", "review", "look at this"]), { stdin: "line one\nline two\n" });
+    assert.strictEqual(res.code, 0, res.stderr);
+    var send = mock.requests.filter(function (r) { return r.method === "chat.send"; }).pop();
+    assert.strictEqual(send.params.sessionKey, "agent:main:review");
+    assert.strictEqual(send.params.message, "look at this\n\nline one\nline two");
+  });
+
+  await t.test("exits 1 on a run error", async function () {
+    mock.queue({ end: "error", errorMessage: "model fell over", delayMs: 5 });
+    var res = await runCli(base.concat(["x"]));
+    assert.strictEqual(res.code, 1);
+    assert.match(res.stderr, /model fell over/);
+  });
+
+  await t.test("exits 3 when the run is aborted", async function () {
+    mock.queue({ end: "aborted", delayMs: 5 });
+    var res = await runCli(base.concat(["x"]));
+    assert.strictEqual(res.code, 3);
+  });
+
+  await t.test("Ctrl+C aborts the run and exits 130", async function () {
+    mock.queue({ text: "never ends", chunks: 20, delayMs: 20, end: "none" });
+    var res = await runCli(base.concat(["x"]), {
+      onSpawn: function (child) {
+        helpers.waitFor(function () {
+          return mock.activeRuns().length > 0;
+        }, 5000, "run start").then(function () { child.kill("SIGINT"); });
+      }
+    });
+    assert.strictEqual(res.code, 130);
+    assert.ok(mock.requests.some(function (r) { return r.method === "chat.abort"; }));
+  });
+
+  await t.test("exits 1 when the token is rejected", async function () {
+    var res = await runCli(["--url", mock.wsUrl(), "--token", "wrong", "x"]);
+    assert.strictEqual(res.code, 1);
+    assert.match(res.stderr, /unauthorized/);
+  });
+
+  await t.test("exits 2 without a prompt", async function () {
+    var res = await runCli(base);
+    assert.strictEqual(res.code, 2);
+    assert.match(res.stderr, /no prompt/);
+  });
+});
@@ -0,0 +1,499 @@
+/* gateway.test.js -- ui/gateway.js in Node against the mock gateway */
+
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+var WebSocket = require("ws");
+var Gateway = require("../ui/gateway.js");
+var helpers = require("./helpers.js");
+
+var quiet = { log: function () {}, warn: function () {}, error: function () {} };
+
+// starts a Gateway against mock and resolves once hello-ok arrived
+function connect(mock, opts) {
+  var state = { hello: null, events: [], gaps: [], closes: [] };
+  var gw = new Gateway(Object.assign({
+    url: mock.wsUrl(),
+    token: mock.token,
+    WebSocket: WebSocket,
+    logger: quiet,
+    onHello: function (hello) { state.hello = hello; },
+    onEvent: function (evt) { state.events.push(evt); },
+    onGap: function (info) { state.gaps.push(info); },
+    onClose: function (info) { state.closes.push(info); }
+  }, opts));
+  state.gw = gw;
+  gw.start();
+  return helpers.waitFor(function () { return state.hello; }, 3000, "hello").then(function () {
+    return state;
+  }, function (err) {
+    gw.stop();
+    throw err;
+  });
+}
+
+function chatEvents(state, sessionKey) {
+  return state.events.filter(function (e) {
+    return e.event === "chat" && e.payload.sessionKey === sessionKey;
+  });
+}
+
+test("Gateway", async function (t) {
+  var mock = await helpers.startMock();
+  t.after(function () { return mock.stop(); });
+
+  await t.test("answers the challenge with a protocol 3 connect", async function () {
+    var state = await connect(mock);
+    try {
+      assert.strictEqual(state.hello.type, "hello-ok");
+      assert.strictEqual(state.hello.protocol, 3);
+      assert.ok(state.hello.features.methods.indexOf("chat.send") !== -1);
+      assert.strictEqual(state.gw.connected(), true);
+      var hello = mock.requests.filter(function (r) { return r.method === "connect"; }).pop();
+      assert.strictEqual(hello.params.auth.token, "test-token");
+      assert.strictEqual(hello.params.minProtocol, 3);
+    } finally {
+      state.gw.stop();
+    }
+  });
+
+  await t.test("keeps the token out of its logs", async function () {
+    var lines = [];
+    function keep() { lines.push([].slice.call(arguments).join(" ")); }
+    var state = await connect(mock, { logger: { log: keep, warn: keep, error: keep } });
+    state.gw.stop();
+    assert.ok(lines.some(function (line) { return /connect request/.test(line); }));
+    assert.ok(!lines.some(function (line) { return line.indexOf(mock.token) !== -1; }));
+  });
+
+  await t.test("sends client overrides in the connect frame", async function () {
+    var state = await connect(mock, { client: { id: "cli", mode: "cli" } });
+    state.gw.stop();
+    var hello = mock.requests.filter(function (r) { return r.method === "connect"; }).pop();
+    assert.strictEqual(hello.params.client.id, "cli");
+    assert.strictEqual(hello.params.client.mode, "cli");
+    assert.strictEqual(hello.params.client.version, "standalone-1.0");
+  });
+
+  await t.test("streams a reply as seq-numbered chat events", async function () {
+    var state = await connect(mock);
+    try {
+      mock.queue({ text: "Hello from the mock", chunks: 3, delayMs: 5 });
+      var res = await state.gw.request("chat.send", {
+        sessionKey: "agent:main:stream",
+        message: "hi",
+        deliver: false,
+        idempotencyKey: "run-stream"
+      });
+      assert.deepStrictEqual(res, { runId: "run-stream", status: "started" });
+
+      await helpers.waitFor(function () {
+        return chatEvents(state, "agent:main:stream").some(function (e) { return e.payload.state === "final"; });
+      }, 3000, "final");
+      var events = chatEvents(state, "agent:main:stream");
+      var states = events.map(function (e) { return e.payload.state; });
+      assert.deepStrictEqual(states, ["delta", "delta", "delta", "final"]);
+      for (var i = 1; i < events.length; i++) {
+        assert.strictEqual(events[i].seq, events[i - 1].seq + 1);
+      }
+      assert.strictEqual(events[3].payload.message.content[0].text, "Hello from the mock");
+
+      var history = await state.gw.request("chat.history", { sessionKey: "agent:main:stream" });
+      assert.deepStrictEqual(history.messages.map(function (m) { return m.role; }), ["user", "assistant"]);
+    } finally {
+      state.gw.stop();
+    }
+  });
+
+  await t.test("re-sending an idempotency key does not start a second run", async function () {
+    var state = await connect(mock);
+    try {
+      mock.queue({ end: "none" });
+      var params = { sessionKey: "agent:main:idem", message: "once", deliver: false, idempotencyKey: "run-idem" };
+      await state.gw.request("chat.send", params);
+      var again = await state.gw.request("chat.send", params);
+      assert.strictEqual(again.status, "in_flight");
+      assert.strictEqual(mock.sessions["agent:main:idem"].messages.length, 1);
+      await state.gw.request("chat.abort", { sessionKey: "agent:main:idem" });
+    } finally {
+      state.gw.stop();
+    }
+  });
+
+  await t.test("takes image attachments and refuses anything else", async function () {
+    var state = await connect(mock);
+    try {
+      var image = { type: "image", mimeType: "image/png", fileName: "dot.png", content: "iVBORw0KGgo=" };
+      await state.gw.request("chat.send", { sessionKey: "agent:main:attach", message: "see", deliver: false, attachments: [image] });
+      var content = mock.sessions["agent:main:attach"].messages[0].content;
+      assert.deepStrictEqual(content[1], { type: "image", data: "iVBORw0KGgo=", mimeType: "image/png", fileName: "dot.png" });
+
+      var text = { type: "text", text: "notes" };
+      await assert.rejects(state.gw.request("chat.send", { sessionKey: "agent:main:attach", message: "see", attachments: [text] }), /only images/);
+      var raw = { type: "image", mimeType: "image/png", data: "iVBORw0KGgo=" };
+      await assert.rejects(state.gw.request("chat.send", { sessionKey: "agent:main:attach", message: "see", attachments: [raw] }), /base64/);
+    } finally {
+      state.gw.stop();
+    }
+  });
+
+  await t.test("reports error and aborted runs", async function () {
+    var state = await connect(mock);
+    try {
+      mock.queue({ end: "error", errorMessage: "model fell over", delayMs: 5 });
+      await state.gw.request("chat.send", { sessionKey: "agent:main:err", message: "x", deliver: false, idempotencyKey: "run-err" });
+      var error = await helpers.waitFor(function () {
+        return chatEvents(state, "agent:main:err").filter(function (e) { return e.payload.state === "error"; })[0];
+      }, 3000, "error event");
+      assert.strictEqual(error.payload.errorMessage, "model fell over");
+
+      mock.queue({ end: "none", delayMs: 5 });
+      await state.gw.request("chat.send", { sessionKey: "agent:main:stop", message: "x", deliver: false, idempotencyKey: "run-stop" });
+      var res = await state.gw.request("chat.abort", { sessionKey: "agent:main:stop", runId: "run-stop" });
+      assert.deepStrictEqual(res.runIds, ["run-stop"]);
+      await helpers.waitFor(function () {
+        return chatEvents(state, "agent:main:stop").some(function (e) { return e.payload.state === "aborted"; });
+      }, 3000, "aborted event");
+    } finally {
+      state.gw.stop();
+    }
+  });
+
+  await t.test("sessions.reset clears history", async function () {
+    var state = await connect(mock);
+    try {
+      mock.session("agent:main:reset").messages.push({ role: "user", content: "old", timestamp: 1 });
+      await state.gw.request("sessions.reset", { key: "agent:main:reset", reason: "new" });
+      var history = await state.gw.request("chat.history", { sessionKey: "agent:main:reset" });
+      assert.strictEqual(history.messages.length, 0);
+      var models = await state.gw.request("models.list", {});
+      assert.ok(models.models.length > 0);
+    } finally {
+      state.gw.stop();
+    }
+  });
+
+  await t.test("patches, lists and deletes sessions", async function () {
+    var state = await connect(mock);
+    try {
+      var gw = state.gw;
+      await gw.request("sessions.patch", { key: "agent:main:notes", label: "Notes", model: "ollama/deepseek-r1:8b" });
+      var list = await gw.request("sessions.list", {});
+      var entry = list.sessions.filter(function (s) { return s.key === "agent:main:notes"; })[0];
+      assert.strictEqual(entry.label, "Notes");
+      assert.strictEqual(entry.modelProvider, "ollama");
+      assert.strictEqual(entry.model, "deepseek-r1:8b");
+
+      await assert.rejects(gw.request("sessions.patch", { key: "agent:main:notes", model: "ollama/nope" }), /unknown model/);
+      await assert.rejects(gw.request("sessions.delete", { key: "agent:main:main" }), /cannot be deleted/);
+
+      var res = await gw.request("sessions.delete", { key: "agent:main:notes", deleteTranscript: true });
+      assert.strictEqual(res.deleted, true);
+      assert.ok(!mock.sessions["agent:main:notes"]);
+    } finally {
+      state.gw.stop();
+    }
+  });
+
+  await t.test("rejects server errors with a GatewayError", async function () {
+    var state = await connect(mock);
+    try {
+      await assert.rejects(state.gw.request("no.such.method", {}), function (err) {
+        assert.ok(err instanceof Gateway.GatewayError);
+        assert.strictEqual(err.code, "server");
+        assert.strictEqual(err.serverCode, "INVALID_REQUEST");
+        return true;
+      });
+    } finally {
+      state.gw.stop();
+    }
+  });
+
+  await t.test("rejects aborted and disconnected requests", async function () {
+    var state = await connect(mock);
+    var controller = new AbortController();
+    controller.abort();
+    await assert.rejects(state.gw.request("chat.history", { sessionKey: "x" }, { signal: controller.signal }), { code: "aborted" });
+
+    var pending = state.gw.request("chat.history", { sessionKey: "x" }, { retries: 0 });
+    state.gw.stop();
+    await assert.rejects(pending, { code: "disconnected" });
+    await assert.rejects(state.gw.request("chat.history", { sessionKey: "x" }, { retries: 0 }), { code: "disconnected" });
+  });
+
+  await t.test("flags a seq gap", async function () {
+    var state = await connect(mock);
+    try {
+      mock.broadcast("tick", {});
+      mock.skipSeq(2);
+      mock.broadcast("tick", {});
+      var gap = await helpers.waitFor(function () { return state.gaps[0]; }, 3000, "gap");
+      assert.strictEqual(gap.reason, "gap");
+      assert.strictEqual(gap.received - gap.expected, 2);
+    } finally {
+      state.gw.stop();
+    }
+  });
+
+  await t.test("reconnects after the socket drops and asks for a resync", async function () {
+    var state = await connect(mock);
+    try {
+      state.hello = null;
+      mock.dropClients();
+      await helpers.waitFor(function () { return state.closes.length > 0; }, 3000, "close");
+      await helpers.waitFor(function () { return state.hello; }, 5000, "second hello");
+      assert.deepStrictEqual(state.gaps, [{ reason: "reconnect" }]);
+    } finally {
+      state.gw.stop();
+    }
+  });
+
+  await t.test("reports its state in diagnostics()", async function () {
+    var state = await connect(mock);
+    try {
+      mock.broadcast("tick", {});
+      await helpers.waitFor(function () { return state.events.length; }, 3000, "event");
+      var diag = state.gw.diagnostics();
+      assert.strictEqual(diag.state, "open");
+      assert.strictEqual(diag.protocol, 3);
+      assert.strictEqual(diag.hello.type, "hello-ok");
+      assert.strictEqual(diag.pending, 0);
+      assert.strictEqual(diag.lastSeq, state.events[0].seq);
+      assert.deepStrictEqual(diag.closes, []);
+
+      mock.dropClients();
+      await helpers.waitFor(function () { return state.closes.length; }, 3000, "close");
+      diag = state.gw.diagnostics();
+      assert.strictEqual(diag.state, "waiting");
+      assert.ok(diag.reconnectAt > Date.now() - 100);
+      assert.strictEqual(diag.closes.length, 1);
+      assert.strictEqual(diag.closes[0].code, state.closes[0].code);
+      assert.strictEqual(diag.hello, null);
+    } finally {
+      state.gw.stop();
+    }
+    assert.strictEqual(state.gw.diagnostics().state, "stopped");
+  });
+
+  await t.test("captures frames and replays them without a socket", async function () {
+    var state = await connect(mock, { capture: 100 });
+    var capture;
+    try {
+      mock.queue({ text: "Captured reply", chunks: 3, delayMs: 20 });
+      await state.gw.request("chat.send", {
+        sessionKey: "agent:main:capture",
+        message: "record this",
+        deliver: false,
+        idempotencyKey: "run-capture"
+      });
+      await helpers.waitFor(function () {
+        return chatEvents(state, "agent:main:capture").some(function (e) { return e.payload.state === "final"; });
+      }, 3000, "final");
+      await state.gw.request("chat.history", { sessionKey: "agent:main:capture" });
+      capture = state.gw.capture();
+    } finally {
+      state.gw.stop();
+    }
+
+    assert.strictEqual(capture.format, "openclaw-frames");
+    var connectReq = capture.frames.filter(function (e) { return e.dir === "out" && e.frame.method === "connect"; })[0];
+    assert.strictEqual(connectReq.frame.params.auth.token, "(redacted)");
+    assert.ok(capture.frames.every(function (e) { return e.t > 0 && e.size > 0; }));
+
+    // played back into a client that never opens a socket
+    var replayed = { hello: null, events: [], history: null };
+    var player = new Gateway({
+      url: "ws://127.0.0.1:9",
+      logger: quiet,
+      onHello: function (hello) { replayed.hello = hello; },
+      onEvent: function (evt) {
+        replayed.events.push(evt);
+        // the UI reloads history on final; the capture answers it
+        if (evt.payload && evt.payload.state === "final") {
+          replayed.history = player.request("chat.history", { sessionKey: evt.payload.sessionKey });
+        }
+      }
+    });
+    var result = await player.replay(JSON.parse(JSON.stringify(capture)), { speed: 4 });
+    assert.deepStrictEqual(result, { events: state.events.length, cancelled: false });
+    assert.strictEqual(replayed.hello.type, "hello-ok");
+    assert.deepStrictEqual(replayed.events, state.events);
+    var history = await replayed.history;
+    assert.deepStrictEqual(history.messages.map(function (m) { return m.role; }), ["user", "assistant"]);
+    await assert.rejects(player.request("health", {}), function (err) { return err.code === "disconnected"; });
+    await assert.rejects(player.replay({ format: "something-else", frames: [] }), /unknown capture format/);
+  });
+
+  await t.test("closes with 4008 when the token is rejected", async function () {
+    var closes = [];
+    var gw = new Gateway({
+      url: mock.wsUrl(),
+      token: "wrong",
+      WebSocket: WebSocket,
+      logger: quiet,
+      reconnect: false,
+      onClose: function (info) { closes.push(info); }
+    });
+    gw.start();
+    var info = await helpers.waitFor(function () { return closes[0]; }, 3000, "close");
+    gw.stop();
+    assert.strictEqual(info.code, 4008);
+    assert.match(info.reason, /unauthorized/);
+  });
+
+  await t.test("stops reconnecting after an auth rejection until reconnect()", async function () {
+    var closes = [];
+    var hellos = 0;
+    var gw = new Gateway({
+      url: mock.wsUrl(),
+      token: "wrong",
+      WebSocket: WebSocket,
+      logger: quiet,
+      onHello: function () { hellos++; },
+      onClose: function (info) { closes.push(info); }
+    });
+    try {
+      gw.start();
+      await helpers.waitFor(function () { return closes[0]; }, 3000, "close");
+      assert.strictEqual(closes[0].authFailed, true);
+      assert.strictEqual(gw.authFailed(), true);
+      // well past the first backoff step
+      await helpers.sleep(1200);
+      assert.strictEqual(closes.length, 1);
+      assert.strictEqual(mock.clientCount(), 0);
+
+      gw.setToken(mock.token);
+      gw.reconnect();
+      await helpers.waitFor(function () { return hellos === 1; }, 3000, "hello");
+      assert.strictEqual(gw.authFailed(), false);
+    } finally {
+      gw.stop();
+    }
+  });
+});
+
+// localStorage stand-in
+function memoryStorage() {
+  var data = {};
+  return {
+    getItem: function (k) { return Object.prototype.hasOwnProperty.call(data, k) ? data[k] : null; },
+    setItem: function (k, v) { data[k] = String(v); },
+    removeItem: function (k) { delete data[k]; }
+  };
+}
+
+test("Gateway device identity", async function (t) {
+  var mock = await helpers.startMock({ pairing: "manual" });
+  t.after(function () { return mock.stop(); });
+
+  await t.test("signs the challenge and keeps the key across connects", async function () {
+    // a gateway that pairs new devices on sight, like it does for loopback
+    var local = await helpers.startMock();
+    t.after(function () { return local.stop(); });
+    var storage = memoryStorage();
+    var state = await connect(local, { storage: storage });
+    var deviceId = state.gw.deviceId();
+    var diag = state.gw.diagnostics();
+    state.gw.stop();
+    assert.match(deviceId, /^[0-9a-f]{64}$/);
+    // the device token stays out of diagnostics
+    assert.strictEqual(diag.hello.auth.deviceToken, "(redacted)");
+    assert.strictEqual(diag.deviceId, deviceId);
+
+    var hello = local.requests.filter(function (r) { return r.method === "connect"; }).pop();
+    assert.strictEqual(hello.params.device.id, deviceId);
+    assert.ok(hello.params.device.nonce);
+    assert.ok(hello.params.device.signature);
+    assert.ok(local.devices[deviceId]);
+
+    // second time round: same key, and the device token instead of the shared one
+    var again = await connect(local, { storage: storage, token: null });
+    again.gw.stop();
+    assert.strictEqual(again.gw.deviceId(), deviceId);
+    var second = local.requests.filter(function (r) { return r.method === "connect"; }).pop();
+    assert.strictEqual(second.params.auth.token, local.devices[deviceId].token);
+  });
+
+  await t.test("waits for pairing, then connects with its device token", async function () {
+    var storage = memoryStorage();
+    var pairings = [];
+    var hellos = [];
+    var gw = new Gateway({
+      url: mock.wsUrl(),
+      WebSocket: WebSocket,
+      logger: quiet,
+      storage: storage,
+      onPairing: function (info) { pairings.push(info); },
+      onHello: function (hello) { hellos.push(hello); }
+    });
+    t.after(function () { gw.stop(); });
+    gw.start();
+
+    var pairing = await helpers.waitFor(function () { return pairings[0]; }, 3000, "pairing");
+    assert.strictEqual(pairing.deviceId, gw.deviceId());
+    var request = mock.pairRequests[pairing.requestId];
+    assert.ok(request, "pair request on the gateway");
+
+    // an operator approves it from a connected client
+    var operator = await connect(mock);
+    var pending = await operator.gw.request("device.pair.list", {});
+    assert.strictEqual(pending.pending[0].deviceId, gw.deviceId());
+    await operator.gw.request("device.pair.approve", { requestId: pairing.requestId });
+    operator.gw.stop();
+
+    var hello = await helpers.waitFor(function () { return hellos[0]; }, 5000, "hello after approval");
+    var issued = hello.auth.deviceToken;
+    assert.ok(issued);
+    assert.strictEqual(JSON.parse(storage.getItem("openclaw-device-token")).token, issued);
+    var last = mock.requests.filter(function (r) { return r.method === "connect"; }).pop();
+    assert.strictEqual(last.params.device.id, gw.deviceId());
+  });
+
+  await t.test("keeps its device token through a transient connect error", async function () {
+    var storage = memoryStorage();
+    mock.pairing = "auto";
+    var state = await connect(mock, { storage: storage });
+    mock.pairing = "manual";
+    state.gw.stop();
+    var saved = JSON.parse(storage.getItem("openclaw-device-token")).token;
+    assert.ok(saved);
+
+    mock.failNext("connect", "UNAVAILABLE", "rate limited, try again");
+    var again = await connect(mock, { storage: storage, token: null });
+    again.gw.stop();
+    assert.strictEqual(again.closes[0].code, 4008);
+    // reconnected with the same device token, no pairing again
+    assert.strictEqual(JSON.parse(storage.getItem("openclaw-device-token")).token, saved);
+    var last = mock.requests.filter(function (r) { return r.method === "connect"; }).pop();
+    assert.strictEqual(last.params.auth.token, saved);
+  });
+
+  await t.test("drops a device token the gateway no longer accepts", async function () {
+    var storage = memoryStorage();
+    mock.pairing = "auto";
+    var state = await connect(mock, { storage: storage });
+    mock.pairing = "manual";
+    var deviceId = state.gw.deviceId();
+    state.gw.stop();
+    assert.ok(storage.getItem("openclaw-device-token"));
+
+    // revoked on the gateway side, and connecting without the shared token
+    mock.devices[deviceId].token = "revoked";
+    var closes = [];
+    var gw = new Gateway({
+      url: mock.wsUrl(),
+      WebSocket: WebSocket,
+      logger: quiet,
+      storage: storage,
+      reconnect: false,
+      onClose: function (info) { closes.push(info); }
+    });
+    gw.start();
+    await helpers.waitFor(function () { return closes[0]; }, 3000, "close");
+    gw.stop();
+    assert.strictEqual(storage.getItem("openclaw-device-token"), null);
+    // the identity itself stays
+    assert.strictEqual(JSON.parse(storage.getItem("openclaw-device-identity")).deviceId, deviceId);
+  });
+});
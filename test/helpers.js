@@ -0,0 +1,168 @@
+/* helpers.js -- shared setup for the test suite
+ *
+ * startMock() runs dev/mock-gateway.js on a free port; loadUI() opens the
+ * page it serves in jsdom with real scripts and a real WebSocket.
+ * loadUI opts: token (null = none in the URL), query (more URL params),
+ * webCrypto, noWait, beforeParse, tabs (a tabGroup(), for pages that
+ * should see each other as tabs of one browser).
+ */
+
+"use strict";
+
+var jsdom = require("jsdom");
+var MockGateway = require("../dev/mock-gateway.js");
+
+function startMock(opts) {
+  var mock = new MockGateway(Object.assign({ port: 0, token: "test-token" }, opts));
+  return mock.start();
+}
+
+// polls until fn() returns something truthy
+function waitFor(fn, timeoutMs, label) {
+  var limit = Date.now() + (timeoutMs || 3000);
+  return new Promise(function (resolve, reject) {
+    (function poll() {
+      var value;
+      try { value = fn(); } catch (e) { value = null; }
+      if (value) return resolve(value);
+      if (Date.now() > limit) return reject(new Error("timed out waiting for " + (label || "condition")));
+      setTimeout(poll, 10);
+    })();
+  });
+}
+
+// jsdom has neither BroadcastChannel nor Web Locks. A tab group lends
+// its pages Node's BroadcastChannel, under names no other group uses,
+// and a lock manager that grants in request order and frees a lock when
+// the callback's promise settles or the page holding it closes.
+var tabGroups = 0;
+
+function tabGroup() {
+  var prefix = "tabs" + (++tabGroups) + ":";
+  var locks = {};   // name -> { holder, waiting } of { window, grant }
+
+  function next(name) {
+    var lock = locks[name];
+    var waiter = lock.waiting.shift();
+    lock.holder = waiter || null;
+    if (waiter) waiter.grant();
+  }
+
+  return {
+    join: function (window) {
+      var channels = [];
+      window.BroadcastChannel = function (name) {
+        var channel = new BroadcastChannel(prefix + name);
+        channels.push(channel);
+        return channel;
+      };
+      Object.defineProperty(window.navigator, "locks", {
+        value: {
+          request: function (name, callback) {
+            var lock = locks[name] = locks[name] || { holder: null, waiting: [] };
+            return new Promise(function (resolve) {
+              var waiter = {
+                window: window,
+                grant: function () {
+                  var held = Promise.resolve(callback({ name: name }));
+                  resolve(held);
+                  held.then(function () {
+                    if (lock.holder === waiter) next(name);
+                  });
+                }
+              };
+              lock.waiting.push(waiter);
+              if (!lock.holder) next(name);
+            });
+          }
+        }
+      });
+      var close = window.close.bind(window);
+      window.close = function () {
+        window.dispatchEvent(new window.Event("pagehide"));
+        channels.forEach(function (channel) { channel.close(); });
+        Object.keys(locks).forEach(function (name) {
+          var lock = locks[name];
+          lock.waiting = lock.waiting.filter(function (w) { return w.window !== window; });
+          if (lock.holder && lock.holder.window === window) next(name);
+        });
+        close();
+      };
+    }
+  };
+}
+
+function sleep(ms) {
+  return new Promise(function (resolve) { setTimeout(resolve, ms); });
+}
+
+// jsdom lacks a few browser APIs chat.js touches; errors from the page
+// are collected so tests can assert there were none
+function loadUI(mock, opts) {
+  opts = opts || {};
+  var errors = [];
+  var virtualConsole = new jsdom.VirtualConsole();
+  virtualConsole.on("error", function (msg) { errors.push(msg); });
+  virtualConsole.on("jsdomError", function (err) { errors.push(err.message); });
+
+  // only the mock's own files; fonts and other remote links are skipped
+  var loader = new jsdom.ResourceLoader();
+  var load = loader.fetch.bind(loader);
+  loader.fetch = function (url, options) {
+    return url.indexOf(mock.url()) === 0 ? load(url, options) : null;
+  };
+
+  var token = opts.token !== undefined ? opts.token : mock.token;
+  var query = [token ? "token=" + token : "", opts.query || ""].filter(Boolean).join("&");
+  return jsdom.JSDOM.fromURL(mock.url() + (query ? "?" + query : ""), {
+    runScripts: "dangerously",
+    resources: loader,
+    pretendToBeVisual: true,
+    virtualConsole: virtualConsole,
+    beforeParse: function (window) {
+      window.fetch = function (url, init) {
+        return fetch(new URL(url, window.location.href), init);
+      };
+      window.matchMedia = function () {
+        return { matches: false, addEventListener: function () {}, removeEventListener: function () {} };
+      };
+      window.HTMLElement.prototype.scrollIntoView = function () {};
+      window.confirm = function () { return true; };
+      // jsdom has no SubtleCrypto; lend it Node's for device-identity tests
+      if (opts.webCrypto) {
+        Object.defineProperty(window.crypto, "subtle", { value: globalThis.crypto.subtle });
+        if (!window.TextEncoder) window.TextEncoder = TextEncoder;
+      }
+      if (opts.tabs) opts.tabs.join(window);
+      if (opts.beforeParse) opts.beforeParse(window);
+    }
+  }).then(function (dom) {
+    var page = { dom: dom, window: dom.window, document: dom.window.document, errors: errors };
+    return waitFor(function () {
+      return dom.window.document.readyState === "complete" && (opts.noWait || mock.clientCount() > 0);
+    }, 10000, "the UI to connect").then(function () { return page; });
+  });
+}
+
+// type into the compose box and press Send
+function send(page, text) {
+  var doc = page.document;
+  var input = doc.getElementById("compose-input");
+  input.value = text;
+  input.dispatchEvent(new page.window.Event("input", { bubbles: true }));
+  doc.getElementById("btn-send").click();
+}
+
+function threadText(page) {
+  return page.document.getElementById("chat-thread").textContent;
+}
+
+module.exports = {
+  startMock: startMock,
+  waitFor: waitFor,
+  sleep: sleep,
+  loadUI: loadUI,
+  tabGroup: tabGroup,
+  send: send,
+  threadText: threadText
+};
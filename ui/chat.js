@@ -1,7 +1,7 @@
 /* chat.js -- UI controller for OpenClaw standalone chat
  *
  * Wires Gateway events to DOM. No template literals.
- * Depends on: gateway.js, marked.js, DOMPurify
+ * Depends on: gateway.js, tabs.js, marked.js, DOMPurify
  */
 
 (function () {
@@ -18,17 +18,88 @@
   var statusDot  = document.getElementById("status-dot");
   var nameEl     = document.getElementById("assistant-name");
   var themeBtn   = document.getElementById("theme-toggle");
+  var appEl      = document.getElementById("app");
+  var sessionList = document.getElementById("session-list");
+  var btnSessionNew = document.getElementById("btn-session-new");
+  var btnSidebar = document.getElementById("sidebar-toggle");
+  var searchInput = document.getElementById("search-input");
+  var chatPage = document.querySelector(".chat-page");
+  var btnAttach = document.getElementById("btn-attach");
+  var attachFile = document.getElementById("attach-file");
+  var attachTray = document.getElementById("attach-tray");
+  var commandMenu = document.getElementById("command-menu");
+  var composeHint = document.getElementById("compose-hint");
+  var btnWorkspace = document.getElementById("btn-workspace");
+  var ctxMeter = document.getElementById("ctx-meter");
+  var paletteEl = document.getElementById("palette");
+  var paletteInput = document.getElementById("palette-input");
+  var paletteList = document.getElementById("palette-list");
+  var helpPanel = document.getElementById("help-panel");
+  var helpList = document.getElementById("keys-list");
+  var btnHelpClose = document.getElementById("btn-help-close");
+  var btnKeysReset = document.getElementById("btn-keys-reset");
+  var loginPanel = document.getElementById("login-panel");
+  var loginForm  = document.getElementById("login-form");
+  var loginToken = document.getElementById("login-token");
+  var loginError = document.getElementById("login-error");
+  var btnLoginPair = document.getElementById("btn-login-pair");
+  var btnSignout = document.getElementById("btn-signout");
+  var diagPanel  = document.getElementById("diag-panel");
+  var diagState  = document.getElementById("diag-state");
+  var diagList   = document.getElementById("diag-list");
+  var diagCloses = document.getElementById("diag-closes");
+  var diagHello  = document.getElementById("diag-hello");
+  var btnDiagClose = document.getElementById("btn-diag-close");
+  var btnDiagReconnect = document.getElementById("btn-diag-reconnect");
+  var btnDiagCopy = document.getElementById("btn-diag-copy");
+  var framesPanel = document.getElementById("frames-panel");
+  var framesMeta = document.getElementById("frames-meta");
+  var framesFilter = document.getElementById("frames-filter");
+  var framesDir  = document.getElementById("frames-dir");
+  var framesList = document.getElementById("frames-list");
+  var framesFile = document.getElementById("frames-file");
+  var btnFramesClose = document.getElementById("btn-frames-close");
+  var btnFramesClear = document.getElementById("btn-frames-clear");
+  var btnFramesLive = document.getElementById("btn-frames-live");
+  var btnFramesReplay = document.getElementById("btn-frames-replay");
+  var btnFramesSave = document.getElementById("btn-frames-save");
+  var ctxMeterFill = document.getElementById("ctx-meter-fill");
+  var ctxMeterLabel = document.getElementById("ctx-meter-label");
+  var workspacePanel = document.getElementById("workspace-panel");
+  var wsList = document.getElementById("ws-list");
+  var wsTotal = document.getElementById("ws-total");
+  var wsNote = document.getElementById("ws-note");
+  var wsEditor = document.getElementById("ws-editor");
+  var wsName = document.getElementById("ws-name");
+  var wsText = document.getElementById("ws-text");
+  var wsPreviewEl = document.getElementById("ws-preview");
+  var wsStatus = document.getElementById("ws-status");
+  var btnWsSave = document.getElementById("btn-ws-save");
+  var btnWsRevert = document.getElementById("btn-ws-revert");
+  var btnWsPreview = document.getElementById("btn-ws-preview");
+  var btnWsReset = document.getElementById("btn-ws-reset");
+  var btnWsClose = document.getElementById("btn-ws-close");
+  var searchResults = document.getElementById("search-results");
+  var modelSelect = document.getElementById("model-select");
+  var btnExport  = document.getElementById("btn-export");
+  var exportList = document.getElementById("export-list");
+  var importFile = document.getElementById("import-file");
+  var approvalPanel = document.getElementById("approval-panel");
+  var approvalLogEl = document.getElementById("approval-log");
 
   // ── state ─────────────────────────────────────────────
 
   var gw           = null;
-  var sessionKey   = "main";
-  var messages     = [];
-  var runId        = null;
-  var streamText   = null;
+  var sessionKey   = "main";   // active session
+  var mainSessionKey = "main";
+  var sessions     = {};       // key -> session state, see getSession()
+  var sessionOrder = [];       // keys in sessions.list order
+  var sessionResolved = false;
   var assistantName = "Assistant";
-  var modelName    = null;
+  var models       = [];       // models.list entries
+  var defaultModel = null;     // model ref for sessions without an override
   var isConnected  = false;
+  var gatewayMethods = [];     // hello-ok features.methods
 
   // ── helpers ───────────────────────────────────────────
 
@@ -45,6 +116,10 @@
     return null;
   }
 
+  function supports(method) {
+    return gatewayMethods.indexOf(method) !== -1;
+  }
+
   function uuid() {
     if (typeof crypto !== "undefined" && crypto.randomUUID) {
       return crypto.randomUUID();
@@ -62,10 +137,16 @@
     return text.replace(/Conversation info \(untrusted metadata\):[\s\S]*?\n\[.*?\]\s*/g, "").trim();
   }
 
+  // the visible answer; reasoning is split out (see extractThinking)
   function extractText(msg) {
+    var raw = rawText(msg);
+    return raw === null ? null : stripMeta(splitThinking(raw).answer);
+  }
+
+  function rawText(msg) {
     if (!msg) return null;
     var content = msg.content;
-    if (typeof content === "string") return stripMeta(content);
+    if (typeof content === "string") return content;
     if (Array.isArray(content)) {
       var parts = [];
       for (var i = 0; i < content.length; i++) {
@@ -74,18 +155,227 @@
           parts.push(block.text);
         }
       }
-      if (parts.length > 0) return stripMeta(parts.join("\n"));
+      if (parts.length > 0) return parts.join("\n");
     }
-    if (typeof msg.text === "string") return stripMeta(msg.text);
+    if (typeof msg.text === "string") return msg.text;
     return null;
   }
 
+  // ── reasoning ─────────────────────────────────────────
+  // Thinking models (deepseek-r1, qwen3) reason either in content blocks
+  // ({ type: "thinking", thinking }) or inline as <think>...</think> in
+  // the text, possibly still unclosed while streaming. Some chat templates
+  // open the tag in the prompt, so a lone </think> closes reasoning that
+  // started with the reply.
+
+  var THINK_RE = /<(think|thinking)>([\s\S]*?)(?:<\/\1>|$)/gi;
+  var hideThinking = getStoredHideThinking();
+
+  function getStoredHideThinking() {
+    try { return localStorage.getItem("openclaw-hide-thinking") === "1"; } catch (e) { return false; }
+  }
+
+  function splitThinking(text) {
+    if (!text || !/<\/?think(ing)?>/i.test(text)) return { thinking: "", answer: text || "" };
+    var thinking = [];
+    var lead = /^([\s\S]*?)<\/think(?:ing)?>/i.exec(text);
+    if (lead && !/<think(ing)?>/i.test(lead[1])) {
+      thinking.push(lead[1]);
+      text = text.slice(lead[0].length);
+    }
+    var answer = text.replace(THINK_RE, function (all, tag, body) {
+      thinking.push(body);
+      return "";
+    });
+    return { thinking: thinking.join("\n\n").trim(), answer: answer };
+  }
+
+  function extractThinking(msg) {
+    if (!msg) return null;
+    var parts = [];
+    if (typeof msg.thinking === "string") parts.push(msg.thinking);
+    if (typeof msg.reasoning_content === "string") parts.push(msg.reasoning_content);
+    if (Array.isArray(msg.content)) {
+      for (var i = 0; i < msg.content.length; i++) {
+        var block = msg.content[i];
+        if (!block) continue;
+        if (block.type === "thinking" && typeof block.thinking === "string") parts.push(block.thinking);
+        else if (block.type === "reasoning" && typeof block.text === "string") parts.push(block.text);
+      }
+    }
+    var inline = splitThinking(rawText(msg)).thinking;
+    if (inline) parts.push(inline);
+    var text = parts.join("\n\n").trim();
+    return text || null;
+  }
+
+  function setHideThinking(hide) {
+    hideThinking = hide;
+    try { localStorage.setItem("openclaw-hide-thinking", hide ? "1" : "0"); } catch (e) { /* noop */ }
+    // cached groups were drawn with the old setting
+    var keys = Object.keys(sessions);
+    for (var i = 0; i < keys.length; i++) sessions[keys[i]].groupCache = {};
+    renderThread();
+  }
+
+  // open while the model is still thinking, closed once the answer starts,
+  // unless the reader toggled it during this run
+  function renderThinking(text, msg) {
+    var details = document.createElement("details");
+    details.className = "chat-thinking";
+    var live = !!msg._streaming && !extractText(msg);
+    var s = msg._streaming ? active() : null;
+    details.open = s && s.thinkingOpen !== null ? s.thinkingOpen : live;
+
+    var summary = document.createElement("summary");
+    summary.className = "chat-thinking__summary" + (live ? " live" : "");
+    summary.textContent = live ? "Thinking..." : "Reasoning · ~" + formatTokens(estimateTokens(text)) + " tokens";
+    details.appendChild(summary);
+
+    var body = document.createElement("div");
+    body.className = "chat-thinking__body";
+    body.textContent = text;
+    details.appendChild(body);
+
+    var hide = document.createElement("button");
+    hide.type = "button";
+    hide.className = "chat-thinking__hide";
+    hide.textContent = "Always hide reasoning";
+    hide.title = "Bring it back with /thinking show";
+    hide.addEventListener("click", function () { setHideThinking(true); });
+    details.appendChild(hide);
+
+    // a click, not "toggle": setting .open fires that too
+    summary.addEventListener("click", function () {
+      if (s && s.streamText !== null) s.thinkingOpen = !details.open;
+    });
+    return details;
+  }
+
+  // user-facing text for a GatewayError (see gateway.js)
+  function describeError(err) {
+    if (!err) return "request failed";
+    if (err.code === "timeout") return "The gateway did not answer in time";
+    if (err.code === "disconnected") return "Lost connection to the gateway";
+    if (err.code === "aborted") return "Cancelled";
+    return err.message || "request failed";
+  }
+
+  // ── markdown ──────────────────────────────────────────
+  // marked + DOMPurify, with two additions: fenced code goes through
+  // highlight.js and gets a toolbar (language badge, copy, download),
+  // and $...$ / $$...$$ become MathML via KaTeX. All three libraries are
+  // vendored next to this file. An unterminated fence still parses as a
+  // code block, so blocks highlight while they stream.
+
+  var HIGHLIGHT_MAX = 20000;    // longer blocks stay plain
+  var AUTODETECT_MAX = 3000;    // guessing the language is the slow part
+
+  var CODE_EXTENSIONS = {
+    bash: "sh", shell: "sh", sh: "sh", zsh: "sh", python: "py", javascript: "js",
+    typescript: "ts", json: "json", yaml: "yml", markdown: "md", rust: "rs",
+    ruby: "rb", kotlin: "kt", csharp: "cs", cpp: "cpp", c: "c", go: "go",
+    java: "java", php: "php", sql: "sql", xml: "xml", html: "html", css: "css",
+    scss: "scss", lua: "lua", swift: "swift", diff: "diff", ini: "ini",
+    makefile: "mk", r: "r", perl: "pl", dockerfile: "Dockerfile"
+  };
+
+  function highlightCode(code, lang) {
+    var hl = window.hljs;
+    if (!hl || code.length > HIGHLIGHT_MAX) return { html: escapeHtml(code), lang: lang };
+    try {
+      if (lang && hl.getLanguage(lang)) {
+        return { html: hl.highlight(code, { language: lang, ignoreIllegals: true }).value, lang: lang };
+      }
+      if (!lang && code.length <= AUTODETECT_MAX) {
+        var guess = hl.highlightAuto(code);
+        if (guess.language && guess.relevance >= 5) return { html: guess.value, lang: guess.language };
+      }
+    } catch (e) {
+      console.warn("[chat] highlight failed:", e.message);
+    }
+    return { html: escapeHtml(code), lang: lang };
+  }
+
+  function renderCodeBlock(token) {
+    var lang = (token.lang || "").trim().split(/\s+/)[0].toLowerCase();
+    var out = highlightCode(token.text, lang);
+    var label = out.lang || "text";
+    return "<div class=\"code-block\">"
+      + "<div class=\"code-block__bar\">"
+      + "<span class=\"code-block__lang\">" + escapeHtml(label) + "</span>"
+      + "<span class=\"code-block__actions\">"
+      + "<button type=\"button\" class=\"code-block__btn\" data-code-action=\"copy\">Copy</button>"
+      + "<button type=\"button\" class=\"code-block__btn\" data-code-action=\"download\" data-code-lang=\"" + escapeHtml(label) + "\">Download</button>"
+      + "</span></div>"
+      + "<pre><code class=\"hljs" + (out.lang ? " language-" + escapeHtml(out.lang) : "") + "\">" + out.html + "</code></pre>"
+      + "</div>";
+  }
+
+  function renderMath(tex, display) {
+    try {
+      return window.katex.renderToString(tex, { displayMode: display, output: "mathml", throwOnError: false });
+    } catch (e) {
+      return "<code>" + escapeHtml(tex) + "</code>";
+    }
+  }
+
+  // inline math follows pandoc: no space inside the dollars and no digit
+  // right after the closing one, so "$5 and $10" stays text
+  var mathBlock = {
+    name: "mathBlock",
+    level: "block",
+    start: function (src) { return src.indexOf("$$"); },
+    tokenizer: function (src) {
+      var m = /^\$\$([\s\S]+?)\$\$[ \t]*(?:\n|$)/.exec(src);
+      if (m && window.katex) return { type: "mathBlock", raw: m[0], text: m[1].trim() };
+    },
+    renderer: function (token) { return "<div class=\"math-block\">" + renderMath(token.text, true) + "</div>"; }
+  };
+
+  var mathInline = {
+    name: "mathInline",
+    level: "inline",
+    start: function (src) { return src.indexOf("$"); },
+    tokenizer: function (src) {
+      var m = /^\$([^\s$](?:[^$\n]*?[^\s$\\])?)\$(?!\d)/.exec(src);
+      if (m && window.katex) return { type: "mathInline", raw: m[0], text: m[1] };
+    },
+    renderer: function (token) { return renderMath(token.text, false); }
+  };
+
+  marked.use({
+    extensions: [mathBlock, mathInline],
+    renderer: { code: renderCodeBlock }
+  });
+
   function renderMarkdown(text) {
     if (!text) return "";
     var html = marked.parse(text);
     return DOMPurify.sanitize(html);
   }
 
+  // one listener for every code toolbar, including ones redrawn mid-stream
+  document.addEventListener("click", function (e) {
+    var btn = e.target.closest ? e.target.closest("[data-code-action]") : null;
+    if (!btn) return;
+    var block = btn.closest(".code-block");
+    var code = block && block.querySelector("pre code");
+    if (!code) return;
+    var text = code.textContent;
+    if (btn.getAttribute("data-code-action") === "copy") {
+      copyText(text).then(function () {
+        btn.textContent = "Copied";
+        setTimeout(function () { btn.textContent = "Copy"; }, 1200);
+      }, function (err) {
+        console.error("[chat] copy error:", err);
+      });
+    } else {
+      var ext = CODE_EXTENSIONS[btn.getAttribute("data-code-lang")] || "txt";
+      download(ext === "Dockerfile" ? ext : "snippet." + ext, "text/plain", text);
+    }
+  });
+
   function formatTime(ts) {
     if (!ts) return "";
     var d = new Date(ts);
@@ -96,13 +386,6 @@
     return h + ":" + (m < 10 ? "0" : "") + m + " " + ampm;
   }
 
-  function scrollToBottom() {
-    // slight delay so DOM updates render first
-    requestAnimationFrame(function () {
-      thread.scrollTop = thread.scrollHeight;
-    });
-  }
-
   // ── header status ─────────────────────────────────────
   // states: disconnected, connecting, idle, thinking, responding, error
 
@@ -115,7 +398,7 @@
     // status dot
     var dotState = (status === "idle" || status === "thinking" || status === "responding")
       ? "connected"
-      : status === "connecting" ? "connecting" : "disconnected";
+      : status === "connecting" || status === "pairing" ? "connecting" : "disconnected";
     statusDot.className = "status-dot status-dot--" + dotState;
     statusDot.title = dotState.charAt(0).toUpperCase() + dotState.slice(1);
 
@@ -128,6 +411,12 @@
     } else if (status === "connecting") {
       nameEl.textContent = "Connecting";
       nameEl.classList.add("status--connecting");
+    } else if (status === "pairing") {
+      nameEl.textContent = "Awaiting pairing";
+      nameEl.classList.add("status--connecting");
+    } else if (status === "signed-out") {
+      nameEl.textContent = "Signed out";
+      nameEl.classList.add("status--disconnected");
     } else if (status === "thinking" || status === "responding") {
       nameEl.textContent = "Connected";
     } else if (status === "error") {
@@ -198,6 +487,7 @@
     }
 
     setStoredTheme(next);
+    tellTabs({ type: "theme", theme: next });
   }
 
   // init theme from storage or system preference
@@ -212,313 +502,4734 @@
 
   themeBtn.addEventListener("click", toggleTheme);
 
-  // ── render ────────────────────────────────────────────
+  // ── sessions ──────────────────────────────────────────
+  // Each session keeps its own transcript and run state, so a run
+  // streaming in a background session survives switching away from it.
 
-  function renderThread() {
-    // clear everything except empty state
-    while (thread.firstChild) {
-      thread.removeChild(thread.firstChild);
+  function getSession(key) {
+    var s = sessions[key];
+    if (!s) {
+      s = {
+        key: key,
+        label: null,
+        model: null,        // "provider/id" override, null = gateway default
+        messages: [],
+        runId: null,
+        runStartedAt: null,
+        timing: null,       // clock for the current run (see usage)
+        runs: [],           // finished run timings, matched to messages by time
+        streamText: null,
+        streamThinking: null,
+        thinkingOpen: null, // reader's toggle of the live reasoning block
+        streamTools: [],    // tool calls seen during the current run
+        loaded: false,
+        loadError: null,
+        historyCtl: null,
+        historyLimit: HISTORY_PAGE,
+        historyComplete: false,
+        loadingOlder: false,
+        windowSize: THREAD_WINDOW,
+        groupCache: {},     // group key -> rendered node
+        heights: {},        // group key -> last measured height
+        scrollAnchor: null, // distance from bottom to restore after a render
+        focusTs: null,      // timestamp of a message to scroll to (search hit)
+        focusUntil: 0,
+        approvals: [],      // tool calls waiting on an operator decision
+        unread: false
+      };
+      sessions[key] = s;
     }
+    return s;
+  }
 
-    var allMessages = messages.slice();
+  function active() {
+    return getSession(sessionKey);
+  }
 
-    // if streaming, add a temporary assistant message
-    if (streamText !== null) {
-      allMessages.push({
-        role: "assistant",
-        content: [{ type: "text", text: streamText }],
-        _streaming: true
-      });
-    }
+  function isRunning(s) {
+    return s.runId !== null || s.streamText !== null;
+  }
 
-    if (allMessages.length === 0) {
-      thread.appendChild(emptyState);
-      emptyState.classList.remove("hidden");
-      return;
+  // the optimistic half of a send: the user's message and a run waiting
+  // for its first delta
+  function beginRun(s, message, runId) {
+    s.messages.push(message);
+    s.runId = runId;
+    s.streamText = "";
+    s.streamTools = [];
+    s.runStartedAt = Date.now();
+    startTiming(s);
+  }
+
+  function endRun(s) {
+    s.runId = null;
+    s.timing = null;
+    s.streamThinking = null;
+    s.thinkingOpen = null;
+    s.streamText = null;
+    s.streamTools = [];
+  }
+
+  function sessionTitle(s) {
+    if (s.label) return s.label;
+    var tail = s.key.slice(s.key.lastIndexOf(":") + 1);
+    return tail || s.key;
+  }
+
+  function getStoredSession() {
+    try { return localStorage.getItem("openclaw-session"); } catch (e) { return null; }
+  }
+
+  function setStoredSession(key) {
+    try { localStorage.setItem("openclaw-session", key); } catch (e) { /* noop */ }
+  }
+
+  // new keys share the agent prefix of the main session ("agent:main:")
+  function newSessionKey(name) {
+    var prefix = mainSessionKey.slice(0, mainSessionKey.lastIndexOf(":") + 1);
+    var slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 24);
+    return prefix + (slug || "chat") + "-" + uuid().slice(0, 6);
+  }
+
+  // header status for whichever session is on screen
+  function syncHeaderStatus() {
+    var s = active();
+    if (!isConnected) {
+      setHeaderStatus(offlineStatus());
+    } else if (s.runId !== null && !s.streamText) {
+      setHeaderStatus("thinking");
+    } else if (isRunning(s)) {
+      setHeaderStatus("responding");
+    } else {
+      setHeaderStatus("idle");
     }
-    emptyState.classList.add("hidden");
+  }
 
-    // group consecutive messages by role
-    var groups = [];
-    var currentGroup = null;
-    for (var i = 0; i < allMessages.length; i++) {
-      var msg = allMessages[i];
-      var role = msg.role || "assistant";
-      if (!currentGroup || currentGroup.role !== role) {
-        currentGroup = { role: role, messages: [] };
-        groups.push(currentGroup);
-      }
-      currentGroup.messages.push(msg);
+  function renderSessions() {
+    while (sessionList.firstChild) {
+      sessionList.removeChild(sessionList.firstChild);
     }
 
-    for (var g = 0; g < groups.length; g++) {
-      var group = groups[g];
-      var isUser = group.role === "user";
+    // sessions we know locally but the gateway hasn't listed yet
+    var keys = sessionOrder.slice();
+    var local = Object.keys(sessions);
+    for (var i = 0; i < local.length; i++) {
+      if (keys.indexOf(local[i]) === -1) keys.unshift(local[i]);
+    }
 
-      var groupEl = document.createElement("div");
-      groupEl.className = "chat-group" + (isUser ? " user" : "");
+    for (var k = 0; k < keys.length; k++) {
+      sessionList.appendChild(renderSessionItem(getSession(keys[k])));
+    }
 
-      // messages column
-      var msgsCol = document.createElement("div");
-      msgsCol.className = "chat-group-messages";
+    renderApprovalLog();
+  }
 
-      for (var m = 0; m < group.messages.length; m++) {
-        var msg = group.messages[m];
-        var text = extractText(msg);
-        if (!text && !msg._streaming) continue;
+  function renderSessionItem(s) {
+    var li = document.createElement("li");
+    li.className = "session-item";
+    if (s.key === sessionKey) li.className += " active";
+    if (s.unread) li.className += " unread";
+    if (s.approvals.length > 0) li.className += " needs-approval";
+    li.setAttribute("data-key", s.key);
 
-        var bubble = document.createElement("div");
-        bubble.className = "chat-bubble";
-        if (msg._streaming) bubble.className += " streaming";
+    var btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "session-item__open";
+    btn.title = s.key;
+    btn.addEventListener("click", function () { switchSession(s.key); });
 
-        var textDiv = document.createElement("div");
-        textDiv.className = "chat-text";
-        textDiv.innerHTML = renderMarkdown(text || "");
-        bubble.appendChild(textDiv);
+    var dot = document.createElement("span");
+    dot.className = "session-item__dot" + (isRunning(s) ? " running" : "");
+    btn.appendChild(dot);
 
-        msgsCol.appendChild(bubble);
-      }
+    var name = document.createElement("span");
+    name.className = "session-item__name";
+    name.textContent = sessionTitle(s);
+    btn.appendChild(name);
+    li.appendChild(btn);
 
-      // footer (name + time)
-      var lastMsg = group.messages[group.messages.length - 1];
-      var footer = document.createElement("div");
-      footer.className = "chat-group-footer";
+    var rename = document.createElement("button");
+    rename.type = "button";
+    rename.className = "session-item__action";
+    rename.title = "Rename";
+    rename.textContent = "✎";
+    rename.addEventListener("click", function () {
+      beginSessionEdit(li, sessionTitle(s), function (value) {
+        renameSession(s.key, value);
+      });
+    });
+    li.appendChild(rename);
 
-      var senderName = document.createElement("span");
-      senderName.className = "chat-sender-name";
-      senderName.textContent = isUser ? "You" : "Agent";
-      footer.appendChild(senderName);
+    // the gateway refuses to delete the main session
+    if (s.key !== mainSessionKey) {
+      var del = document.createElement("button");
+      del.type = "button";
+      del.className = "session-item__action session-item__action--danger";
+      del.title = "Delete";
+      del.textContent = "×";
+      del.addEventListener("click", function () { deleteSession(s.key); });
+      li.appendChild(del);
+    }
 
-      if (lastMsg.timestamp) {
-        var ts = document.createElement("span");
-        ts.className = "chat-group-timestamp";
-        ts.textContent = formatTime(lastMsg.timestamp);
-        footer.appendChild(ts);
-      }
+    return li;
+  }
 
-      msgsCol.appendChild(footer);
-      groupEl.appendChild(msgsCol);
-      thread.appendChild(groupEl);
+  // swap a list item's contents for an inline name field
+  function beginSessionEdit(li, initial, onCommit) {
+    while (li.firstChild) {
+      li.removeChild(li.firstChild);
     }
+    li.className = "session-item editing";
 
-    scrollToBottom();
-  }
+    var field = document.createElement("input");
+    field.type = "text";
+    field.className = "session-item__input";
+    field.value = initial || "";
+    field.placeholder = "Session name";
+    li.appendChild(field);
 
-  function updateButtons() {
-    var streaming = runId !== null;
-    if (streaming) {
-      btnSend.classList.add("hidden");
-      btnStop.classList.remove("hidden");
-    } else {
-      btnSend.classList.remove("hidden");
-      btnStop.classList.add("hidden");
+    var done = false;
+    function finish(commit) {
+      if (done) return;
+      done = true;
+      var value = field.value.trim();
+      if (commit && value) {
+        onCommit(value);
+      } else {
+        renderSessions();
+      }
     }
-    btnSend.disabled = !isConnected;
-    btnNew.disabled = !isConnected;
-  }
 
-  // ── actions ───────────────────────────────────────────
+    field.addEventListener("keydown", function (e) {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        finish(true);
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        finish(false);
+      }
+    });
+    field.addEventListener("blur", function () { finish(false); });
+
+    field.focus();
+    field.select();
+  }
 
-  function loadHistory() {
+  function refreshSessions() {
     if (!gw || !gw.connected()) return;
-    console.log("[chat] loadHistory request");
-    gw.request("chat.history", { sessionKey: sessionKey, limit: 200 })
+    gw.request("sessions.list", { limit: 100 })
       .then(function (res) {
-        messages = Array.isArray(res.messages) ? res.messages : [];
-        console.log("[chat] loadHistory got", messages.length, "messages");
-        renderThread();
+        var list = Array.isArray(res && res.sessions) ? res.sessions : [];
+        console.log("[chat] sessions.list got", list.length, "sessions");
+        var defaults = res && res.defaults;
+        if (defaults && defaults.model) {
+          defaultModel = modelRef(defaults.modelProvider, defaults.model);
+        }
+        sessionOrder = [];
+        for (var i = 0; i < list.length; i++) {
+          var entry = list[i];
+          if (!entry || !entry.key) continue;
+          var s = getSession(entry.key);
+          s.label = entry.label || entry.displayName || null;
+          s.model = entry.model ? modelRef(entry.modelProvider, entry.model) : null;
+          sessionOrder.push(entry.key);
+        }
+        renderSessions();
+        renderModelSelect();
       })
       .catch(function (err) {
-        console.error("[chat] loadHistory error:", err);
+        console.error("[chat] sessions.list error:", err);
       });
   }
 
-  function sendMessage() {
-    var text = input.value.trim();
-    if (!text || !gw || !gw.connected()) return;
-
-    // optimistic: add user message to thread immediately
-    messages.push({
-      role: "user",
-      content: [{ type: "text", text: text }],
-      timestamp: Date.now()
-    });
-
-    input.value = "";
-    autoGrow();
-
-    runId = uuid();
-    streamText = "";
-    console.log("[chat] sendMessage runId:", runId, "text:", text.slice(0, 80));
-    setHeaderStatus("thinking");
+  function switchSession(key) {
+    if (key === sessionKey) return;
+    console.log("[chat] switchSession:", sessionKey, "->", key);
+    sessionKey = key;
+    // a replay's session is this tab's alone: not stored, not shared
+    if (!replaying()) setStoredSession(key);
+    var s = active();
+    s.unread = false;
+    appEl.classList.remove("sidebar-open");
+    stickToBottom = true;
+    renderSessions();
     renderThread();
+    syncHeaderStatus();
     updateButtons();
+    renderModelSelect();
+    loadHistory(key);
+    input.focus();
+    tellTabs({ type: "session", key: key });
+  }
 
-    gw.request("chat.send", {
-      sessionKey: sessionKey,
-      message: text,
-      deliver: false,
-      idempotencyKey: runId
-    }).then(function (res) {
-      console.log("[chat] send OK:", JSON.stringify(res));
-      if (res && res.runId) {
-        runId = res.runId;
-        console.log("[chat] runId updated to server value:", runId);
-      }
-    }).catch(function (err) {
-      console.error("[chat] send error:", err);
-      messages.push({
-        role: "assistant",
-        content: [{ type: "text", text: "Error: " + err.message }],
-        timestamp: Date.now()
+  function createSession(name) {
+    if (!gw || !gw.connected()) return null;
+    var key = newSessionKey(name);
+    var s = getSession(key);
+    s.label = name;
+    s.loaded = true;
+    switchSession(key);
+    gw.request("sessions.patch", { key: key, label: name })
+      .then(refreshSessions)
+      .catch(function (err) {
+        console.error("[chat] create session error:", err);
       });
-      runId = null;
-      streamText = null;
-      setHeaderStatus("error");
-      renderThread();
-      updateButtons();
-      setTimeout(function () { if (!runId) setHeaderStatus("idle"); }, 3000);
-    });
+    return key;
   }
 
-  function abortRun() {
+  function renameSession(key, name) {
     if (!gw || !gw.connected()) return;
-    var params = { sessionKey: sessionKey };
-    if (runId) params.runId = runId;
-    gw.request("chat.abort", params).catch(function (err) {
-      console.error("[chat] abort error:", err);
-    });
+    var s = getSession(key);
+    var previous = s.label;
+    s.label = name;
+    renderSessions();
+    gw.request("sessions.patch", { key: key, label: name })
+      .then(refreshSessions)
+      .catch(function (err) {
+        console.error("[chat] rename session error:", err);
+        s.label = previous;
+        renderSessions();
+      });
   }
 
-  function resetSession() {
-    if (!gw || !gw.connected()) return;
-    gw.request("sessions.reset", { key: sessionKey, reason: "new" })
+  function deleteSession(key) {
+    if (!gw || !gw.connected() || key === mainSessionKey) return;
+    var s = getSession(key);
+    if (!window.confirm("Delete session \"" + sessionTitle(s) + "\"?")) return;
+    gw.request("sessions.delete", { key: key, deleteTranscript: true })
       .then(function () {
-        messages = [];
-        runId = null;
-        streamText = null;
-        setHeaderStatus("idle");
-        renderThread();
-        updateButtons();
-        input.focus();
+        delete sessions[key];
+        delete searchIndex[key];
+        var idx = sessionOrder.indexOf(key);
+        if (idx !== -1) sessionOrder.splice(idx, 1);
+        if (key === sessionKey) {
+          switchSession(mainSessionKey);
+        } else {
+          renderSessions();
+        }
+        refreshSessions();
       })
       .catch(function (err) {
-        console.error("[chat] reset error:", err);
+        console.error("[chat] delete session error:", err);
       });
   }
 
-  // ── gateway events ────────────────────────────────────
+  btnSessionNew.addEventListener("click", function () {
+    var li = document.createElement("li");
+    sessionList.insertBefore(li, sessionList.firstChild);
+    beginSessionEdit(li, "", createSession);
+  });
 
-  function handleEvent(evt) {
-    console.log("[chat] event:", evt.event, evt.payload ? evt.payload.state : "(no payload)");
-    if (evt.event !== "chat") return;
-    var payload = evt.payload;
-    if (!payload || payload.sessionKey !== sessionKey) {
-      console.log("[chat] event ignored: sessionKey mismatch", payload && payload.sessionKey, "vs", sessionKey);
-      return;
+  btnSidebar.addEventListener("click", function () {
+    appEl.classList.toggle("sidebar-open");
+  });
+
+  // ── models ────────────────────────────────────────────
+  // Refs are "provider/id" (e.g. "ollama/qwen2.5:7b"), the form
+  // sessions.patch takes and agents.defaults.model.primary uses.
+
+  function modelRef(provider, id) {
+    if (!id) return null;
+    if (!provider || id.indexOf(provider + "/") === 0) return id;
+    return provider + "/" + id;
+  }
+
+  function modelLabel(ref) {
+    if (!ref) return "";
+    for (var i = 0; i < models.length; i++) {
+      if (modelRef(models[i].provider, models[i].id) === ref) return models[i].name || models[i].id;
     }
+    return ref.slice(ref.indexOf("/") + 1);
+  }
 
-    console.log("[chat] event accepted: state:", payload.state, "runId:", payload.runId, "local:", runId);
+  function sessionModel(s) {
+    return s.model || defaultModel;
+  }
 
-    if (payload.state === "delta") {
-      var next = extractText(payload.message);
-      console.log("[chat] delta text length:", next ? next.length : 0, "streamText was:", streamText ? streamText.length : "null");
-      if (typeof next === "string") {
-        var current = streamText || "";
-        if (!current || next.length >= current.length) {
-          streamText = next;
-        }
-      }
-      if (headerStatus === "thinking" && streamText) {
-        setHeaderStatus("responding");
-      }
-      renderThread();
-    } else if (payload.state === "final") {
-      console.log("[chat] final received, messages before reload:", messages.length);
-      streamText = null;
-      runId = null;
-      setHeaderStatus("idle");
-      loadHistory();
-      updateButtons();
-    } else if (payload.state === "aborted") {
-      if (streamText && streamText.trim()) {
-        messages.push({
-          role: "assistant",
-          content: [{ type: "text", text: streamText }],
-          timestamp: Date.now()
-        });
+  // the model that produced an assistant message, as recorded in the transcript
+  function messageModel(msg) {
+    if (!msg || !msg.model) return null;
+    return modelRef(msg.provider, msg.model);
+  }
+
+  function loadModels() {
+    if (!gw || !gw.connected()) return;
+    gw.request("models.list", {}).then(function (res) {
+      models = Array.isArray(res && res.models) ? res.models : [];
+      console.log("[chat] models.list got", models.length, "models");
+      if (!defaultModel && models.length > 0) {
+        defaultModel = modelRef(models[0].provider, models[0].id);
       }
-      streamText = null;
-      runId = null;
-      setHeaderStatus("idle");
-      renderThread();
-      updateButtons();
-    } else if (payload.state === "error") {
-      var errorMsg = payload.errorMessage || "chat error";
-      messages.push({
-        role: "assistant",
-        content: [{ type: "text", text: "Error: " + errorMsg }],
-        timestamp: Date.now()
-      });
-      streamText = null;
-      runId = null;
-      setHeaderStatus("error");
+      renderModelSelect();
       renderThread();
-      updateButtons();
-      setTimeout(function () { if (!runId) setHeaderStatus("idle"); }, 3000);
+    }).catch(function (err) {
+      console.log("[chat] models.list skipped:", err.message);
+    });
+  }
+
+  function renderModelSelect() {
+    while (modelSelect.firstChild) {
+      modelSelect.removeChild(modelSelect.firstChild);
     }
+    var current = sessionModel(active());
+    var seen = false;
+    for (var i = 0; i < models.length; i++) {
+      var ref = modelRef(models[i].provider, models[i].id);
+      var opt = document.createElement("option");
+      opt.value = ref;
+      opt.textContent = (models[i].name || models[i].id) + (models[i].provider ? " (" + models[i].provider + ")" : "");
+      modelSelect.appendChild(opt);
+      if (ref === current) seen = true;
+    }
+    // a session pinned to a model the gateway no longer lists
+    if (current && !seen) {
+      var extra = document.createElement("option");
+      extra.value = current;
+      extra.textContent = current;
+      modelSelect.appendChild(extra);
+    }
+    if (current) modelSelect.value = current;
+    modelSelect.disabled = !isConnected || modelSelect.options.length === 0;
+    modelSelect.title = current ? "Model: " + current : "Model";
+    // both depend on the model: the tray's vision warning and the meter
+    renderTray();
+    renderContextMeter();
   }
 
-  // ── compose auto-grow ─────────────────────────────────
+  function setSessionModel(ref) {
+    var s = active();
+    if (!gw || !gw.connected() || ref === sessionModel(s)) return;
+    var previous = s.model;
+    s.model = ref;
+    console.log("[chat] setSessionModel:", s.key, "->", ref);
+    renderModelSelect();
+    gw.request("sessions.patch", { key: s.key, model: ref })
+      .catch(function (err) {
+        console.error("[chat] set model error:", err);
+        s.model = previous;
+        renderModelSelect();
+        showError(s);
+      });
+  }
 
-  function autoGrow() {
-    input.style.height = "auto";
-    var next = Math.min(input.scrollHeight, 150);
-    input.style.height = Math.max(40, next) + "px";
+  modelSelect.addEventListener("change", function () {
+    setSessionModel(modelSelect.value);
+  });
+
+  // ── usage ─────────────────────────────────────────────
+  // Token counts come from the usage the gateway records on assistant
+  // messages (pi-agent { input, output, cacheRead } or the OpenAI /
+  // Anthropic spellings). Timings are measured here: a run's clock
+  // starts at chat.send, the first delta with content marks time to first
+  // token, and final ends it. Without usage, output is estimated from
+  // the streamed text at about 4 characters per token.
+
+  var CONTEXT_WARN = 0.7;   // meter turns amber at this share of the window
+
+  function usageOf(msg) {
+    var u = msg && msg.usage;
+    if (!u) return null;
+    var input = firstNumber(u.input, u.input_tokens, u.prompt_tokens);
+    var output = firstNumber(u.output, u.output_tokens, u.completion_tokens);
+    if (input === null && output === null) return null;
+    return {
+      input: input || 0,
+      output: output || 0,
+      cached: firstNumber(u.cacheRead, u.cache_read_input_tokens) || 0
+    };
   }
 
-  input.addEventListener("input", autoGrow);
+  function firstNumber() {
+    for (var i = 0; i < arguments.length; i++) {
+      if (typeof arguments[i] === "number") return arguments[i];
+    }
+    return null;
+  }
 
-  input.addEventListener("keydown", function (e) {
-    if (e.key === "Enter" && !e.shiftKey) {
-      e.preventDefault();
-      sendMessage();
+  function modelInfo(ref) {
+    for (var i = 0; i < models.length; i++) {
+      if (modelRef(models[i].provider, models[i].id) === ref) return models[i];
     }
-  });
+    return null;
+  }
 
-  // ── button handlers ───────────────────────────────────
+  function contextWindow() {
+    var info = modelInfo(sessionModel(active()));
+    return info && info.contextWindow ? info.contextWindow : null;
+  }
 
-  btnSend.addEventListener("click", sendMessage);
-  btnStop.addEventListener("click", abortRun);
-  btnNew.addEventListener("click", resetSession);
+  // ── run timing
 
-  // ── init ──────────────────────────────────────────────
+  function startTiming(s) {
+    s.timing = { startedAt: Date.now(), firstAt: null, endedAt: null, chars: 0, usage: null };
+  }
 
-  function init() {
-    var token = qs("token");
-    console.log("[chat] init token:", token ? token.slice(0, 8) + "..." : "(none)");
+  function noteDelta(s) {
+    // a run started by another client: no start time, so no TTFT
+    if (!s.timing) s.timing = { startedAt: null, firstAt: null, endedAt: null, chars: 0, usage: null };
+    if (!s.timing.firstAt && (s.streamText || s.streamThinking || s.streamTools.length > 0)) s.timing.firstAt = Date.now();
+    var chars = (s.streamText || "").length + (s.streamThinking || "").length;
+    s.timing.chars = Math.max(s.timing.chars, chars);
+  }
 
-    // build WebSocket URL from current page location
-    var protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
-    var wsUrl = protocol + "//" + window.location.host;
-    console.log("[chat] ws url:", wsUrl);
+  function finishTiming(s, payload) {
+    if (!s.timing) return;
+    s.timing.endedAt = Date.now();
+    s.timing.usage = usageOf(payload) || usageOf(payload.message);
+    s.runs.push(s.timing);
+    s.timing = null;
+  }
 
-    // fetch assistant name from config
-    fetch("/__openclaw/control-ui-config.json")
-      .then(function (res) { return res.json(); })
-      .then(function (config) {
-        console.log("[chat] config:", JSON.stringify(config));
-        if (config.assistantName) {
-          assistantName = config.assistantName;
-        }
-      })
-      .catch(function (err) {
-        console.log("[chat] config fetch failed (using defaults):", err);
-      });
+  // the run an assistant message came from; gateway and browser share a
+  // clock on a local setup, the slack covers small drift
+  function runFor(s, msg) {
+    if (!msg.timestamp) return null;
+    for (var i = s.runs.length - 1; i >= 0; i--) {
+      var run = s.runs[i];
+      var from = (run.startedAt || run.firstAt) - 2000;
+      if (msg.timestamp >= from && msg.timestamp <= run.endedAt + 2000) return run;
+    }
+    return null;
+  }
 
-    setHeaderStatus("connecting");
+  // prompt is the largest single request of the turn; completion adds up
+  function groupUsage(s, group) {
+    var prompt = null;
+    var completion = 0;
+    var run = null;
+    for (var i = 0; i < group.messages.length; i++) {
+      var msg = group.messages[i];
+      var u = usageOf(msg);
+      if (u) {
+        prompt = Math.max(prompt || 0, u.input + u.cached);
+        completion += u.output;
+      }
+      run = run || runFor(s, msg);
+    }
+    if (prompt === null && run && run.usage) {
+      prompt = run.usage.input + run.usage.cached;
+      completion = run.usage.output;
+    }
+    var estimated = false;
+    if (prompt === null && run && run.chars) {
+      completion = Math.ceil(run.chars / 4);
+      estimated = true;
+    }
+    if (prompt === null && !estimated && !run) return null;
+    return { prompt: prompt, completion: completion, estimated: estimated, run: run };
+  }
 
-    gw = new Gateway({
+  function renderUsage(s, group) {
+    var u = groupUsage(s, group);
+    if (!u) return null;
+    var parts = [];
+    if (u.prompt !== null) parts.push(formatTokens(u.prompt) + " in");
+    if (u.completion) parts.push((u.estimated ? "~" : "") + formatTokens(u.completion) + " out");
+    var run = u.run;
+    if (run && run.startedAt && run.firstAt) {
+      parts.push(((run.firstAt - run.startedAt) / 1000).toFixed(1) + "s to first token");
+    }
+    if (run && run.firstAt && u.completion && run.endedAt > run.firstAt) {
+      parts.push((u.completion / ((run.endedAt - run.firstAt) / 1000)).toFixed(1) + " tok/s");
+    }
+    if (parts.length === 0) return null;
+    var el = document.createElement("span");
+    el.className = "chat-usage";
+    el.textContent = parts.join(" · ");
+    el.title = "Prompt / completion tokens" + (u.estimated ? " (completion estimated from the streamed text)" : "");
+    return el;
+  }
+
+  // ── context meter
+
+  // tokens the next request starts with: the last reported prompt plus
+  // what came after it, else an estimate over the whole transcript
+  function contextUsed(s) {
+    var chars = 0;
+    for (var i = s.messages.length - 1; i >= 0; i--) {
+      var msg = s.messages[i];
+      var u = usageOf(msg);
+      if (u) return { tokens: u.input + u.cached + u.output + Math.ceil(chars / 4), estimated: chars > 0 };
+      chars += (extractText(msg) || contentText(msg.content) || "").length;
+    }
+    return { tokens: Math.ceil(chars / 4), estimated: true };
+  }
+
+  function renderContextMeter() {
+    var s = active();
+    var ctx = contextWindow();
+    if (!ctx || (s.messages.length === 0 && !isRunning(s))) {
+      ctxMeter.classList.add("hidden");
+      return;
+    }
+    var info = modelInfo(sessionModel(s));
+    var reserve = info && info.maxTokens ? info.maxTokens : 0;
+    var used = contextUsed(s);
+    var share = used.tokens / ctx;
+    // the next reply can take up to maxTokens on top of what's there
+    var full = used.tokens + reserve >= ctx;
+    var level = full ? "danger" : share >= CONTEXT_WARN ? "warn" : "ok";
+
+    ctxMeter.classList.remove("hidden");
+    ctxMeter.className = "ctx-meter ctx-meter--" + level;
+    ctxMeterFill.style.width = Math.min(100, share * 100).toFixed(1) + "%";
+    ctxMeterLabel.textContent = (used.estimated ? "~" : "") + Math.round(share * 100) + "%" + (full ? " · nearly full" : "");
+    ctxMeter.title = (used.estimated ? "About " : "") + formatTokens(used.tokens) + " of " + formatTokens(ctx) + " tokens in context"
+      + (reserve ? "; replies can take up to " + formatTokens(reserve) + " more" : "")
+      + (full ? ". The next reply may not fit: start over with /new or switch to a fresh session." : "");
+  }
+
+  // ── approvals ─────────────────────────────────────────
+  // The gateway holds exec/write tool calls until an operator decides.
+  // Requests arrive as "<kind>.approval.requested" events and are answered
+  // with "<kind>.approval.resolve"; "<kind>.approval.resolved" reports a
+  // decision made anywhere (another client, or expiry).
+
+  var approvalLog = loadApprovalLog();   // session key -> [{ kind, subject, decision, at }]
+
+  function loadApprovalLog() {
+    var log = {};
+    try { log = JSON.parse(localStorage.getItem("openclaw-approvals") || "{}"); } catch (e) { /* noop */ }
+    return log && typeof log === "object" ? log : {};
+  }
+
+  function saveApprovalLog() {
+    try { localStorage.setItem("openclaw-approvals", JSON.stringify(approvalLog)); } catch (e) { /* noop */ }
+  }
+
+  function approvalKind(eventName) {
+    var m = /^(.+)\.approval\.(requested|resolved)$/.exec(eventName || "");
+    return m ? { kind: m[1], phase: m[2] } : null;
+  }
+
+  function findApproval(id) {
+    var keys = Object.keys(sessions);
+    for (var i = 0; i < keys.length; i++) {
+      var list = sessions[keys[i]].approvals;
+      for (var a = 0; a < list.length; a++) {
+        if (list[a].id === id) return { session: sessions[keys[i]], index: a, item: list[a] };
+      }
+    }
+    return null;
+  }
+
+  function handleApprovalEvent(evt, kind) {
+    var payload = evt.payload || {};
+    if (!payload.id) return;
+
+    if (kind.phase === "resolved") {
+      var found = findApproval(payload.id);
+      if (!found) return;
+      found.session.approvals.splice(found.index, 1);
+      if (payload.decision) logApproval(found.session.key, found.item, payload.decision);
+      renderSession(found.session);
+      return;
+    }
+
+    var req = payload.request || payload;
+    var s = getSession(req.sessionKey || sessionKey);
+    if (findApproval(payload.id)) return;
+    var item = {
+      id: payload.id,
+      kind: kind.kind,
+      tool: req.tool || req.toolName || kind.kind,
+      subject: req.command || req.path || req.resolvedPath || "",
+      cwd: req.cwd || null,
+      expiresAtMs: payload.expiresAtMs || null,
+      busy: false,
+      error: null
+    };
+    s.approvals.push(item);
+    console.log("[chat] approval requested:", item.kind, item.subject.slice(0, 80), "session:", s.key);
+    if (s.key !== sessionKey) s.unread = true;
+
+    if (item.expiresAtMs) {
+      setTimeout(function () {
+        var still = findApproval(item.id);
+        if (!still) return;
+        still.session.approvals.splice(still.index, 1);
+        renderSession(still.session);
+      }, Math.max(0, item.expiresAtMs - Date.now()));
+    }
+    renderSession(s);
+  }
+
+  // decision: "allow-once" | "allow-always" | "deny"
+  function resolveApproval(s, item, decision) {
+    if (!gw || !gw.connected() || item.busy) return;
+    item.busy = true;
+    item.error = null;
+    renderSession(s);
+    gw.request(item.kind + ".approval.resolve", { id: item.id, decision: decision })
+      .then(function () {
+        var idx = s.approvals.indexOf(item);
+        if (idx !== -1) s.approvals.splice(idx, 1);
+        logApproval(s.key, item, decision);
+        renderSession(s);
+      })
+      .catch(function (err) {
+        console.error("[chat] approval resolve error:", err);
+        item.busy = false;
+        item.error = describeError(err);
+        renderSession(s);
+      });
+  }
+
+  function logApproval(key, item, decision) {
+    if (decision === "deny") return;
+    var list = approvalLog[key] || (approvalLog[key] = []);
+    list.push({ kind: item.tool, subject: item.subject, decision: decision, at: Date.now() });
+    // keep the log bounded per session
+    if (list.length > 50) list.splice(0, list.length - 50);
+    saveApprovalLog();
+  }
+
+  function renderApprovalPrompt(s, item) {
+    var box = document.createElement("div");
+    box.className = "approval";
+
+    var title = document.createElement("div");
+    title.className = "approval__title";
+    title.textContent = "Approve " + item.tool + "?";
+    box.appendChild(title);
+
+    var subject = document.createElement("pre");
+    subject.className = "approval__subject";
+    subject.textContent = item.subject || "(no details)";
+    box.appendChild(subject);
+
+    if (item.cwd) {
+      var cwd = document.createElement("div");
+      cwd.className = "approval__meta";
+      cwd.textContent = "in " + item.cwd;
+      box.appendChild(cwd);
+    }
+
+    var actions = document.createElement("div");
+    actions.className = "approval__actions";
+    var choices = [
+      ["allow-once", "Approve once", "btn btn--sm btn--primary"],
+      ["allow-always", "Always allow", "btn btn--sm"],
+      ["deny", "Deny", "btn btn--sm btn--danger"]
+    ];
+    for (var i = 0; i < choices.length; i++) {
+      actions.appendChild(approvalButton(s, item, choices[i][0], choices[i][1], choices[i][2]));
+    }
+    box.appendChild(actions);
+
+    if (item.error) {
+      var err = document.createElement("div");
+      err.className = "approval__error";
+      err.textContent = item.error;
+      box.appendChild(err);
+    }
+    return box;
+  }
+
+  function approvalButton(s, item, decision, label, className) {
+    var btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = className;
+    btn.textContent = label;
+    btn.disabled = item.busy || !isConnected;
+    btn.addEventListener("click", function () { resolveApproval(s, item, decision); });
+    return btn;
+  }
+
+  function renderApprovalLog() {
+    while (approvalLogEl.firstChild) {
+      approvalLogEl.removeChild(approvalLogEl.firstChild);
+    }
+    var list = approvalLog[sessionKey] || [];
+    approvalPanel.classList.toggle("hidden", list.length === 0);
+    for (var i = list.length - 1; i >= 0; i--) {
+      var li = document.createElement("li");
+      li.className = "approval-log__item";
+      li.title = list[i].subject + "\n" + new Date(list[i].at).toLocaleString();
+
+      var tag = document.createElement("span");
+      tag.className = "approval-log__tag" + (list[i].decision === "allow-always" ? " always" : "");
+      tag.textContent = list[i].decision === "allow-always" ? "always" : "once";
+      li.appendChild(tag);
+
+      var text = document.createElement("span");
+      text.className = "approval-log__subject";
+      text.textContent = list[i].kind + ": " + list[i].subject;
+      li.appendChild(text);
+
+      approvalLogEl.appendChild(li);
+    }
+  }
+
+  // ── device pairing ────────────────────────────────────
+  // A browser without a token (another machine on the LAN) connects with
+  // its device key; the gateway holds it with "pairing required" until an
+  // operator approves it. This side shows the waiting device its id; a
+  // connected operator sees the request as a prompt and can answer it
+  // with device.pair.approve / device.pair.reject.
+
+  var pairing = null;        // { deviceId, requestId } while this device waits
+  var pairRequests = [];     // requests from other devices, for an operator
+
+  function handlePairing(info) {
+    console.log("[chat] pairing required, device:", info.deviceId.slice(0, 12), "request:", info.requestId);
+    pairing = info;
+    syncHeaderStatus();
+    renderThread();
+  }
+
+  function shortId(id) {
+    return id ? id.slice(0, 12) : "";
+  }
+
+  function renderPairingNotice() {
+    var box = document.createElement("div");
+    box.className = "chat-notice";
+
+    var title = document.createElement("div");
+    title.className = "chat-notice__title";
+    title.textContent = "This device is waiting to be paired";
+    box.appendChild(title);
+
+    var text = document.createElement("p");
+    text.textContent = "Approve it from a paired browser, or on the gateway host with:";
+    box.appendChild(text);
+
+    var cmd = document.createElement("pre");
+    cmd.className = "approval__subject";
+    cmd.textContent = pairing.requestId
+      ? "openclaw devices approve " + pairing.requestId
+      : "openclaw devices list";
+    box.appendChild(cmd);
+
+    var meta = document.createElement("div");
+    meta.className = "approval__meta";
+    meta.textContent = "Device " + shortId(pairing.deviceId) + ". This page reconnects on its own once approved. ";
+    var useToken = document.createElement("button");
+    useToken.type = "button";
+    useToken.className = "chat-error__action";
+    useToken.textContent = "Use a token instead";
+    useToken.addEventListener("click", function () { showLogin(null); });
+    meta.appendChild(useToken);
+    box.appendChild(meta);
+    return box;
+  }
+
+  function loadPairRequests() {
+    if (!supports("device.pair.list")) {
+      pairRequests = [];
+      return;
+    }
+    gw.request("device.pair.list", {}).then(function (res) {
+      pairRequests = (res && Array.isArray(res.pending) ? res.pending : []).map(pairItem);
+      renderThread();
+    }).catch(function (err) {
+      console.log("[chat] device.pair.list skipped:", err.message);
+    });
+  }
+
+  function pairItem(req) {
+    return {
+      requestId: req.requestId,
+      deviceId: req.deviceId || "",
+      label: req.displayName || req.clientId || "",
+      platform: req.platform || "",
+      remoteIp: req.remoteIp || "",
+      busy: false,
+      error: null
+    };
+  }
+
+  function handlePairEvent(evt) {
+    var payload = evt.payload || {};
+    if (!payload.requestId || !supports("device.pair.approve")) return;
+    pairRequests = pairRequests.filter(function (r) { return r.requestId !== payload.requestId; });
+    if (evt.event === "device.pair.requested") pairRequests.push(pairItem(payload));
+    renderThread();
+  }
+
+  // decision: "approve" | "reject"
+  function resolvePairRequest(item, decision) {
+    if (!gw || !gw.connected() || item.busy) return;
+    item.busy = true;
+    item.error = null;
+    renderThread();
+    gw.request("device.pair." + decision, { requestId: item.requestId })
+      .then(function () {
+        pairRequests = pairRequests.filter(function (r) { return r !== item; });
+        renderThread();
+      })
+      .catch(function (err) {
+        console.error("[chat] pairing " + decision + " error:", err);
+        item.busy = false;
+        item.error = describeError(err);
+        renderThread();
+      });
+  }
+
+  function renderPairRequest(item) {
+    var box = document.createElement("div");
+    box.className = "approval";
+
+    var title = document.createElement("div");
+    title.className = "approval__title";
+    title.textContent = "Pair a new device?";
+    box.appendChild(title);
+
+    var subject = document.createElement("pre");
+    subject.className = "approval__subject";
+    subject.textContent = "Device " + shortId(item.deviceId) + (item.label ? " (" + item.label + ")" : "");
+    box.appendChild(subject);
+
+    var where = [item.platform, item.remoteIp ? "from " + item.remoteIp : ""].filter(Boolean).join(", ");
+    if (where) {
+      var meta = document.createElement("div");
+      meta.className = "approval__meta";
+      meta.textContent = where;
+      box.appendChild(meta);
+    }
+
+    var actions = document.createElement("div");
+    actions.className = "approval__actions";
+    var choices = [["approve", "Approve", "btn btn--sm btn--primary"], ["reject", "Reject", "btn btn--sm btn--danger"]];
+    for (var i = 0; i < choices.length; i++) {
+      (function (decision, label, className) {
+        var btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = className;
+        btn.textContent = label;
+        btn.disabled = item.busy || !isConnected;
+        btn.addEventListener("click", function () { resolvePairRequest(item, decision); });
+        actions.appendChild(btn);
+      })(choices[i][0], choices[i][1], choices[i][2]);
+    }
+    box.appendChild(actions);
+
+    if (item.error) {
+      var err = document.createElement("div");
+      err.className = "approval__error";
+      err.textContent = item.error;
+      box.appendChild(err);
+    }
+    return box;
+  }
+
+  // ── sign in ───────────────────────────────────────────
+  // The gateway token lives in localStorage ("openclaw-token"), never in
+  // the address bar. A ?token= link still works: init() stores the token
+  // and rewrites the URL without it, so it stays out of history and
+  // screenshots. When the gateway rejects the token, the client stops
+  // reconnecting and this form asks for a new one.
+
+  var signedOut = false;     // no usable credentials; the form is up
+
+  function getStoredToken() {
+    try { return localStorage.getItem("openclaw-token"); } catch (e) { return null; }
+  }
+
+  function setStoredToken(token) {
+    try {
+      if (token) localStorage.setItem("openclaw-token", token);
+      else localStorage.removeItem("openclaw-token");
+    } catch (e) { /* noop */ }
+  }
+
+  // drop ?token= from the address bar, keeping the rest of the URL
+  function stripTokenFromUrl() {
+    var search = window.location.search.replace(/^\?/, "").split("&").filter(function (part) {
+      return part && decodeURIComponent(part.split("=")[0]) !== "token";
+    }).join("&");
+    var url = window.location.pathname + (search ? "?" + search : "") + window.location.hash;
+    try { history.replaceState(history.state, "", url); } catch (e) { /* noop */ }
+  }
+
+  function offlineStatus() {
+    return signedOut ? "signed-out" : pairing ? "pairing" : "disconnected";
+  }
+
+  // pairing needs a device key, which needs WebCrypto (secure contexts only)
+  function canPair() {
+    return typeof crypto !== "undefined" && !!crypto.subtle;
+  }
+
+  // message: why the form is up, null on a first visit
+  function showLogin(message) {
+    closeOverlays();
+    signedOut = true;
+    syncHeaderStatus();
+    loginError.textContent = message || "";
+    loginError.classList.toggle("hidden", !message);
+    btnLoginPair.classList.toggle("hidden", !canPair());
+    loginToken.value = "";
+    loginPanel.classList.remove("hidden");
+    loginToken.focus();
+    syncSignout();
+  }
+
+  // token: null connects with the device key alone
+  function signIn(token) {
+    setStoredToken(token);
+    gw.setToken(token);
+    signedOut = false;
+    pairing = null;
+    loginPanel.classList.add("hidden");
+    setHeaderStatus("connecting");
+    renderThread();
+    gw.reconnect();
+  }
+
+  // the gateway closed the socket after refusing our credentials
+  function handleAuthRejected() {
+    var hadToken = !!getStoredToken();
+    console.log("[chat] auth rejected, token:", hadToken ? "stored" : "(none)");
+    setStoredToken(null);
+    gw.setToken(null);
+    pairing = null;
+    showLogin(hadToken
+      ? "The gateway rejected this token. Check it and try again."
+      : "This gateway needs a token before it will talk to this browser.");
+  }
+
+  function signOut() {
+    if (!window.confirm("Sign out? This browser forgets its gateway token and device key.")) return;
+    console.log("[chat] signing out");
+    setStoredToken(null);
+    gw.stop();
+    gw.setToken(null);
+    gw.forgetDevice();
+    showSignedOut();
+    tellTabs({ type: "signout" });
+  }
+
+  function showSignedOut() {
+    isConnected = false;
+    pairing = null;
+    pairRequests = [];
+    updateButtons();
+    renderThread();
+    showLogin(null);
+  }
+
+  function syncSignout() {
+    btnSignout.classList.toggle("hidden", signedOut || !(getStoredToken() || gw.paired()));
+  }
+
+  loginForm.addEventListener("submit", function (e) {
+    e.preventDefault();
+    var token = loginToken.value.trim();
+    if (!token) {
+      loginToken.focus();
+      return;
+    }
+    signIn(token);
+  });
+
+  btnLoginPair.addEventListener("click", function () { signIn(null); });
+  btnSignout.addEventListener("click", signOut);
+
+  // ── diagnostics ───────────────────────────────────────
+  // A drawer with where the connection stands: the hello-ok snapshot, a
+  // round-trip probe (health, every few seconds while the drawer is open),
+  // the reconnect countdown, pending requests, the last event seq and the
+  // recent close codes. "Copy diagnostics" puts the same in a JSON report.
+
+  var PROBE_INTERVAL_MS = 5000;
+  var MAX_PROBES = 20;
+
+  var probes = [];           // newest last: { at, ms } or { at, error }
+  var diagTimer = null;      // redraw tick while the drawer is open
+  var probeTimer = null;
+  var diagHelloAt = null;    // hello in the <pre>, so it isn't redrawn each tick
+
+  function openDiagnostics() {
+    if (!diagPanel.classList.contains("hidden")) return;
+    closeFrames();
+    diagPanel.classList.remove("hidden");
+    renderDiagnostics();
+    diagTimer = setInterval(renderDiagnostics, 500);
+    probeLatency();
+    probeTimer = setInterval(probeLatency, PROBE_INTERVAL_MS);
+  }
+
+  function closeDiagnostics() {
+    diagPanel.classList.add("hidden");
+    clearInterval(diagTimer);
+    clearInterval(probeTimer);
+    diagTimer = null;
+    probeTimer = null;
+  }
+
+  function toggleDiagnostics() {
+    if (diagPanel.classList.contains("hidden")) openDiagnostics();
+    else closeDiagnostics();
+  }
+
+  function probeLatency() {
+    if (!isConnected || !supports("health")) return;
+    var started = Date.now();
+    gw.request("health", {}, { timeoutMs: PROBE_INTERVAL_MS, retries: 0 }).then(function () {
+      addProbe({ at: started, ms: Date.now() - started });
+    }, function (err) {
+      addProbe({ at: started, error: err.message });
+    });
+  }
+
+  function addProbe(probe) {
+    probes.push(probe);
+    if (probes.length > MAX_PROBES) probes.shift();
+    if (!diagPanel.classList.contains("hidden")) renderDiagnostics();
+  }
+
+  function latencySummary() {
+    if (!supports("health") && !probes.length) return "not available (no health method)";
+    var times = probes.filter(function (p) { return p.error === undefined; }).map(function (p) { return p.ms; });
+    var last = probes[probes.length - 1];
+    if (!last) return "measuring...";
+    if (last.error !== undefined) return "failed: " + last.error;
+    var sum = times.reduce(function (a, b) { return a + b; }, 0);
+    return last.ms + " ms (avg " + Math.round(sum / times.length) +
+      ", min " + Math.min.apply(null, times) + ", max " + Math.max.apply(null, times) +
+      " over " + times.length + ")";
+  }
+
+  function reconnectSummary(diag) {
+    if (diag.state === "waiting" && diag.reconnectAt) {
+      var left = Math.max(0, diag.reconnectAt - Date.now());
+      return "in " + (left / 1000).toFixed(1) + " s";
+    }
+    if (diag.state === "auth-failed") return "stopped (credentials rejected)";
+    if (diag.state === "stopped") return "stopped";
+    return "next backoff " + (diag.backoffMs / 1000).toFixed(1) + " s";
+  }
+
+  function clockTime(ts) {
+    return ts ? new Date(ts).toLocaleTimeString() : "";
+  }
+
+  function renderDiagnostics() {
+    var diag = gw.diagnostics();
+    var hello = diag.hello || {};
+    var server = hello.server || {};
+    var last = probes[probes.length - 1];
+
+    diagState.textContent = diag.state;
+    clearChildren(diagList);
+    function row(label, value, bad) {
+      var dt = document.createElement("dt");
+      dt.textContent = label;
+      var dd = document.createElement("dd");
+      dd.textContent = value;
+      if (bad) dd.className = "diag--bad";
+      diagList.appendChild(dt);
+      diagList.appendChild(dd);
+    }
+    row("Gateway", diag.url);
+    row("Tab", TAB_ROLES[diag.tab.role] + (diag.tab.role === "follower" && diag.tab.leader ? " " + shortId(diag.tab.leader) : ""));
+    row("Protocol", diag.protocol !== null ? "v" + diag.protocol : "-");
+    row("Server", server.version ? server.version + (server.connId ? " (" + server.connId.slice(0, 8) + ")" : "") : "-");
+    row("Auth", diag.deviceId ? "device " + shortId(diag.deviceId) : "token only");
+    row("Latency", latencySummary(), !!(last && last.error !== undefined));
+    row("Pending", String(diag.pending));
+    row("Last seq", diag.lastSeq !== null ? String(diag.lastSeq) : "none yet");
+    row("Reconnect", reconnectSummary(diag), diag.state === "auth-failed");
+    row("Attempts", String(diag.attempts));
+    row("Connected", diag.helloAt ? clockTime(diag.helloAt) : "never");
+
+    clearChildren(diagCloses);
+    if (!diag.closes.length) {
+      var none = document.createElement("tr");
+      var cell = document.createElement("td");
+      cell.className = "diag__none";
+      cell.textContent = "No closes yet";
+      none.appendChild(cell);
+      diagCloses.appendChild(none);
+    }
+    for (var i = diag.closes.length - 1; i >= 0; i--) {
+      var tr = document.createElement("tr");
+      [clockTime(diag.closes[i].at), String(diag.closes[i].code), diag.closes[i].reason || "-"].forEach(function (text) {
+        var td = document.createElement("td");
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      diagCloses.appendChild(tr);
+    }
+
+    if (diag.helloAt !== diagHelloAt) {
+      diagHelloAt = diag.helloAt;
+      diagHello.textContent = diag.hello ? JSON.stringify(diag.hello, null, 2) : "no hello yet";
+    }
+    btnDiagReconnect.disabled = signedOut;
+  }
+
+  function diagnosticsReport() {
+    return {
+      generatedAt: new Date().toISOString(),
+      page: window.location.origin + window.location.pathname,
+      userAgent: navigator.userAgent,
+      ui: { status: headerStatus, sessionKey: sessionKey, signedOut: signedOut },
+      gateway: gw.diagnostics(),
+      latency: probes.slice()
+    };
+  }
+
+  btnDiagClose.addEventListener("click", closeDiagnostics);
+  statusDot.addEventListener("click", toggleDiagnostics);
+  nameEl.addEventListener("click", toggleDiagnostics);
+
+  btnDiagReconnect.addEventListener("click", function () {
+    if (signedOut) return;
+    console.log("[chat] reconnect requested");
+    setHeaderStatus("connecting");
+    gw.reconnect();
+    renderDiagnostics();
+  });
+
+  btnDiagCopy.addEventListener("click", function () {
+    copyText(JSON.stringify(diagnosticsReport(), null, 2)).then(flashCopied(btnDiagCopy, "Copy diagnostics"), function (err) {
+      console.error("[chat] copy error:", err);
+    });
+  });
+
+  // ── frame inspector ───────────────────────────────────
+  // Off unless the page is opened with ?debug=frames. Then the gateway
+  // client keeps the last FRAME_CAPTURE frames in and out, and this drawer
+  // lists them with a filter. "Save capture" writes them to a JSON file;
+  // "Replay capture" plays one back through the UI with the gateway
+  // disconnected, to reproduce a streaming or rendering bug.
+
+  var FRAME_CAPTURE = 2000;
+  var FRAME_ROWS = 300;         // rows drawn; older matches are summarised
+  var REPLAY_MAX_GAP_MS = 2000; // long pauses in a capture are cut to this
+
+  var frameCapture = qs("debug") === "frames";
+  var framesTimer = null;       // pending redraw after new frames
+  var framesOpen = {};          // "t:index" keys of expanded rows
+
+  function openFrames() {
+    if (!frameCapture) return;
+    closeDiagnostics();
+    framesPanel.classList.remove("hidden");
+    renderFrames();
+    framesFilter.focus();
+  }
+
+  function closeFrames() {
+    framesPanel.classList.add("hidden");
+  }
+
+  function handleFrame() {
+    if (framesPanel.classList.contains("hidden") || framesTimer !== null) return;
+    framesTimer = setTimeout(function () {
+      framesTimer = null;
+      renderFrames();
+    }, 250);
+  }
+
+  // "chat.send", "chat (delta)", "res chat.history"
+  function frameName(frame, methods) {
+    if (frame.type === "req") return frame.method;
+    if (frame.type === "res") return "res " + (methods[frame.id] || frame.id);
+    var state = frame.payload && frame.payload.state;
+    return frame.event + (state ? " (" + state + ")" : "");
+  }
+
+  function frameDetail(frame) {
+    if (frame.type === "event") return typeof frame.seq === "number" ? "#" + frame.seq : "";
+    if (frame.type === "res") return frame.ok ? "ok" : (frame.error && frame.error.code) || "error";
+    return frame.id ? frame.id.slice(0, 8) : "";
+  }
+
+  function formatSize(bytes) {
+    return bytes >= 1024 ? (bytes / 1024).toFixed(1) + " KB" : bytes + " B";
+  }
+
+  function renderFrames() {
+    var frames = gw.frames();
+    var methods = {};
+    for (var i = 0; i < frames.length; i++) {
+      if (frames[i].frame.type === "req") methods[frames[i].frame.id] = frames[i].frame.method;
+    }
+    var query = framesFilter.value.trim().toLowerCase();
+    var dir = framesDir.value;
+    var shown = frames.filter(function (entry) {
+      if (dir && entry.dir !== dir) return false;
+      if (!query) return true;
+      return (frameName(entry.frame, methods) + " " + JSON.stringify(entry.frame)).toLowerCase().indexOf(query) !== -1;
+    });
+
+    var diag = gw.diagnostics();
+    framesMeta.textContent = (diag.state === "replay" ? "replaying, " : !gw.isLeader() ? "another tab holds the connection, " : "") +
+      shown.length + (shown.length === frames.length ? "" : " of " + frames.length) + " frames";
+    btnFramesLive.classList.toggle("hidden", diag.state !== "replay" && !(diag.state === "stopped" && !signedOut));
+
+    clearChildren(framesList);
+    if (shown.length > FRAME_ROWS) {
+      var more = document.createElement("li");
+      more.className = "frames__more";
+      more.textContent = (shown.length - FRAME_ROWS) + " earlier frames not shown; narrow the filter";
+      framesList.appendChild(more);
+    }
+    var start = frames.length ? frames[0].t : 0;
+    for (var k = Math.max(0, shown.length - FRAME_ROWS); k < shown.length; k++) {
+      framesList.appendChild(renderFrameRow(shown[k], start, methods));
+    }
+  }
+
+  function renderFrameRow(entry, start, methods) {
+    var frame = entry.frame;
+    var key = entry.t + ":" + entry.dir + ":" + (frame.id || frame.seq || frame.event);
+    var li = document.createElement("li");
+    li.className = "frame frame--" + entry.dir + (frame.type === "res" && !frame.ok ? " frame--error" : "");
+
+    var line = document.createElement("button");
+    line.type = "button";
+    line.className = "frame__line";
+    line.title = clockTime(entry.t);
+    [
+      ["frame__time", "+" + ((entry.t - start) / 1000).toFixed(3)],
+      ["frame__dir", entry.dir === "in" ? "\u2190" : "\u2192"],
+      ["frame__name", frameName(frame, methods)],
+      ["frame__detail", frameDetail(frame)],
+      ["frame__size", formatSize(entry.size || 0)]
+    ].forEach(function (part) {
+      var span = document.createElement("span");
+      span.className = part[0];
+      span.textContent = part[1];
+      line.appendChild(span);
+    });
+    li.appendChild(line);
+
+    function showPayload() {
+      var pre = document.createElement("pre");
+      pre.className = "frame__payload";
+      pre.textContent = JSON.stringify(frame, null, 2);
+      li.appendChild(pre);
+    }
+    if (framesOpen[key]) showPayload();
+    line.addEventListener("click", function () {
+      var pre = li.querySelector(".frame__payload");
+      if (pre) {
+        li.removeChild(pre);
+        delete framesOpen[key];
+      } else {
+        framesOpen[key] = true;
+        showPayload();
+      }
+    });
+    return li;
+  }
+
+  // the session the capture's first chat event streamed into
+  function captureSession(capture) {
+    for (var i = 0; i < capture.frames.length; i++) {
+      var f = capture.frames[i] && capture.frames[i].frame;
+      if (f && f.type === "event" && f.event === "chat" && f.payload && f.payload.sessionKey) {
+        return f.payload.sessionKey;
+      }
+    }
+    return null;
+  }
+
+  function replayCapture(file) {
+    var reader = new FileReader();
+    reader.onload = function () {
+      var data = null;
+      try { data = JSON.parse(String(reader.result)); } catch (e) { /* handled below */ }
+      if (!data || !Array.isArray(data.frames)) {
+        window.alert("Not a frame capture: " + file.name);
+        return;
+      }
+      if (!window.confirm("Replay " + data.frames.length + " frames from " + file.name +
+        "? The page disconnects from the gateway until you go back to live.")) return;
+      startReplay(data);
+    };
+    reader.readAsText(file);
+  }
+
+  function replaying() {
+    return !!gw && gw.replaying();
+  }
+
+  function startReplay(capture) {
+    console.log("[chat] replaying capture:", capture.frames.length, "frames");
+    gw.replay(capture, { maxGapMs: REPLAY_MAX_GAP_MS }).then(function (result) {
+      console.log("[chat] replay done:", JSON.stringify(result));
+      updateButtons();
+      if (!result.cancelled) showHint("Replay finished after " + result.events + " events. Back to live reconnects.");
+      if (!framesPanel.classList.contains("hidden")) renderFrames();
+    }, function (err) {
+      window.alert("Replay failed: " + err.message);
+    });
+    // switches this tab only; the live tabs stay where they are
+    var key = captureSession(capture);
+    if (key && key !== sessionKey) switchSession(key);
+    updateButtons();
+    renderFrames();
+  }
+
+  framesFilter.addEventListener("input", renderFrames);
+  framesDir.addEventListener("change", renderFrames);
+  btnFramesClose.addEventListener("click", closeFrames);
+
+  btnFramesClear.addEventListener("click", function () {
+    gw.clearFrames();
+    framesOpen = {};
+    renderFrames();
+  });
+
+  btnFramesSave.addEventListener("click", function () {
+    var stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    download("openclaw-frames-" + stamp + ".json", "application/json", JSON.stringify(gw.capture(), null, 1));
+  });
+
+  btnFramesReplay.addEventListener("click", function () {
+    framesFile.value = "";
+    framesFile.click();
+  });
+
+  framesFile.addEventListener("change", function () {
+    if (framesFile.files && framesFile.files[0]) replayCapture(framesFile.files[0]);
+  });
+
+  btnFramesLive.addEventListener("click", function () {
+    hideHint();
+    setHeaderStatus("connecting");
+    // the other tabs' outbox changes were not heard during the replay
+    var stored = storedOutbox();
+    if (stored) adoptOutbox(stored);
+    gw.reconnect();
+    renderFrames();
+  });
+
+  // ── tool cards ────────────────────────────────────────
+  // Tool calls arrive as pi-agent blocks ({ type: "toolCall", arguments })
+  // paired with role "toolResult" messages, or in the Anthropic shape
+  // ({ type: "tool_use", input } / { type: "tool_result" }). Both are
+  // normalised here and drawn as collapsible cards inside the bubble.
+
+  var openCards = {};   // tool call id -> true while its card is expanded
+
+  function toolCallOf(block) {
+    if (!block) return null;
+    if (block.type !== "toolCall" && block.type !== "tool_use" && block.type !== "tool_call") return null;
+    var args = block.arguments || block.input || block.args || {};
+    if (typeof args === "string") {
+      try { args = JSON.parse(args); } catch (e) { args = { input: args }; }
+    }
+    return { id: block.id || block.toolCallId || null, name: block.name || "tool", args: args };
+  }
+
+  function isResultBlock(block) {
+    return !!block && (block.type === "tool_result" || block.type === "toolResult");
+  }
+
+  function isResultMessage(msg) {
+    return !!msg && (msg.role === "toolResult" || msg.role === "tool");
+  }
+
+  function contentText(content) {
+    if (typeof content === "string") return content;
+    if (!Array.isArray(content)) return "";
+    var parts = [];
+    for (var i = 0; i < content.length; i++) {
+      if (content[i] && typeof content[i].text === "string") parts.push(content[i].text);
+    }
+    return parts.join("\n");
+  }
+
+  // tool call id -> { name, text, isError } across a list of messages
+  function collectToolResults(list) {
+    var results = {};
+    for (var i = 0; i < list.length; i++) {
+      var msg = list[i];
+      if (isResultMessage(msg)) {
+        var id = msg.toolCallId || msg.tool_call_id;
+        if (id) {
+          results[id] = { name: msg.toolName || null, text: contentText(msg.content), isError: !!msg.isError };
+        }
+        continue;
+      }
+      if (!Array.isArray(msg.content)) continue;
+      for (var b = 0; b < msg.content.length; b++) {
+        var block = msg.content[b];
+        if (isResultBlock(block) && (block.tool_use_id || block.toolCallId)) {
+          results[block.tool_use_id || block.toolCallId] = {
+            name: null,
+            text: contentText(block.content),
+            isError: !!(block.is_error || block.isError)
+          };
+        }
+      }
+    }
+    return results;
+  }
+
+  function collectToolCallIds(list) {
+    var ids = {};
+    for (var i = 0; i < list.length; i++) {
+      var content = list[i].content;
+      if (!Array.isArray(content)) continue;
+      for (var b = 0; b < content.length; b++) {
+        var call = toolCallOf(content[b]);
+        if (call && call.id) ids[call.id] = true;
+      }
+    }
+    return ids;
+  }
+
+  // results already drawn inside their call's card need no bubble of their own
+  function isPairedResult(msg, callIds) {
+    if (isResultMessage(msg)) return !!callIds[msg.toolCallId || msg.tool_call_id];
+    if (!Array.isArray(msg.content) || msg.content.length === 0) return false;
+    for (var i = 0; i < msg.content.length; i++) {
+      var block = msg.content[i];
+      if (!isResultBlock(block) || !callIds[block.tool_use_id || block.toolCallId]) return false;
+    }
+    return true;
+  }
+
+  function argPath(args) {
+    return args.path || args.file_path || args.filePath || "";
+  }
+
+  function toolSummary(call) {
+    var args = call.args || {};
+    if (typeof args.command === "string") return args.command.split("\n")[0];
+    var path = argPath(args);
+    if (path) return path;
+    var keys = Object.keys(args);
+    for (var i = 0; i < keys.length; i++) {
+      if (typeof args[keys[i]] === "string") return args[keys[i]];
+    }
+    return "";
+  }
+
+  // line diff via LCS; inputs too large for the table fall back to
+  // "everything removed, everything added"
+  function diffLines(before, after) {
+    var a = before.split("\n");
+    var b = after.split("\n");
+    var out = [];
+    var i, j;
+    if (a.length * b.length > 250000) {
+      for (i = 0; i < a.length; i++) out.push({ op: "-", text: a[i] });
+      for (j = 0; j < b.length; j++) out.push({ op: "+", text: b[j] });
+      return out;
+    }
+    var lcs = [];
+    for (i = a.length; i >= 0; i--) {
+      lcs[i] = [];
+      for (j = b.length; j >= 0; j--) {
+        if (i === a.length || j === b.length) lcs[i][j] = 0;
+        else if (a[i] === b[j]) lcs[i][j] = lcs[i + 1][j + 1] + 1;
+        else lcs[i][j] = Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    i = 0;
+    j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        out.push({ op: " ", text: a[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        out.push({ op: "-", text: a[i++] });
+      } else {
+        out.push({ op: "+", text: b[j++] });
+      }
+    }
+    while (i < a.length) out.push({ op: "-", text: a[i++] });
+    while (j < b.length) out.push({ op: "+", text: b[j++] });
+    return out;
+  }
+
+  function renderDiff(lines) {
+    var pre = document.createElement("pre");
+    pre.className = "tool-diff";
+    for (var i = 0; i < lines.length; i++) {
+      var line = document.createElement("span");
+      line.className = "tool-diff__line" + (lines[i].op === "+" ? " add" : lines[i].op === "-" ? " del" : "");
+      line.textContent = lines[i].op + " " + lines[i].text + "\n";
+      pre.appendChild(line);
+    }
+    return pre;
+  }
+
+  function renderPre(text, className) {
+    var pre = document.createElement("pre");
+    pre.className = className;
+    pre.textContent = text;
+    return pre;
+  }
+
+  function renderToolBody(call, result) {
+    var body = document.createElement("div");
+    body.className = "tool-card__body";
+    var args = call.args || {};
+    var name = call.name;
+    var output = result ? result.text : null;
+
+    if ((name === "exec" || name === "bash") && typeof args.command === "string") {
+      var term = renderPre("", "tool-term");
+      var prompt = document.createElement("span");
+      prompt.className = "tool-term__cmd";
+      prompt.textContent = "$ " + args.command + "\n";
+      term.appendChild(prompt);
+      if (output !== null) {
+        var out = document.createElement("span");
+        out.className = result.isError ? "tool-term__err" : "tool-term__out";
+        out.textContent = output;
+        term.appendChild(out);
+      }
+      body.appendChild(term);
+      return body;
+    }
+
+    var oldText = args.oldText !== undefined ? args.oldText : args.old_string !== undefined ? args.old_string : args.oldString;
+    var newText = args.newText !== undefined ? args.newText : args.new_string !== undefined ? args.new_string : args.newString;
+    if (name === "edit" && typeof oldText === "string" && typeof newText === "string") {
+      body.appendChild(renderDiff(diffLines(oldText, newText)));
+    } else if (name === "write" && typeof args.content === "string") {
+      body.appendChild(renderDiff(args.content.split("\n").map(function (t) { return { op: "+", text: t }; })));
+    } else if (name !== "read" || !argPath(args)) {
+      body.appendChild(renderPre(JSON.stringify(args, null, 2), "tool-args"));
+    }
+
+    if (output !== null && (name === "read" || result.isError || output.trim())) {
+      body.appendChild(renderPre(output, "tool-output" + (result.isError ? " error" : "")));
+    }
+    return body;
+  }
+
+  function renderToolCard(call, result) {
+    var card = document.createElement("details");
+    var state = !result ? "running" : result.isError ? "failed" : "done";
+    card.className = "tool-card tool-card--" + state;
+    if (call.id && openCards[call.id]) card.open = true;
+
+    var head = document.createElement("summary");
+    head.className = "tool-card__head";
+
+    var nameEl = document.createElement("span");
+    nameEl.className = "tool-card__name";
+    nameEl.textContent = call.name;
+    head.appendChild(nameEl);
+
+    var summary = document.createElement("span");
+    summary.className = "tool-card__summary";
+    summary.textContent = toolSummary(call);
+    head.appendChild(summary);
+
+    var badge = document.createElement("span");
+    badge.className = "tool-card__state";
+    badge.textContent = state;
+    head.appendChild(badge);
+
+    card.appendChild(head);
+    card.appendChild(renderToolBody(call, result));
+
+    // renders replace the DOM, so remember which cards the user opened
+    card.addEventListener("toggle", function () {
+      if (!call.id) return;
+      if (card.open) openCards[call.id] = true;
+      else delete openCards[call.id];
+    });
+    return card;
+  }
+
+  // streaming tool activity from "agent" events (stream: "tool")
+  function handleToolEvent(payload) {
+    var data = payload.data || {};
+    if (!payload.sessionKey || !data.toolCallId) return;
+    var s = getSession(payload.sessionKey);
+    var entry = null;
+    for (var i = 0; i < s.streamTools.length; i++) {
+      if (s.streamTools[i].id === data.toolCallId) entry = s.streamTools[i];
+    }
+    if (!entry) {
+      entry = { id: data.toolCallId, name: data.name || "tool", args: {}, result: null };
+      s.streamTools.push(entry);
+    }
+    if (data.args) entry.args = data.args;
+    if (data.phase === "start" && s.streamText === null) s.streamText = "";
+    if (data.phase === "result") {
+      var res = data.result;
+      entry.result = {
+        name: entry.name,
+        text: typeof res === "string" ? res : res ? contentText(res.content) || JSON.stringify(res, null, 2) : "",
+        isError: !!data.isError
+      };
+    }
+    if (s.key === sessionKey) scheduleStreamPatch();
+  }
+
+  // fold tool calls found in a delta message into the run's tool list
+  function mergeStreamTools(s, message) {
+    var content = message && message.content;
+    if (!Array.isArray(content)) return;
+    for (var i = 0; i < content.length; i++) {
+      var call = toolCallOf(content[i]);
+      if (!call || !call.id) continue;
+      var known = false;
+      for (var t = 0; t < s.streamTools.length; t++) {
+        if (s.streamTools[t].id === call.id) {
+          s.streamTools[t].args = call.args;
+          known = true;
+        }
+      }
+      if (!known) s.streamTools.push({ id: call.id, name: call.name, args: call.args, result: null });
+    }
+  }
+
+  // message content as bubble children: text runs as markdown, tool
+  // calls and unpaired results as cards. Returns false if nothing to show.
+  // showThinking overrides the hide setting (exports keep reasoning)
+  function renderBody(bubble, msg, results, showThinking) {
+    var shown = false;
+    var textParts = [];
+
+    function flushText() {
+      var text = stripMeta(splitThinking(textParts.join("\n")).answer);
+      textParts = [];
+      if (!text) return;
+      var textDiv = document.createElement("div");
+      textDiv.className = "chat-text";
+      textDiv.innerHTML = renderMarkdown(text);
+      bubble.appendChild(textDiv);
+      shown = true;
+    }
+
+    if (isResultMessage(msg)) {
+      var id = msg.toolCallId || msg.tool_call_id || null;
+      bubble.appendChild(renderToolCard(
+        { id: id, name: msg.toolName || "tool", args: {} },
+        { text: contentText(msg.content), isError: !!msg.isError }
+      ));
+      return true;
+    }
+
+    var thinking = (showThinking || !hideThinking) && extractThinking(msg);
+    if (thinking) {
+      bubble.appendChild(renderThinking(thinking, msg));
+      shown = true;
+    }
+
+    if (!Array.isArray(msg.content)) {
+      var text = extractText(msg);
+      if (text) {
+        textParts.push(text);
+        flushText();
+      }
+      return shown;
+    }
+
+    for (var i = 0; i < msg.content.length; i++) {
+      var block = msg.content[i];
+      var call = toolCallOf(block);
+      if (block && block.type === "text" && typeof block.text === "string") {
+        textParts.push(block.text);
+      } else if (imageSrc(block)) {
+        flushText();
+        bubble.appendChild(renderImageBlock(block));
+        shown = true;
+      } else if (block && block.type === "image") {
+        flushText();
+        bubble.appendChild(renderImagePlaceholder(block));
+        shown = true;
+      } else if (call) {
+        flushText();
+        bubble.appendChild(renderToolCard(call, call.id ? results[call.id] || null : null));
+        shown = true;
+      } else if (isResultBlock(block)) {
+        flushText();
+        bubble.appendChild(renderToolCard(
+          { id: block.tool_use_id || block.toolCallId || null, name: "result", args: {} },
+          { text: contentText(block.content), isError: !!(block.is_error || block.isError) }
+        ));
+        shown = true;
+      }
+    }
+    flushText();
+    return shown;
+  }
+
+  // ── render ────────────────────────────────────────────
+  // The thread is reconciled rather than rebuilt. Consecutive messages
+  // are grouped by role and each group gets a key derived from its
+  // messages; a group whose key is unchanged keeps its DOM node, so
+  // finished messages are parsed once and text selection survives
+  // re-renders. The streaming bubble is patched in place on each delta.
+  //
+  // Only the newest groups are attached (s.windowSize of them); a spacer
+  // stands in for the rest and the window grows as the user scrolls up.
+  // Past the top of the window, older history is fetched a page at a time.
+  //
+  // chat.history takes a limit but no cursor, so an older page is the
+  // whole history again with a bigger limit: page n downloads
+  // n * HISTORY_PAGE messages. HISTORY_MAX bounds that cost.
+
+  var THREAD_WINDOW = 60;     // groups attached by default
+  var THREAD_STEP = 40;       // groups added per scroll-up
+  var GROUP_HEIGHT = 140;     // estimate for groups never measured
+  var HISTORY_PAGE = 200;     // chat.history limit step
+  var HISTORY_MAX = 2000;     // largest limit asked for
+
+  var threadTop    = document.createElement("div");
+  var threadSpacer = document.createElement("div");
+  var threadList   = document.createElement("div");
+  var threadTail   = document.createElement("div");
+  var renderedSession = null;
+  var stickToBottom = true;
+  var streamFrame = null;
+
+  threadTop.className = "chat-thread__top";
+  threadSpacer.className = "chat-thread__spacer";
+  threadList.className = "chat-thread__list";
+  threadTail.className = "chat-thread__tail";
+  thread.insertBefore(threadTail, emptyState);
+  thread.insertBefore(threadList, threadTail);
+  thread.insertBefore(threadSpacer, threadList);
+  thread.insertBefore(threadTop, threadSpacer);
+
+  var msgKeys = typeof WeakMap === "function" ? new WeakMap() : null;
+
+  // stable across history reloads: role, timestamp and content size
+  function baseKey(msg) {
+    var key = msgKeys && msgKeys.get(msg);
+    if (key) return key;
+    var size = typeof msg.content === "string" ? msg.content.length
+      : msg.content ? JSON.stringify(msg.content).length : 0;
+    key = (msg.role || "") + ":" + (msg.timestamp || "") + ":" + size;
+    if (msgKeys) msgKeys.set(msg, key);
+    return key;
+  }
+
+  function streamMessage(s, results) {
+    var content = [];
+    for (var t = 0; t < s.streamTools.length; t++) {
+      var tool = s.streamTools[t];
+      content.push({ type: "toolCall", id: tool.id, name: tool.name, arguments: tool.args });
+      if (tool.result) results[tool.id] = tool.result;
+    }
+    if (s.streamThinking) content.unshift({ type: "thinking", thinking: s.streamThinking });
+    content.push({ type: "text", text: s.streamText });
+    return {
+      role: "assistant",
+      content: content,
+      _model: sessionModel(s),
+      _streaming: true
+    };
+  }
+
+  // group consecutive messages by role, keyed for reconciliation
+  function buildGroups(s) {
+    var allMessages = s.messages.slice();
+    var results = collectToolResults(allMessages);
+
+    // if streaming, add a temporary assistant message
+    if (s.streamText !== null) {
+      allMessages.push(streamMessage(s, results));
+    }
+
+    // tool results show up inside their call's card
+    var callIds = collectToolCallIds(allMessages);
+
+    var groups = [];
+    var current = null;
+    var seen = {};
+    for (var i = 0; i < allMessages.length; i++) {
+      var msg = allMessages[i];
+      if (isPairedResult(msg, callIds)) continue;
+      var role = isResultMessage(msg) ? "assistant" : msg.role || "assistant";
+      if (!current || current.role !== role) {
+        current = { role: role, messages: [], keys: [], key: null, streaming: false };
+        groups.push(current);
+      }
+      var key = msg._streaming ? "~stream" : baseKey(msg);
+      seen[key] = (seen[key] || 0) + 1;
+      current.messages.push(msg);
+      // the streaming bubble is patched in place, so its tools don't count
+      current.keys.push(key + "#" + seen[key] + (msg._streaming ? "" : toolStateKey(msg, results)));
+      if (msg._streaming) current.streaming = true;
+    }
+
+    for (var g = 0; g < groups.length; g++) {
+      var models = groups[g].role === "user" ? [] : groupModels(groups[g].messages);
+      groups[g].key = groups[g].role + "|" + groups[g].keys.join("|") + "|" + models.map(modelLabel).join(",");
+    }
+    return { groups: groups, results: results };
+  }
+
+  // a call card changes when its result lands, so results are part of the key
+  function toolStateKey(msg, results) {
+    if (!Array.isArray(msg.content)) return "";
+    var out = "";
+    for (var i = 0; i < msg.content.length; i++) {
+      var call = toolCallOf(msg.content[i]);
+      if (!call || !call.id) continue;
+      var r = results[call.id];
+      out += "/" + (r ? (r.isError ? "E" : "R") + r.text.length : "-");
+    }
+    return out;
+  }
+
+  function renderGroup(group, results, forExport) {
+    var isUser = group.role === "user";
+
+    var groupEl = document.createElement("div");
+    groupEl.className = "chat-group" + (isUser ? " user" : "");
+
+    // messages column
+    var msgsCol = document.createElement("div");
+    msgsCol.className = "chat-group-messages";
+
+    for (var m = 0; m < group.messages.length; m++) {
+      var msg = group.messages[m];
+
+      var bubble = document.createElement("div");
+      bubble.className = "chat-bubble";
+      bubble.tabIndex = -1;
+      bubble._msg = msg;
+      if (msg._streaming) bubble.className += " streaming";
+      if (msg.timestamp) bubble.setAttribute("data-ts", String(msg.timestamp));
+
+      if (!renderBody(bubble, msg, results, forExport) && !msg._streaming) continue;
+      // streaming and not-yet-accepted messages aren't in the transcript
+      var actions = !msg._streaming && !msg._outboxId && !isResultMessage(msg) && renderMessageActions(bubble, msg);
+      if (actions) bubble.appendChild(actions);
+
+      msgsCol.appendChild(bubble);
+    }
+
+    // footer (name + time)
+    var lastMsg = group.messages[group.messages.length - 1];
+    var footer = document.createElement("div");
+    footer.className = "chat-group-footer";
+
+    var senderName = document.createElement("span");
+    senderName.className = "chat-sender-name";
+    senderName.textContent = isUser ? "You" : "Agent";
+    footer.appendChild(senderName);
+
+    if (!isUser) {
+      var used = groupModels(group.messages);
+      if (used.length > 0) {
+        var modelTag = document.createElement("span");
+        modelTag.className = "chat-model-tag";
+        modelTag.textContent = used.map(modelLabel).join(", ");
+        modelTag.title = used.join(", ");
+        footer.appendChild(modelTag);
+      }
+    }
+
+    if (lastMsg.timestamp) {
+      var ts = document.createElement("span");
+      ts.className = "chat-group-timestamp";
+      ts.textContent = formatTime(lastMsg.timestamp);
+      footer.appendChild(ts);
+    }
+
+    var usage = !isUser && !group.streaming && renderUsage(active(), group);
+    if (usage) footer.appendChild(usage);
+
+    msgsCol.appendChild(footer);
+    groupEl.appendChild(msgsCol);
+    return groupEl;
+  }
+
+  function clearChildren(el) {
+    while (el.firstChild) {
+      el.removeChild(el.firstChild);
+    }
+  }
+
+  function renderThread() {
+    var s = active();
+    if (renderedSession !== s.key) {
+      // another session's nodes stay in its own cache
+      clearChildren(threadList);
+      renderedSession = s.key;
+    }
+
+    var built = buildGroups(s);
+    var groups = built.groups;
+    var pending = pendingFor(s.key);
+
+    // header: load-older control + history error
+    clearChildren(threadTop);
+    // a search hit above the window widens it
+    if (s.focusTs !== null) {
+      var hit = groupIndexOf(groups, s.focusTs);
+      if (hit !== -1 && hit < groups.length - s.windowSize) s.windowSize = groups.length - hit + 5;
+    }
+    var start = Math.max(0, groups.length - s.windowSize);
+    if (start === 0 && groups.length > 0 && !s.historyComplete && s.loaded) {
+      threadTop.appendChild(renderLoadOlder(s));
+    }
+    if (s.loadError) {
+      threadTop.appendChild(renderLoadError(s));
+    }
+    if (pairing && !isConnected) {
+      threadTop.appendChild(renderPairingNotice());
+    }
+
+    // spacer stands in for groups outside the window
+    var spacerHeight = 0;
+    for (var h = 0; h < start; h++) {
+      spacerHeight += s.heights[groups[h].key] || GROUP_HEIGHT;
+    }
+    threadSpacer.style.height = spacerHeight + "px";
+
+    // reconcile: drop nodes that left the window first, then insert new
+    // ones in order, so nodes that stay are never moved
+    var wanted = [];
+    var cache = {};
+    for (var g = start; g < groups.length; g++) {
+      var el = s.groupCache[groups[g].key] || renderGroup(groups[g], built.results);
+      el._groupKey = groups[g].key;
+      cache[groups[g].key] = el;
+      wanted.push(el);
+    }
+    // keep off-window nodes cached so scrolling back up is cheap
+    for (var o = 0; o < start; o++) {
+      if (s.groupCache[groups[o].key]) cache[groups[o].key] = s.groupCache[groups[o].key];
+    }
+    s.groupCache = cache;
+
+    var children = Array.prototype.slice.call(threadList.children);
+    for (var c = 0; c < children.length; c++) {
+      if (wanted.indexOf(children[c]) === -1) threadList.removeChild(children[c]);
+    }
+    for (var w = 0; w < wanted.length; w++) {
+      var at = threadList.children[w] || null;
+      if (at !== wanted[w]) threadList.insertBefore(wanted[w], at);
+      wanted[w].classList.toggle("chat-group--last", w === wanted.length - 1);
+    }
+
+    patchStream(s, built.results);
+
+    // tail: approval prompts and the outbox, both small and always fresh
+    clearChildren(threadTail);
+    for (var a = 0; a < s.approvals.length; a++) {
+      threadTail.appendChild(renderApprovalPrompt(s, s.approvals[a]));
+    }
+    for (var p = 0; p < pairRequests.length; p++) {
+      threadTail.appendChild(renderPairRequest(pairRequests[p]));
+    }
+    if (pending.length > 0) {
+      threadTail.appendChild(renderPending(pending));
+    }
+
+    var empty = groups.length === 0 && pending.length === 0 && s.approvals.length === 0
+      && pairRequests.length === 0 && !(pairing && !isConnected);
+    emptyState.classList.toggle("hidden", !empty);
+    renderContextMeter();
+
+    afterRender(s);
+  }
+
+  // redraw the streaming bubble's body from the current stream state
+  function patchStream(s, results) {
+    if (s.streamText === null) return;
+    var bubble = threadList.querySelector(".chat-bubble.streaming");
+    if (!bubble) return;
+    clearChildren(bubble);
+    renderBody(bubble, streamMessage(s, results || {}), results || {});
+  }
+
+  // deltas arrive faster than frames; coalesce them into one patch
+  function scheduleStreamPatch() {
+    if (streamFrame !== null) return;
+    streamFrame = requestAnimationFrame(function () {
+      streamFrame = null;
+      var s = active();
+      if (s.streamText === null || !threadList.querySelector(".chat-bubble.streaming")) {
+        renderThread();
+        return;
+      }
+      var results = {};
+      for (var t = 0; t < s.streamTools.length; t++) {
+        if (s.streamTools[t].result) results[s.streamTools[t].id] = s.streamTools[t].result;
+      }
+      patchStream(s, results);
+      if (stickToBottom) thread.scrollTop = thread.scrollHeight;
+    });
+  }
+
+  function afterRender(s) {
+    requestAnimationFrame(function () {
+      if (s.key !== sessionKey) return;
+      // measure attached groups so the spacer estimate improves
+      for (var i = 0; i < threadList.children.length; i++) {
+        var el = threadList.children[i];
+        if (el._groupKey) s.heights[el._groupKey] = el.offsetHeight;
+      }
+      if (s.focusTs !== null && focusMessage(s)) {
+        return;
+      }
+      if (s.scrollAnchor !== null) {
+        // keep the view still after older content was added above it
+        thread.scrollTop = thread.scrollHeight - s.scrollAnchor;
+        s.scrollAnchor = null;
+      } else if (stickToBottom) {
+        thread.scrollTop = thread.scrollHeight;
+      }
+    });
+  }
+
+  function groupIndexOf(groups, ts) {
+    for (var g = 0; g < groups.length; g++) {
+      for (var m = 0; m < groups[g].messages.length; m++) {
+        if (groups[g].messages[m].timestamp === ts) return g;
+      }
+    }
+    return -1;
+  }
+
+  // scroll a search hit into view; gives up once focusUntil passes
+  function focusMessage(s) {
+    var bubble = threadList.querySelector('[data-ts="' + s.focusTs + '"]');
+    if (!bubble) {
+      if (Date.now() > s.focusUntil) s.focusTs = null;
+      return false;
+    }
+    s.focusTs = null;
+    s.scrollAnchor = null;
+    stickToBottom = false;
+    bubble.scrollIntoView({ block: "center" });
+    bubble.classList.add("hit");
+    setTimeout(function () { bubble.classList.remove("hit"); }, 2000);
+    return true;
+  }
+
+  function renderLoadOlder(s) {
+    var btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "chat-load-older";
+    if (s.historyLimit >= HISTORY_MAX) {
+      btn.textContent = "Showing the latest " + HISTORY_MAX + " messages";
+      btn.disabled = true;
+      return btn;
+    }
+    btn.textContent = s.loadingOlder ? "Loading older messages..." : "Load older messages";
+    btn.disabled = s.loadingOlder || !isConnected;
+    btn.addEventListener("click", function () { loadOlder(s); });
+    return btn;
+  }
+
+  function loadOlder(s) {
+    if (s.loadingOlder || s.historyComplete || s.historyLimit >= HISTORY_MAX) return;
+    s.loadingOlder = true;
+    s.historyLimit = Math.min(HISTORY_MAX, s.historyLimit + HISTORY_PAGE);
+    s.scrollAnchor = thread.scrollHeight - thread.scrollTop;
+    renderThread();
+    var pending = loadHistory(s.key);
+    if (!pending) {
+      s.loadingOlder = false;
+      return;
+    }
+    pending.then(function () {
+      s.loadingOlder = false;
+      s.windowSize += THREAD_STEP;
+      if (s.key === sessionKey) renderThread();
+    });
+  }
+
+  thread.addEventListener("scroll", function () {
+    var s = active();
+    var fromBottom = thread.scrollHeight - thread.scrollTop - thread.clientHeight;
+    stickToBottom = fromBottom < 80;
+
+    // near the top of the window: attach more groups, or fetch a page
+    if (thread.scrollTop < threadSpacer.offsetHeight + 400) {
+      var groupCount = threadList.children.length;
+      if (s.windowSize <= groupCount && threadSpacer.offsetHeight > 0) {
+        s.windowSize += THREAD_STEP;
+        s.scrollAnchor = thread.scrollHeight - thread.scrollTop;
+        renderThread();
+      } else if (threadSpacer.offsetHeight === 0 && !s.historyComplete && s.loaded && thread.scrollTop < 200) {
+        loadOlder(s);
+      }
+    } else if (stickToBottom && s.windowSize > THREAD_WINDOW) {
+      // back at the bottom: let the window shrink again
+      s.windowSize = THREAD_WINDOW;
+      renderThread();
+    }
+  });
+
+  function groupModels(list) {
+    var used = [];
+    for (var i = 0; i < list.length; i++) {
+      var ref = list[i]._model || messageModel(list[i]);
+      if (ref && used.indexOf(ref) === -1) used.push(ref);
+    }
+    return used;
+  }
+
+  function renderLoadError(s) {
+    var box = document.createElement("div");
+    box.className = "chat-error";
+    box.textContent = "Could not load history: " + s.loadError + ". ";
+
+    var retry = document.createElement("button");
+    retry.type = "button";
+    retry.className = "chat-error__action";
+    retry.textContent = "Retry";
+    retry.addEventListener("click", function () { loadHistory(s.key); });
+    box.appendChild(retry);
+    return box;
+  }
+
+  function updateButtons() {
+    var streaming = active().runId !== null;
+    if (streaming) {
+      btnSend.classList.add("hidden");
+      btnStop.classList.remove("hidden");
+    } else {
+      btnSend.classList.remove("hidden");
+      btnStop.classList.add("hidden");
+    }
+    // sending stays available offline: messages wait in the outbox, but
+    // not during a replay, where chat.send would be answered from the capture
+    btnSend.disabled = replaying();
+    btnSend.title = replaying() ? "Sending is off while a capture replays"
+      : isConnected ? "" : "Queued until the gateway reconnects";
+    btnNew.disabled = !isConnected;
+    btnSessionNew.disabled = !isConnected;
+    modelSelect.disabled = !isConnected || modelSelect.options.length === 0;
+  }
+
+  // re-render only when the session is the one on screen
+  function renderSession(s) {
+    if (s.key === sessionKey) {
+      syncHeaderStatus();
+      renderThread();
+      updateButtons();
+    }
+    renderSessions();
+  }
+
+  function showError(s) {
+    if (s.key !== sessionKey) return;
+    setHeaderStatus("error");
+    setTimeout(function () {
+      if (headerStatus === "error") syncHeaderStatus();
+    }, 3000);
+  }
+
+  // ── actions ───────────────────────────────────────────
+
+  function loadHistory(key) {
+    if (!gw || !gw.connected()) return;
+    var s = getSession(key || sessionKey);
+    console.log("[chat] loadHistory request:", s.key);
+
+    // a newer load for the same session supersedes one still in flight
+    if (s.historyCtl) s.historyCtl.abort();
+    var ctl = typeof AbortController !== "undefined" ? new AbortController() : null;
+    s.historyCtl = ctl;
+
+    var asked = s.historyLimit;
+    return gw.request("chat.history", { sessionKey: s.key, limit: asked }, {
+      signal: ctl ? ctl.signal : undefined,
+      timeoutMs: 15000
+    })
+      .then(function (res) {
+        s.messages = Array.isArray(res.messages) ? res.messages : [];
+        s.loaded = true;
+        s.historyComplete = historyDone(res, asked);
+        s.loadError = null;
+        console.log("[chat] loadHistory got", s.messages.length, "messages for", s.key);
+        if (s.key === sessionKey) renderThread();
+      })
+      .catch(function (err) {
+        if (err.code === "aborted") return;
+        console.error("[chat] loadHistory error:", err);
+        s.loadError = describeError(err);
+        if (s.key === sessionKey) renderThread();
+      })
+      .then(function () {
+        if (s.historyCtl === ctl) s.historyCtl = null;
+      });
+  }
+
+  // The gateway's word if it gives one (hasMore, total). Otherwise fewer
+  // messages than asked for means the start of the transcript, or a cap
+  // on the gateway's side that a bigger limit won't get past either.
+  function historyDone(res, asked) {
+    var got = Array.isArray(res.messages) ? res.messages.length : 0;
+    if (typeof res.hasMore === "boolean") return !res.hasMore;
+    if (typeof res.total === "number") return got >= res.total;
+    return got < asked;
+  }
+
+  // A gap or reconnect means chat events were missed. Re-fetch history
+  // for the visible session and for every session with a run in flight,
+  // and settle runs whose final event never reached us.
+  function resync(info) {
+    console.log("[chat] resync:", JSON.stringify(info));
+    var keys = Object.keys(sessions);
+    for (var i = 0; i < keys.length; i++) {
+      var s = sessions[keys[i]];
+      if (s.key === sessionKey || isRunning(s)) {
+        recoverSession(s);
+      } else {
+        s.loaded = false;
+      }
+    }
+  }
+
+  function recoverSession(s) {
+    var pending = loadHistory(s.key);
+    if (!pending) return;
+    pending.then(function () {
+      if (!isRunning(s)) return;
+      // deltas carry the full text so far, so an unfinished run heals
+      // itself on the next delta; only a finished one needs settling here
+      var last = s.messages[s.messages.length - 1];
+      var finished = !!last && last.role === "assistant" && last.stopReason !== "toolUse"
+        && (!s.runStartedAt || !last.timestamp || last.timestamp >= s.runStartedAt);
+      console.log("[chat] recover", s.key, "run finished while away:", finished);
+      if (finished) {
+        endRun(s);
+        if (s.key !== sessionKey) s.unread = true;
+      }
+      renderSession(s);
+    });
+  }
+
+  function sendMessage() {
+    var text = input.value.trim();
+    if (text.charAt(0) === "/") {
+      if (text.charAt(1) !== "/") {
+        runCommand(text);
+        return;
+      }
+      text = text.slice(1);
+    }
+    if ((!text && attachments.length === 0) || !gw) return;
+    if (replaying()) {
+      showHint("Sending is off while a capture replays. Back to live reconnects.");
+      return;
+    }
+    var item = queueMessage(active().key, text, attachments);
+
+    input.value = "";
+    attachments = [];
+    renderTray();
+    autoGrow();
+    shareDraft();
+
+    // offline: the message waits in the outbox until the next hello
+    if (gw.connected()) {
+      deliver(item);
+    } else {
+      console.log("[chat] sendMessage queued offline:", item.id);
+      renderSession(active());
+      if (item.files) showHint("Attachments wait in this tab only: closing or reloading it before the message goes out loses them.");
+    }
+  }
+
+  // ── outbox ────────────────────────────────────────────
+  // Messages are queued here until chat.send accepts them. An item keeps
+  // its idempotencyKey across retries and reloads, so a replay after a
+  // dropped connection can never produce a duplicate run.
+  //
+  // status: queued (waiting for a connection), sending, failed
+  //
+  // Only the metadata is stored and shared with other tabs. Attachments
+  // would overrun localStorage, so they stay in memory in the tab that
+  // queued them (`held`) and the item just lists their names in `files`.
+  // That tab sends the item; if it goes away first they are lost, and
+  // the item says so (`lost`).
+
+  var outbox = loadOutbox();
+  var held = {};            // outbox id -> attachments, this tab's only
+
+  // null when storage can't be read
+  function storedOutbox() {
+    var items = null;
+    try { items = JSON.parse(localStorage.getItem("openclaw-outbox") || "[]"); } catch (e) { /* noop */ }
+    return Array.isArray(items) ? items : null;
+  }
+
+  function loadOutbox() {
+    var items = storedOutbox();
+    if (!items) return [];
+    for (var i = 0; i < items.length; i++) {
+      // a send interrupted by a reload is retried like any other
+      if (items[i].status === "sending") items[i].status = "queued";
+      // stored with its attachments by an older version
+      if (items[i].attachments) {
+        items[i].files = items[i].attachments.map(function (a) { return a.name || a.fileName || "file"; });
+        delete items[i].attachments;
+        loseFiles(items[i], "reloaded");
+      }
+    }
+    return items;
+  }
+
+  function saveOutbox() {
+    try { localStorage.setItem("openclaw-outbox", JSON.stringify(outbox)); } catch (e) { /* noop */ }
+    tellTabs({ type: "outbox", items: outbox });
+  }
+
+  // another tab saved the outbox. Items already here keep their identity
+  // so a deliver() in flight still updates the one in the list.
+  function adoptOutbox(items) {
+    var mine = {};
+    for (var i = 0; i < outbox.length; i++) mine[outbox[i].id] = outbox[i];
+    outbox = items.map(function (item) {
+      var own = mine[item.id];
+      if (!own) return item;
+      for (var k in item) {
+        if (Object.prototype.hasOwnProperty.call(item, k)) own[k] = item[k];
+      }
+      return own;
+    });
+  }
+
+  function queueMessage(key, text, files) {
+    var item = {
+      id: uuid(),
+      sessionKey: key,
+      text: text,
+      files: null,
+      createdAt: Date.now(),
+      status: "queued",
+      error: null
+    };
+    if (files && files.length > 0) {
+      held[item.id] = files.slice();
+      item.files = files.map(function (a) { return a.name; });
+    }
+    outbox.push(item);
+    saveOutbox();
+    return item;
+  }
+
+  function removeFromOutbox(id) {
+    for (var i = 0; i < outbox.length; i++) {
+      if (outbox[i].id === id) {
+        outbox.splice(i, 1);
+        delete held[id];
+        saveOutbox();
+        return;
+      }
+    }
+  }
+
+  function pendingFor(key) {
+    var items = [];
+    for (var i = 0; i < outbox.length; i++) {
+      if (outbox[i].sessionKey === key && outbox[i].status !== "sending") items.push(outbox[i]);
+    }
+    return items;
+  }
+
+  function deliver(item) {
+    var s = getSession(item.sessionKey);
+    item.status = "sending";
+    item.error = null;
+    saveOutbox();
+
+    // optimistic: show it as a regular user message while chat.send runs
+    var message = {
+      role: "user",
+      content: outboxContent(item),
+      timestamp: item.createdAt,
+      _outboxId: item.id
+    };
+    beginRun(s, message, item.id);
+    tellTabs({ type: "sent", key: s.key, message: sharedMessage(message), runId: item.id });
+    console.log("[chat] deliver runId:", item.id, "text:", item.text.slice(0, 80));
+    if (s.key === sessionKey) stickToBottom = true;
+    renderSession(s);
+
+    var files = held[item.id] || [];
+    var params = {
+      sessionKey: s.key,
+      message: messageWithFiles(item.text, files),
+      deliver: false,
+      idempotencyKey: item.id
+    };
+    var images = imageAttachments(files);
+    if (images.length > 0) params.attachments = images;
+    return gw.request("chat.send", params).then(function (res) {
+      console.log("[chat] send OK:", JSON.stringify(res));
+      removeFromOutbox(item.id);
+      if (res && res.runId && s.runId === item.id) {
+        s.runId = res.runId;
+        console.log("[chat] runId updated to server value:", s.runId);
+        tellTabs({ type: "run", key: s.key, from: item.id, runId: res.runId });
+      }
+    }).catch(function (err) {
+      console.error("[chat] send error:", err);
+      unsend(s, item.id);
+      tellTabs({ type: "unsent", key: s.key, id: item.id });
+      // lost the socket: replay on reconnect; anything else needs the user
+      if (err.code === "disconnected") {
+        item.status = "queued";
+      } else {
+        item.status = "failed";
+        item.error = describeError(err);
+      }
+      saveOutbox();
+      renderSession(s);
+      if (item.status === "failed") showError(s);
+    });
+  }
+
+  // the optimistic message as the other tabs get it: images by name and
+  // size only, like the stored outbox; their bytes come with the history
+  function sharedMessage(message) {
+    var copy = {};
+    for (var k in message) {
+      if (Object.prototype.hasOwnProperty.call(message, k)) copy[k] = message[k];
+    }
+    copy.content = message.content.map(function (block) {
+      if (block.type !== "image") return block;
+      return { type: "image", mimeType: block.mimeType, fileName: block.fileName, size: block.size };
+    });
+    return copy;
+  }
+
+  // take back the optimistic message of a send that failed
+  function unsend(s, id) {
+    for (var i = s.messages.length - 1; i >= 0; i--) {
+      if (s.messages[i]._outboxId === id) {
+        s.messages.splice(i, 1);
+        break;
+      }
+    }
+    if (s.runId === id) {
+      endRun(s);
+    }
+  }
+
+  // whether this tab has everything the item needs to go out
+  function canDeliver(item) {
+    return !item.files || item.lost || !!held[item.id];
+  }
+
+  // the tab gone, its attachments with it: the text can still be sent
+  function loseFiles(item, how) {
+    item.lost = true;
+    item.status = "failed";
+    item.error = "attachments lost when the tab " + how + " (" + item.files.join(", ") + ")"
+      + (item.text ? "; Retry sends the text alone" : "");
+  }
+
+  // replay queued messages one at a time so each session keeps its order.
+  // The tab holding the connection sends the shared ones; a tab holding
+  // attachments sends its own.
+  function flushOutbox() {
+    if (replaying()) return;
+    var queued = [];
+    for (var i = 0; i < outbox.length; i++) {
+      var item = outbox[i];
+      if (item.status !== "queued") continue;
+      if (held[item.id] || (canDeliver(item) && gw.isLeader())) queued.push(item);
+    }
+    if (queued.length === 0) return;
+    console.log("[chat] flushOutbox:", queued.length, "queued");
+    queued.reduce(function (chain, item) {
+      return chain.then(function () {
+        if (!gw.connected() || item.status !== "queued" || outbox.indexOf(item) === -1) return;
+        return deliver(item);
+      });
+    }, Promise.resolve());
+  }
+
+  function retryOutbox(id) {
+    for (var i = 0; i < outbox.length; i++) {
+      var item = outbox[i];
+      if (item.id !== id) continue;
+      if (!canDeliver(item)) return;
+      item.status = "queued";
+      item.error = null;
+      saveOutbox();
+      if (gw && gw.connected() && !replaying()) {
+        deliver(item);
+      } else {
+        renderSession(getSession(item.sessionKey));
+      }
+      return;
+    }
+  }
+
+  function cancelOutbox(id) {
+    for (var i = 0; i < outbox.length; i++) {
+      if (outbox[i].id === id) {
+        var key = outbox[i].sessionKey;
+        removeFromOutbox(id);
+        renderSession(getSession(key));
+        return;
+      }
+    }
+  }
+
+  // what the transcript will hold once chat.send has it; attachments
+  // kept by another tab (or lost) only by name
+  function outboxContent(item) {
+    var files = held[item.id] || [];
+    var text = messageWithFiles(item.text, files);
+    if (item.files && !held[item.id] && item.status !== "sending") {
+      text += (text ? "\n\n" : "") + "Attached: " + item.files.join(", ");
+    }
+    var content = text ? [{ type: "text", text: text }] : [];
+    return content.concat(imageBlocks(files));
+  }
+
+  // pending attachments die with the tab: warn before, mark them after
+  window.addEventListener("beforeunload", function (e) {
+    var waiting = outbox.some(function (item) { return held[item.id] && item.status !== "sending"; });
+    if (!waiting) return;
+    e.preventDefault();
+    e.returnValue = "";
+  });
+
+  window.addEventListener("pagehide", function () {
+    var changed = false;
+    for (var i = 0; i < outbox.length; i++) {
+      var item = outbox[i];
+      if (!held[item.id] || item.status === "sending") continue;
+      loseFiles(item, "closed");
+      changed = true;
+    }
+    if (changed) saveOutbox();
+  });
+
+  function renderPending(items) {
+    var groupEl = document.createElement("div");
+    groupEl.className = "chat-group user";
+
+    var msgsCol = document.createElement("div");
+    msgsCol.className = "chat-group-messages";
+
+    for (var i = 0; i < items.length; i++) {
+      msgsCol.appendChild(renderPendingItem(items[i]));
+    }
+
+    groupEl.appendChild(msgsCol);
+    return groupEl;
+  }
+
+  function renderPendingItem(item) {
+    var wrap = document.createElement("div");
+    wrap.className = "chat-pending";
+
+    var bubble = document.createElement("div");
+    bubble.className = "chat-bubble pending" + (item.status === "failed" ? " failed" : "");
+    renderBody(bubble, { role: "user", content: outboxContent(item) }, {});
+    wrap.appendChild(bubble);
+
+    var bar = document.createElement("div");
+    bar.className = "chat-pending__bar";
+
+    var status = document.createElement("span");
+    status.className = "chat-pending__status";
+    if (item.status === "failed") {
+      status.textContent = "Not sent: " + (item.error || "request failed");
+    } else if (held[item.id]) {
+      status.textContent = "Waiting for connection; attachments are kept in this tab only";
+    } else if (!canDeliver(item)) {
+      status.textContent = "Waiting for connection in the tab that has its attachments";
+    } else {
+      status.textContent = "Waiting for connection";
+    }
+    bar.appendChild(status);
+
+    var retry = document.createElement("button");
+    retry.type = "button";
+    retry.className = "chat-pending__action";
+    retry.textContent = "Retry";
+    retry.disabled = !isConnected || !canDeliver(item) || (item.lost && !item.text);
+    if (!canDeliver(item)) retry.title = "Its attachments are in another tab; retry from there";
+    retry.addEventListener("click", function () { retryOutbox(item.id); });
+    bar.appendChild(retry);
+
+    var cancel = document.createElement("button");
+    cancel.type = "button";
+    cancel.className = "chat-pending__action";
+    cancel.textContent = "Cancel";
+    cancel.addEventListener("click", function () { cancelOutbox(item.id); });
+    bar.appendChild(cancel);
+
+    wrap.appendChild(bar);
+    return wrap;
+  }
+
+  function abortRun() {
+    if (!gw || !gw.connected()) return;
+    var s = active();
+    var params = { sessionKey: s.key };
+    if (s.runId) params.runId = s.runId;
+    gw.request("chat.abort", params).catch(function (err) {
+      console.error("[chat] abort error:", err);
+    });
+  }
+
+  function resetSession(reason) {
+    if (!gw || !gw.connected()) return;
+    var s = active();
+    gw.request("sessions.reset", { key: s.key, reason: reason || "new" })
+      .then(function () {
+        clearSession(s);
+        input.focus();
+        tellTabs({ type: "reset", key: s.key });
+      })
+      .catch(function (err) {
+        console.error("[chat] reset error:", err);
+      });
+  }
+
+  function clearSession(s) {
+    s.messages = [];
+    endRun(s);
+    markSearchStale(s.key);
+    renderSession(s);
+  }
+
+  // ── attachments ───────────────────────────────────────
+  // Files picked, pasted or dropped wait in a tray above the textarea and
+  // go out with the next message. Text files are fenced into the message
+  // itself; chat.send's `attachments` only carries images, as
+  // { type: "image", mimeType, fileName, content } with content base64.
+  // Other binary files are refused, there is no way to send them.
+
+  var MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+  var MAX_TEXT_BYTES = 512 * 1024;
+  var TEXT_EXTENSIONS = /\.(txt|md|markdown|json|jsonl|ya?ml|toml|ini|csv|tsv|log|xml|html?|css|js|mjs|cjs|ts|tsx|jsx|py|rb|go|rs|java|kt|c|h|cc|cpp|hpp|cs|php|sh|bash|zsh|sql|diff|patch)$/i;
+
+  var attachments = [];     // { id, name, size, kind: "image"|"text", mimeType, data }
+
+  function formatBytes(n) {
+    if (n < 1024) return n + " B";
+    if (n < 1024 * 1024) return (n / 1024).toFixed(n < 10240 ? 1 : 0) + " KB";
+    return (n / 1024 / 1024).toFixed(1) + " MB";
+  }
+
+  function attachmentKind(file) {
+    if (/^image\//.test(file.type)) return "image";
+    if (/^text\//.test(file.type) || /json|xml|yaml|javascript|x-sh/.test(file.type)) return "text";
+    if (TEXT_EXTENSIONS.test(file.name)) return "text";
+    return null;
+  }
+
+  function readFile(file, kind) {
+    return new Promise(function (resolve, reject) {
+      var reader = new FileReader();
+      reader.onload = function () {
+        if (kind === "image") {
+          // data:<mime>;base64,<data>
+          resolve(String(reader.result).slice(String(reader.result).indexOf(",") + 1));
+        } else {
+          resolve(String(reader.result));
+        }
+      };
+      reader.onerror = function () { reject(reader.error || new Error("read failed")); };
+      if (kind === "image") {
+        reader.readAsDataURL(file);
+      } else {
+        reader.readAsText(file);
+      }
+    });
+  }
+
+  function addFiles(fileList) {
+    var files = Array.prototype.slice.call(fileList || []);
+    var refused = [];
+    var reads = [];
+    for (var i = 0; i < files.length; i++) {
+      var file = files[i];
+      var kind = attachmentKind(file);
+      var limit = kind === "image" ? MAX_IMAGE_BYTES : MAX_TEXT_BYTES;
+      if (!kind) {
+        refused.push(file.name + " (only images and text files can be attached)");
+        continue;
+      }
+      if (file.size > limit) {
+        refused.push(file.name + " (" + formatBytes(file.size) + ", limit " + formatBytes(limit) + ")");
+        continue;
+      }
+      reads.push(readAttachment(file, kind));
+    }
+    if (refused.length > 0) window.alert("Not attached:\n" + refused.join("\n"));
+    return Promise.all(reads).then(renderTray);
+  }
+
+  function readAttachment(file, kind) {
+    return readFile(file, kind).then(function (data) {
+      attachments.push({
+        id: uuid(),
+        name: file.name || (kind === "image" ? "pasted image" : "pasted text"),
+        size: file.size,
+        kind: kind,
+        mimeType: file.type || (kind === "image" ? "image/png" : "text/plain"),
+        data: data
+      });
+    }).catch(function (err) {
+      console.error("[chat] attachment read error:", file.name, err);
+    });
+  }
+
+  function removeAttachment(id) {
+    for (var i = 0; i < attachments.length; i++) {
+      if (attachments[i].id === id) {
+        attachments.splice(i, 1);
+        break;
+      }
+    }
+    renderTray();
+  }
+
+  // chat.send's `message`: the typed text, then each text file fenced
+  function messageWithFiles(text, list) {
+    var parts = text ? [text] : [];
+    for (var i = 0; i < list.length; i++) {
+      var a = list[i];
+      if (a.kind !== "text") continue;
+      parts.push("File: " + a.name + "\n\n" + fence(a.data.replace(/\n$/, ""), a.name.split(".").pop()));
+    }
+    return parts.join("\n\n");
+  }
+
+  // chat.send's `attachments`
+  function imageAttachments(list) {
+    return list.filter(function (a) { return a.kind === "image"; }).map(function (a) {
+      return { type: "image", mimeType: a.mimeType, fileName: a.name, content: a.data };
+    });
+  }
+
+  // the same images as transcript blocks, for the optimistic bubble
+  function imageBlocks(list) {
+    return list.filter(function (a) { return a.kind === "image"; }).map(function (a) {
+      return { type: "image", data: a.data, mimeType: a.mimeType, fileName: a.name, size: a.size };
+    });
+  }
+
+  function modelInputs(ref) {
+    for (var i = 0; i < models.length; i++) {
+      if (modelRef(models[i].provider, models[i].id) === ref) {
+        return Array.isArray(models[i].input) ? models[i].input : null;
+      }
+    }
+    return null;
+  }
+
+  // null when the model is unknown or takes images
+  function imageWarning() {
+    var hasImage = attachments.some(function (a) { return a.kind === "image"; });
+    if (!hasImage) return null;
+    var ref = sessionModel(active());
+    var inputs = modelInputs(ref);
+    if (!inputs || inputs.indexOf("image") !== -1) return null;
+    return modelLabel(ref) + " only accepts " + inputs.join(", ") + "; images will likely be ignored. "
+      + "Switch to a vision model (e.g. llava, qwen2.5-vl) to use them.";
+  }
+
+  function renderTray() {
+    clearChildren(attachTray);
+    attachTray.classList.toggle("hidden", attachments.length === 0);
+    if (attachments.length === 0) return;
+
+    var list = document.createElement("div");
+    list.className = "compose-tray__list";
+    for (var i = 0; i < attachments.length; i++) {
+      list.appendChild(renderTrayItem(attachments[i]));
+    }
+    attachTray.appendChild(list);
+
+    var warning = imageWarning();
+    if (warning) {
+      var warn = document.createElement("div");
+      warn.className = "compose-tray__warn";
+      warn.textContent = warning;
+      attachTray.appendChild(warn);
+    }
+  }
+
+  function renderTrayItem(a) {
+    var item = document.createElement("div");
+    item.className = "compose-att";
+    item.title = a.name;
+
+    var thumb;
+    if (a.kind === "image") {
+      thumb = document.createElement("img");
+      thumb.src = "data:" + a.mimeType + ";base64," + a.data;
+      thumb.alt = "";
+    } else {
+      thumb = document.createElement("span");
+      thumb.textContent = (a.name.split(".").pop() || "txt").slice(0, 4);
+    }
+    thumb.className = "compose-att__thumb";
+    item.appendChild(thumb);
+
+    var info = document.createElement("span");
+    info.className = "compose-att__info";
+    var name = document.createElement("span");
+    name.className = "compose-att__name";
+    name.textContent = a.name;
+    var size = document.createElement("span");
+    size.className = "compose-att__size";
+    size.textContent = formatBytes(a.size);
+    info.appendChild(name);
+    info.appendChild(size);
+    item.appendChild(info);
+
+    var remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "compose-att__remove";
+    remove.textContent = "×";
+    remove.title = "Remove " + a.name;
+    remove.setAttribute("aria-label", "Remove " + a.name);
+    remove.addEventListener("click", function () { removeAttachment(a.id); });
+    item.appendChild(remove);
+    return item;
+  }
+
+  // image blocks come as pi-agent { data, mimeType } or Anthropic { source }
+  function imageSrc(block) {
+    if (!block || block.type !== "image") return null;
+    var src = block.source || block;
+    var url = src.type === "url" ? src.url : block.url;
+    if (typeof url === "string") return /^(https?:|data:image\/)/i.test(url) ? url : null;
+    var data = src.data;
+    var mime = src.mimeType || src.media_type || "image/png";
+    return typeof data === "string" ? "data:" + mime + ";base64," + data : null;
+  }
+
+  function renderImageBlock(block) {
+    var link = document.createElement("a");
+    link.className = "chat-image";
+    link.href = imageSrc(block);
+    link.target = "_blank";
+    link.rel = "noopener";
+    var img = document.createElement("img");
+    img.src = link.href;
+    img.alt = block.fileName || "image";
+    img.loading = "lazy";
+    link.appendChild(img);
+    return link;
+  }
+
+  // an image whose bytes aren't here (sent from another tab)
+  function renderImagePlaceholder(block) {
+    var el = document.createElement("span");
+    el.className = "chat-image chat-image--placeholder";
+    el.textContent = "Image: " + (block.fileName || "image")
+      + (typeof block.size === "number" ? " (" + formatBytes(block.size) + ")" : "");
+    return el;
+  }
+
+  btnAttach.addEventListener("click", function () {
+    attachFile.click();
+  });
+
+  attachFile.addEventListener("change", function () {
+    addFiles(attachFile.files);
+    attachFile.value = "";
+  });
+
+  input.addEventListener("paste", function (e) {
+    var files = e.clipboardData && e.clipboardData.files;
+    if (!files || files.length === 0) return;
+    // a paste with text as well (rich copy) keeps the text
+    if (!e.clipboardData.getData("text/plain")) e.preventDefault();
+    addFiles(files);
+  });
+
+  function hasFiles(e) {
+    var types = e.dataTransfer && e.dataTransfer.types;
+    return !!types && Array.prototype.indexOf.call(types, "Files") !== -1;
+  }
+
+  chatPage.addEventListener("dragover", function (e) {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    chatPage.classList.add("chat-page--drop");
+  });
+
+  chatPage.addEventListener("dragleave", function (e) {
+    if (!e.relatedTarget || !chatPage.contains(e.relatedTarget)) {
+      chatPage.classList.remove("chat-page--drop");
+    }
+  });
+
+  chatPage.addEventListener("drop", function (e) {
+    chatPage.classList.remove("chat-page--drop");
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    addFiles(e.dataTransfer.files);
+    input.focus();
+  });
+
+  // ── message actions ───────────────────────────────────
+  // Copy only. Editing, regenerating and deleting would have to rewrite
+  // the server transcript, and the gateway has no method for that yet;
+  // changing just the local copy would show a history the agent doesn't
+  // have.
+
+  function copyText(text) {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      return navigator.clipboard.writeText(text);
+    }
+    // insecure contexts (plain http on a LAN address) have no clipboard API
+    var area = document.createElement("textarea");
+    area.value = text;
+    area.style.position = "fixed";
+    area.style.opacity = "0";
+    document.body.appendChild(area);
+    area.select();
+    var ok = false;
+    try { ok = document.execCommand("copy"); } catch (e) { /* noop */ }
+    document.body.removeChild(area);
+    return ok ? Promise.resolve() : Promise.reject(new Error("copy failed"));
+  }
+
+  // what the reader sees, without tool cards or the action bar
+  function renderedText(bubble) {
+    var parts = bubble.querySelectorAll(".chat-text");
+    var out = [];
+    for (var i = 0; i < parts.length; i++) {
+      out.push((parts[i].innerText || parts[i].textContent).trim());
+    }
+    return out.join("\n\n");
+  }
+
+  function actionButton(label, title, onClick) {
+    var btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "msg-action";
+    btn.textContent = label;
+    btn.title = title;
+    btn.addEventListener("click", function (e) {
+      e.stopPropagation();
+      onClick(btn);
+    });
+    return btn;
+  }
+
+  function flashCopied(btn, label) {
+    return function () {
+      btn.textContent = "Copied";
+      setTimeout(function () { btn.textContent = label; }, 1200);
+    };
+  }
+
+  // null when there is no text to copy
+  function renderMessageActions(bubble, msg) {
+    var text = extractText(msg);
+    if (!text) return null;
+    var bar = document.createElement("div");
+    bar.className = "msg-actions";
+    bar.appendChild(actionButton("Copy", "Copy as Markdown", function (btn) {
+      copyText(text).then(flashCopied(btn, "Copy"), function (err) {
+        console.error("[chat] copy error:", err);
+      });
+    }));
+    bar.appendChild(actionButton("Copy text", "Copy as rendered text", function (btn) {
+      copyText(renderedText(bubble)).then(flashCopied(btn, "Copy text"), function (err) {
+        console.error("[chat] copy error:", err);
+      });
+    }));
+    return bar;
+  }
+
+  // ── search ────────────────────────────────────────────
+  // The gateway has no search method, so a client-side index is built
+  // from chat.history of every listed session (fetched once, refreshed
+  // when a session changes).
+
+  var SEARCH_HISTORY_LIMIT = 1000;
+  var SEARCH_MAX_RESULTS = 50;
+
+  var searchIndex = {};     // session key -> { docs: [...], stale: bool }
+  var searchTimer = null;
+  var searchSeq = 0;        // drops results of superseded queries
+
+  function queryTerms(query) {
+    var words = query.toLowerCase().split(/[^\w\u00C0-\uFFFF]+/);
+    var terms = [];
+    for (var i = 0; i < words.length; i++) {
+      if (words[i] && terms.indexOf(words[i]) === -1) terms.push(words[i]);
+    }
+    return terms;
+  }
+
+  function indexSession(key, list) {
+    var docs = [];
+    for (var i = 0; i < list.length; i++) {
+      var msg = list[i];
+      var text = isResultMessage(msg) ? contentText(msg.content) : extractText(msg);
+      if (!text) continue;
+      docs.push({
+        text: text,
+        lower: text.toLowerCase(),
+        role: isResultMessage(msg) ? "tool" : msg.role,
+        timestamp: msg.timestamp || null,
+        fromEnd: list.length - i
+      });
+    }
+    searchIndex[key] = { docs: docs, stale: false };
+  }
+
+  function markSearchStale(key) {
+    if (searchIndex[key]) searchIndex[key].stale = true;
+  }
+
+  // fetch histories missing from the index, one session at a time
+  function ensureIndex() {
+    var keys = sessionOrder.slice();
+    return keys.reduce(function (chain, key) {
+      return chain.then(function () {
+        var entry = searchIndex[key];
+        if (entry && !entry.stale) return;
+        if (!gw || !gw.connected()) return;
+        return gw.request("chat.history", { sessionKey: key, limit: SEARCH_HISTORY_LIMIT })
+          .then(function (res) {
+            indexSession(key, Array.isArray(res && res.messages) ? res.messages : []);
+          })
+          .catch(function (err) {
+            console.error("[chat] search index error:", key, err);
+          });
+      });
+    }, Promise.resolve());
+  }
+
+  function countOf(haystack, needle) {
+    var n = 0;
+    var at = haystack.indexOf(needle);
+    while (at !== -1) {
+      n++;
+      at = haystack.indexOf(needle, at + needle.length);
+    }
+    return n;
+  }
+
+  // tf-idf over messages, with a bonus when the whole query appears verbatim
+  function searchLocal(query) {
+    var terms = queryTerms(query);
+    if (terms.length === 0) return [];
+    var phrase = query.trim().toLowerCase();
+    var keys = Object.keys(searchIndex);
+    var total = 0;
+    var df = {};
+    var k, d, t;
+    for (k = 0; k < keys.length; k++) {
+      var docs = searchIndex[keys[k]].docs;
+      total += docs.length;
+      for (d = 0; d < docs.length; d++) {
+        for (t = 0; t < terms.length; t++) {
+          if (docs[d].lower.indexOf(terms[t]) !== -1) df[terms[t]] = (df[terms[t]] || 0) + 1;
+        }
+      }
+    }
+
+    var hits = [];
+    for (k = 0; k < keys.length; k++) {
+      var list = searchIndex[keys[k]].docs;
+      for (d = 0; d < list.length; d++) {
+        var doc = list[d];
+        var score = 0;
+        var matched = 0;
+        for (t = 0; t < terms.length; t++) {
+          var tf = countOf(doc.lower, terms[t]);
+          if (tf === 0) continue;
+          matched++;
+          score += (1 + Math.log(tf)) * Math.log(1 + total / df[terms[t]]);
+        }
+        // every term must appear
+        if (matched < terms.length) continue;
+        if (terms.length > 1 && doc.lower.indexOf(phrase) !== -1) score *= 2;
+        hits.push({
+          sessionKey: keys[k],
+          text: doc.text,
+          role: doc.role,
+          timestamp: doc.timestamp,
+          fromEnd: doc.fromEnd,
+          score: score
+        });
+      }
+    }
+    hits.sort(function (a, b) {
+      return b.score - a.score || (b.timestamp || 0) - (a.timestamp || 0);
+    });
+    return hits.slice(0, SEARCH_MAX_RESULTS);
+  }
+
+  function runSearch(query) {
+    var seq = ++searchSeq;
+    renderSearchResults(null, query);
+
+    ensureIndex().then(function () { return searchLocal(query); }).then(function (hits) {
+      if (seq !== searchSeq) return;
+      console.log("[chat] search", JSON.stringify(query), "->", hits.length, "hits");
+      renderSearchResults(hits, query);
+    });
+  }
+
+  function clearSearch() {
+    searchSeq++;
+    searchInput.value = "";
+    searchResults.classList.add("hidden");
+    sessionList.classList.remove("hidden");
+  }
+
+  // snippet around the first match, with each term wrapped in <mark>
+  function renderSnippet(text, terms) {
+    var lower = text.toLowerCase();
+    var first = -1;
+    for (var t = 0; t < terms.length; t++) {
+      var at = lower.indexOf(terms[t]);
+      if (at !== -1 && (first === -1 || at < first)) first = at;
+    }
+    var from = Math.max(0, first - 50);
+    var snippet = (from > 0 ? "..." : "") + text.slice(from, from + 180).replace(/\s+/g, " ")
+      + (from + 180 < text.length ? "..." : "");
+
+    var el = document.createElement("span");
+    el.className = "search-hit__snippet";
+    if (terms.length === 0) {
+      el.textContent = snippet;
+      return el;
+    }
+    var escaped = terms.map(function (term) {
+      return term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    });
+    var parts = snippet.split(new RegExp("(" + escaped.join("|") + ")", "gi"));
+    for (var i = 0; i < parts.length; i++) {
+      if (!parts[i]) continue;
+      if (i % 2 === 1) {
+        var mark = document.createElement("mark");
+        mark.textContent = parts[i];
+        el.appendChild(mark);
+      } else {
+        el.appendChild(document.createTextNode(parts[i]));
+      }
+    }
+    return el;
+  }
+
+  // hits === null means "searching"
+  function renderSearchResults(hits, query) {
+    clearChildren(searchResults);
+    sessionList.classList.add("hidden");
+    searchResults.classList.remove("hidden");
+
+    if (hits === null || hits.length === 0) {
+      var note = document.createElement("li");
+      note.className = "search-note";
+      note.textContent = hits === null ? "Searching..." : "No matches";
+      searchResults.appendChild(note);
+      return;
+    }
+
+    var terms = queryTerms(query);
+    for (var i = 0; i < hits.length; i++) {
+      searchResults.appendChild(renderSearchHit(hits[i], terms));
+    }
+  }
+
+  function renderSearchHit(hit, terms) {
+    var li = document.createElement("li");
+    var btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "search-hit";
+
+    var meta = document.createElement("span");
+    meta.className = "search-hit__meta";
+    var where = sessions[hit.sessionKey] ? sessionTitle(sessions[hit.sessionKey]) : hit.sessionKey;
+    meta.textContent = where + (hit.timestamp ? " · " + new Date(hit.timestamp).toLocaleDateString() + " " + formatTime(hit.timestamp) : "");
+    btn.appendChild(meta);
+    btn.appendChild(renderSnippet(hit.text, terms));
+
+    btn.addEventListener("click", function () { openSearchHit(hit); });
+    li.appendChild(btn);
+    return li;
+  }
+
+  function openSearchHit(hit) {
+    var s = getSession(hit.sessionKey);
+    // make sure the history page reaches back far enough
+    if (hit.fromEnd && hit.fromEnd > s.historyLimit) {
+      s.historyLimit = Math.min(HISTORY_MAX, Math.ceil(hit.fromEnd / HISTORY_PAGE) * HISTORY_PAGE);
+    }
+    s.focusTs = hit.timestamp;
+    s.focusUntil = Date.now() + 5000;
+    if (s.key === sessionKey) {
+      appEl.classList.remove("sidebar-open");
+      loadHistory(s.key);
+      renderThread();
+    } else {
+      switchSession(s.key);
+    }
+  }
+
+  searchInput.addEventListener("input", function () {
+    if (searchTimer !== null) clearTimeout(searchTimer);
+    var query = searchInput.value.trim();
+    if (!query) {
+      clearSearch();
+      return;
+    }
+    searchTimer = setTimeout(function () {
+      searchTimer = null;
+      runSearch(query);
+    }, 250);
+  });
+
+  searchInput.addEventListener("keydown", function (e) {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      clearSearch();
+    }
+  });
+
+  // ── export / import ───────────────────────────────────
+  // Markdown for reading, JSON for a lossless round trip (content blocks,
+  // timestamps and model fields as the gateway returned them), and a
+  // single HTML file that inlines chat.css and works offline.
+
+  var EXPORT_FORMAT = "openclaw-transcript";
+
+  function exportBaseName(s) {
+    var slug = sessionTitle(s).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+    var d = new Date();
+    var stamp = d.getFullYear() + "-" + pad2(d.getMonth() + 1) + "-" + pad2(d.getDate());
+    return (slug || "session") + "-" + stamp;
+  }
+
+  function pad2(n) {
+    return (n < 10 ? "0" : "") + n;
+  }
+
+  function download(filename, mime, body) {
+    var blob = new Blob([body], { type: mime });
+    var url = URL.createObjectURL(blob);
+    var a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(function () { URL.revokeObjectURL(url); }, 1000);
+  }
+
+  // transcript messages minus UI-only fields (_outboxId, _streaming, ...)
+  function cleanMessages(list) {
+    var out = [];
+    for (var i = 0; i < list.length; i++) {
+      var copy = {};
+      var keys = Object.keys(list[i]);
+      for (var k = 0; k < keys.length; k++) {
+        if (keys[k].charAt(0) !== "_") copy[keys[k]] = list[i][keys[k]];
+      }
+      out.push(copy);
+    }
+    return out;
+  }
+
+  function toJSON(s) {
+    return JSON.stringify({
+      format: EXPORT_FORMAT,
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      session: { key: s.key, label: s.label, model: sessionModel(s) },
+      messages: cleanMessages(s.messages)
+    }, null, 2);
+  }
+
+  function fence(text, lang) {
+    // a fence longer than any backtick run inside the text
+    var longest = 0;
+    var runs = text.match(/`+/g) || [];
+    for (var i = 0; i < runs.length; i++) longest = Math.max(longest, runs[i].length);
+    var ticks = new Array(Math.max(3, longest + 1) + 1).join("`");
+    return ticks + (lang || "") + "\n" + text + "\n" + ticks;
+  }
+
+  // collapsed on renderers that know <details>, still readable elsewhere
+  function thinkingMarkdown(text) {
+    return "<details>\n<summary>Reasoning</summary>\n\n" + fence(text, "text") + "\n\n</details>";
+  }
+
+  function toMarkdown(s) {
+    var list = s.messages;
+    var results = collectToolResults(list);
+    var callIds = collectToolCallIds(list);
+    var out = ["# " + sessionTitle(s), ""];
+    if (s.key) out.push("_Exported " + new Date().toISOString() + " from " + s.key + "_", "");
+
+    for (var i = 0; i < list.length; i++) {
+      var msg = list[i];
+      if (isPairedResult(msg, callIds)) continue;
+      var isUser = msg.role === "user";
+      var heading = "## " + (isUser ? "You" : "Agent");
+      var model = !isUser && messageModel(msg);
+      if (model) heading += " (" + model + ")";
+      if (msg.timestamp) heading += " — " + new Date(msg.timestamp).toISOString();
+      out.push(heading, "");
+
+      if (isResultMessage(msg)) {
+        out.push("**Tool result** `" + (msg.toolName || "tool") + "`" + (msg.isError ? " (error)" : ""), "");
+        out.push(fence(contentText(msg.content)), "");
+        continue;
+      }
+      var thinking = extractThinking(msg);
+      if (thinking) out.push(thinkingMarkdown(thinking), "");
+      if (!Array.isArray(msg.content)) {
+        out.push(extractText(msg) || "", "");
+        continue;
+      }
+      for (var b = 0; b < msg.content.length; b++) {
+        var block = msg.content[b];
+        var call = toolCallOf(block);
+        if (block && block.type === "text" && typeof block.text === "string") {
+          var text = stripMeta(splitThinking(block.text).answer);
+          if (text) out.push(text, "");
+        } else if (imageSrc(block)) {
+          out.push("_[image" + (block.fileName ? ": " + block.fileName : "") + "]_", "");
+        } else if (call) {
+          out.push("**Tool call** `" + call.name + "`", "");
+          out.push(fence(JSON.stringify(call.args, null, 2), "json"), "");
+          var res = call.id && results[call.id];
+          if (res) {
+            out.push("**Result**" + (res.isError ? " (error)" : ""), "");
+            out.push(fence(res.text), "");
+          }
+        }
+      }
+    }
+    return out.join("\n");
+  }
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  // every group, not just the attached window, rendered fresh
+  function threadHTML(s) {
+    var built = buildGroups({
+      messages: s.messages,
+      streamText: null,
+      streamTools: [],
+      model: s.model
+    });
+    var holder = document.createElement("div");
+    for (var g = 0; g < built.groups.length; g++) {
+      holder.appendChild(renderGroup(built.groups[g], built.results, true));
+    }
+    // the per-message actions do nothing outside the app
+    var dead = holder.querySelectorAll(".msg-actions, .chat-thinking__hide, .code-block__actions");
+    for (var d = 0; d < dead.length; d++) {
+      dead[d].parentNode.removeChild(dead[d]);
+    }
+    return holder.innerHTML;
+  }
+
+  function toHTML(s, css) {
+    // the font @import is remote; the file must open offline
+    css = css.replace(/@import[^;]*;/g, "");
+    return "<!DOCTYPE html>\n"
+      + "<html lang=\"en\"" + (currentTheme() === "light" ? " data-theme=\"light\"" : "") + ">\n"
+      + "<head>\n<meta charset=\"utf-8\">\n"
+      + "<meta name=\"viewport\" content=\"width=device-width, initial-scale=1\">\n"
+      + "<title>" + escapeHtml(sessionTitle(s)) + "</title>\n"
+      + "<style>\n" + css + "\n.chat-group { content-visibility: visible; }\n</style>\n"
+      + "</head>\n<body>\n"
+      + "<div class=\"chat-page chat-page--export\">\n"
+      + "<header class=\"chat-header\"><span class=\"chat-header__name\">" + escapeHtml(sessionTitle(s)) + "</span></header>\n"
+      + "<section class=\"chat-thread\">\n" + threadHTML(s) + "\n</section>\n"
+      + "</div>\n</body>\n</html>\n";
+  }
+
+  // format: "md" | "json" | "html"
+  function exportSession(format) {
+    var s = active();
+    var name = exportBaseName(s);
+    console.log("[chat] export:", format, s.key, s.messages.length, "messages");
+    if (format === "md") {
+      download(name + ".md", "text/markdown", toMarkdown(s));
+    } else if (format === "json") {
+      download(name + ".json", "application/json", toJSON(s));
+    } else if (format === "html") {
+      fetch("chat.css")
+        .then(function (res) { return res.ok ? res.text() : ""; })
+        .catch(function () { return ""; })
+        .then(function (css) {
+          download(name + ".html", "text/html", toHTML(s, css));
+        });
+    }
+  }
+
+  // Load a JSON transcript into a fresh session. The gateway keeps the
+  // transcript and has no way to add to it without a run, so the old
+  // conversation goes in as a chat message the agent answers; the user
+  // is asked first.
+  function importTranscript(file) {
+    var reader = new FileReader();
+    if (!gw || !gw.connected()) {
+      window.alert("Connect to the gateway before importing.");
+      return;
+    }
+    reader.onload = function () {
+      var data = null;
+      try { data = JSON.parse(String(reader.result)); } catch (e) { /* handled below */ }
+      if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.messages)) {
+        window.alert("Not an OpenClaw transcript: " + file.name);
+        return;
+      }
+      var label = "Imported: " + ((data.session && data.session.label) || file.name.replace(/\.json$/i, ""));
+      var imported = { key: "", label: label, messages: data.messages, model: null };
+      var context = "Context from an earlier conversation (imported transcript):\n\n" + toMarkdown(imported);
+
+      if (!window.confirm("Import " + data.messages.length + " messages from " + file.name + " into a new session? "
+        + "They go in as one chat message, and the agent will reply to it.")) return;
+      var key = createSession(label);
+      if (!key) return;
+      queueContext(getSession(key), context);
+    };
+    reader.readAsText(file);
+  }
+
+  function queueContext(s, context) {
+    var item = queueMessage(s.key, context);
+    if (gw && gw.connected()) deliver(item);
+    else renderSession(s);
+  }
+
+  function closeMenu() {
+    exportList.classList.add("hidden");
+    btnExport.setAttribute("aria-expanded", "false");
+  }
+
+  btnExport.addEventListener("click", function (e) {
+    e.stopPropagation();
+    var open = exportList.classList.toggle("hidden") === false;
+    btnExport.setAttribute("aria-expanded", open ? "true" : "false");
+  });
+
+  exportList.addEventListener("click", function (e) {
+    var target = e.target.closest("[data-export], [data-import]");
+    if (!target) return;
+    closeMenu();
+    if (target.hasAttribute("data-import")) {
+      importFile.value = "";
+      importFile.click();
+    } else {
+      exportSession(target.getAttribute("data-export"));
+    }
+  });
+
+  importFile.addEventListener("change", function () {
+    if (importFile.files && importFile.files[0]) importTranscript(importFile.files[0]);
+  });
+
+  document.addEventListener("click", function (e) {
+    if (!exportList.classList.contains("hidden") && !exportList.contains(e.target)) closeMenu();
+  });
+
+  // ── workspace ─────────────────────────────────────────
+  // Editor for the live workspace files (IDENTITY.md, SOUL.md, ...) that
+  // the gateway injects into every prompt. Files are read and written
+  // with agents.files.list/get/set; "Reset to templates" writes the
+  // repo's workspace/ copies, which build_ui ships under templates/.
+  // Token counts are estimates (about 4 characters per token).
+
+  var wsFiles = [];         // [{ name, content, saved, template, missing }]
+  var wsCurrent = null;     // name of the file in the editor
+  var wsPreview = false;
+
+  function agentId() {
+    var m = /^agent:([^:]+):/.exec(mainSessionKey);
+    return m ? m[1] : "main";
+  }
+
+  function estimateTokens(text) {
+    return text ? Math.ceil(text.length / 4) : 0;
+  }
+
+  function formatTokens(n) {
+    if (n >= 100000) return Math.round(n / 1000) + "k";
+    return n >= 1000 ? (n / 1000).toFixed(1) + "k" : String(n);
+  }
+
+  function wsFile(name) {
+    for (var i = 0; i < wsFiles.length; i++) {
+      if (wsFiles[i].name === name) return wsFiles[i];
+    }
+    return null;
+  }
+
+  function wsDirty(f) {
+    return f.content !== f.saved;
+  }
+
+  function fetchTemplate(name) {
+    return fetch("templates/" + encodeURIComponent(name), { cache: "no-store" })
+      .then(function (res) { return res.ok ? res.text() : null; })
+      .catch(function () { return null; });
+  }
+
+  function openWorkspace() {
+    workspacePanel.classList.remove("hidden");
+    if (!supports("agents.files.list")) {
+      wsFiles = [];
+      renderWorkspace("This gateway doesn't expose workspace files (agents.files.list). "
+        + "Edit ~/.openclaw/workspace by hand and run ./hooks.sh sync.");
+      return;
+    }
+    renderWorkspace("Loading...");
+    loadWorkspace();
+  }
+
+  function closeWorkspace() {
+    var dirty = wsFiles.filter(wsDirty);
+    if (dirty.length > 0 && !window.confirm("Discard unsaved changes to " + dirty.map(function (f) { return f.name; }).join(", ") + "?")) {
+      return;
+    }
+    workspacePanel.classList.add("hidden");
+    input.focus();
+  }
+
+  function loadWorkspace() {
+    gw.request("agents.files.list", { agentId: agentId() })
+      .then(function (res) {
+        var list = Array.isArray(res && res.files) ? res.files : [];
+        return Promise.all(list.map(function (entry) {
+          var name = typeof entry === "string" ? entry : entry.name;
+          var missing = !!(entry && entry.missing);
+          var content = missing
+            ? Promise.resolve("")
+            : gw.request("agents.files.get", { agentId: agentId(), name: name }).then(function (r) {
+              var file = (r && r.file) || r || {};
+              return typeof file.content === "string" ? file.content : "";
+            });
+          return Promise.all([content, fetchTemplate(name)]).then(function (parts) {
+            return { name: name, content: parts[0], saved: parts[0], template: parts[1], missing: missing };
+          });
+        }));
+      })
+      .then(function (files) {
+        wsFiles = files;
+        if (!wsFile(wsCurrent)) wsCurrent = files.length > 0 ? files[0].name : null;
+        console.log("[chat] workspace loaded:", files.length, "files");
+        renderWorkspace(files.length === 0 ? "The workspace is empty." : null);
+      })
+      .catch(function (err) {
+        console.error("[chat] workspace load error:", err);
+        renderWorkspace("Could not load the workspace: " + describeError(err));
+      });
+  }
+
+  function saveWorkspaceFile(f) {
+    var content = f.content;
+    wsStatus.textContent = "Saving " + f.name + "...";
+    return gw.request("agents.files.set", { agentId: agentId(), name: f.name, content: content })
+      .then(function () {
+        f.saved = content;
+        f.missing = false;
+        wsStatus.textContent = "Saved " + f.name + ". It applies from the next message.";
+        renderWorkspace(null);
+      })
+      .catch(function (err) {
+        console.error("[chat] workspace save error:", f.name, err);
+        wsStatus.textContent = "Could not save " + f.name + ": " + describeError(err);
+        throw err;
+      });
+  }
+
+  // like `./hooks.sh reset`, except files without a template are kept
+  function resetWorkspace() {
+    var targets = wsFiles.filter(function (f) { return f.template !== null; });
+    if (targets.length === 0) {
+      wsStatus.textContent = "No repo templates found (run ./hooks.sh build to ship them).";
+      return;
+    }
+    var kept = wsFiles.filter(function (f) { return f.template === null; });
+    var message = "Replace " + targets.map(function (f) { return f.name; }).join(", ") + " with the repo templates?";
+    if (kept.length > 0) message += "\n\nKept as they are (no template): " + kept.map(function (f) { return f.name; }).join(", ");
+    if (!window.confirm(message)) return;
+
+    targets.reduce(function (chain, f) {
+      return chain.then(function () {
+        f.content = f.template;
+        return saveWorkspaceFile(f);
+      });
+    }, Promise.resolve()).then(function () {
+      wsStatus.textContent = "Reset " + targets.length + " files to the repo templates.";
+    }, function () { /* status already shows the failure */ });
+  }
+
+  function renderWorkspace(note) {
+    clearChildren(wsList);
+    var total = 0;
+    for (var i = 0; i < wsFiles.length; i++) {
+      total += estimateTokens(wsFiles[i].content);
+      wsList.appendChild(renderWorkspaceItem(wsFiles[i]));
+    }
+
+    var ctx = contextWindow();
+    wsTotal.textContent = wsFiles.length === 0 ? "" : "~" + formatTokens(total) + " tokens in every prompt"
+      + (ctx ? " (" + (total / ctx * 100).toFixed(1) + "% of " + formatTokens(ctx) + " context)" : "");
+    btnWsReset.disabled = wsFiles.length === 0;
+
+    var f = wsFile(wsCurrent);
+    wsEditor.classList.toggle("hidden", !f);
+    wsNote.classList.toggle("hidden", !note);
+    wsNote.textContent = note || "";
+    if (!f) return;
+
+    wsName.textContent = f.name + (f.missing ? " (not created yet)" : "");
+    if (wsText.value !== f.content) wsText.value = f.content;
+    wsText.classList.toggle("hidden", wsPreview);
+    wsPreviewEl.classList.toggle("hidden", !wsPreview);
+    if (wsPreview) wsPreviewEl.innerHTML = renderMarkdown(f.content);
+    btnWsPreview.textContent = wsPreview ? "Edit" : "Preview";
+    btnWsSave.disabled = !wsDirty(f);
+    btnWsRevert.disabled = !wsDirty(f);
+  }
+
+  function renderWorkspaceItem(f) {
+    var li = document.createElement("li");
+    var btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "ws-file" + (f.name === wsCurrent ? " active" : "") + (wsDirty(f) ? " dirty" : "");
+    var name = document.createElement("span");
+    name.className = "ws-file__name";
+    name.textContent = f.name;
+    var tokens = document.createElement("span");
+    tokens.className = "ws-file__tokens";
+    tokens.textContent = f.missing && !f.content ? "missing" : "~" + formatTokens(estimateTokens(f.content));
+    btn.appendChild(name);
+    btn.appendChild(tokens);
+    btn.addEventListener("click", function () {
+      wsCurrent = f.name;
+      renderWorkspace(null);
+    });
+    li.appendChild(btn);
+    return li;
+  }
+
+  wsText.addEventListener("input", function () {
+    var f = wsFile(wsCurrent);
+    if (!f) return;
+    f.content = wsText.value;
+    wsStatus.textContent = "";
+    renderWorkspace(null);
+  });
+
+  wsText.addEventListener("keydown", function (e) {
+    if ((e.ctrlKey || e.metaKey) && e.key === "s") {
+      e.preventDefault();
+      var f = wsFile(wsCurrent);
+      if (f && wsDirty(f)) saveWorkspaceFile(f).catch(function () { /* shown in status */ });
+    }
+  });
+
+  btnWsSave.addEventListener("click", function () {
+    var f = wsFile(wsCurrent);
+    if (f) saveWorkspaceFile(f).catch(function () { /* shown in status */ });
+  });
+
+  btnWsRevert.addEventListener("click", function () {
+    var f = wsFile(wsCurrent);
+    if (!f) return;
+    f.content = f.saved;
+    renderWorkspace(null);
+  });
+
+  btnWsPreview.addEventListener("click", function () {
+    wsPreview = !wsPreview;
+    renderWorkspace(null);
+  });
+
+  btnWsReset.addEventListener("click", resetWorkspace);
+  btnWorkspace.addEventListener("click", openWorkspace);
+  btnWsClose.addEventListener("click", closeWorkspace);
+
+  workspacePanel.addEventListener("click", function (e) {
+    if (e.target === workspacePanel) closeWorkspace();
+  });
+
+  workspacePanel.addEventListener("keydown", function (e) {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      closeWorkspace();
+    }
+  });
+
+  // ── gateway events ────────────────────────────────────
+
+  function handleEvent(evt) {
+    console.log("[chat] event:", evt.event, evt.payload ? evt.payload.state : "(no payload)");
+    if (evt.event === "agent" && evt.payload && evt.payload.stream === "tool") {
+      handleToolEvent(evt.payload);
+      return;
+    }
+    var approval = approvalKind(evt.event);
+    if (approval) {
+      handleApprovalEvent(evt, approval);
+      return;
+    }
+    if (evt.event === "device.pair.requested" || evt.event === "device.pair.resolved") {
+      handlePairEvent(evt);
+      return;
+    }
+    if (evt.event !== "chat") return;
+    var payload = evt.payload;
+    if (!payload || !payload.sessionKey) return;
+
+    // events for every session are tracked; only the active one is drawn
+    var s = getSession(payload.sessionKey);
+    var isActive = s.key === sessionKey;
+    console.log("[chat] event accepted: session:", s.key, "active:", isActive, "state:", payload.state, "runId:", payload.runId, "local:", s.runId);
+
+    if (payload.state === "delta") {
+      var next = extractText(payload.message);
+      console.log("[chat] delta text length:", next ? next.length : 0, "streamText was:", s.streamText ? s.streamText.length : "null");
+      var wasRunning = isRunning(s);
+      if (typeof next === "string") {
+        var current = s.streamText || "";
+        if (!current || next.length >= current.length) {
+          s.streamText = next;
+        }
+      }
+      mergeStreamTools(s, payload.message);
+      var thought = extractThinking(payload.message);
+      if (thought && (!s.streamThinking || thought.length >= s.streamThinking.length)) s.streamThinking = thought;
+      if (s.streamText === null && (s.streamTools.length > 0 || s.streamThinking)) s.streamText = "";
+      noteDelta(s);
+      if (isActive) {
+        if (headerStatus === "thinking" && s.streamText) {
+          setHeaderStatus("responding");
+        }
+        scheduleStreamPatch();
+      }
+      if (!wasRunning) renderSessions();
+    } else if (payload.state === "final") {
+      console.log("[chat] final received, messages before reload:", s.messages.length);
+      finishTiming(s, payload);
+      endRun(s);
+      markSearchStale(s.key);
+      if (isActive) {
+        loadHistory(s.key);
+      } else {
+        s.loaded = false;
+        s.unread = true;
+      }
+      renderSession(s);
+      if (sessionOrder.indexOf(s.key) === -1) refreshSessions();
+    } else if (payload.state === "aborted") {
+      if ((s.streamText && s.streamText.trim()) || s.streamThinking) {
+        var kept = [{ type: "text", text: s.streamText || "" }];
+        if (s.streamThinking) kept.unshift({ type: "thinking", thinking: s.streamThinking });
+        s.messages.push({
+          role: "assistant",
+          content: kept,
+          timestamp: Date.now()
+        });
+      }
+      endRun(s);
+      renderSession(s);
+    } else if (payload.state === "error") {
+      var errorMsg = payload.errorMessage || "chat error";
+      s.messages.push({
+        role: "assistant",
+        content: [{ type: "text", text: "Error: " + errorMsg }],
+        timestamp: Date.now()
+      });
+      endRun(s);
+      if (!isActive) s.unread = true;
+      renderSession(s);
+      showError(s);
+    }
+  }
+
+  // ── slash commands ────────────────────────────────────
+  // A line starting with "/" runs a command instead of going to the model
+  // ("//" sends a literal slash). Commands are registered with
+  // registerCommand; each maps onto an action this file already has.
+  //
+  //   name         word after the slash
+  //   usage        argument hint shown in the menu ("<id>"), optional
+  //   description  one line for the menu
+  //   gateway      true when it needs a live connection
+  //   complete     fn(arg) -> [{ value, label, detail }], optional
+  //   run          fn(arg) -> error string to show, or nothing
+
+  var commands = [];
+  var commandItems = [];    // what the menu currently lists
+  var commandIndex = 0;
+
+  function registerCommand(def) {
+    commands.push(def);
+  }
+
+  function findCommand(name) {
+    for (var i = 0; i < commands.length; i++) {
+      if (commands[i].name === name) return commands[i];
+    }
+    return null;
+  }
+
+  // "/model qwen" -> { name: "model", arg: "qwen", hasArg: true }
+  function parseCommand(text) {
+    var m = /^\/(\S*)(\s+([\s\S]*))?$/.exec(text);
+    if (!m) return null;
+    return { name: m[1].toLowerCase(), arg: (m[3] || "").trim(), hasArg: m[2] !== undefined };
+  }
+
+  function runCommand(text) {
+    var parsed = parseCommand(text);
+    var cmd = parsed && findCommand(parsed.name);
+    if (!cmd) {
+      showHint("Unknown command /" + (parsed ? parsed.name : "") + ". Type / to see the list, or start with // to send a slash.");
+      return;
+    }
+    if (cmd.gateway && (!gw || !gw.connected())) {
+      showHint("/" + cmd.name + " needs a connection to the gateway.");
+      return;
+    }
+    console.log("[chat] command:", cmd.name, parsed.arg);
+    var error = cmd.run(parsed.arg);
+    if (error) {
+      showHint(error);
+      return;
+    }
+    input.value = "";
+    autoGrow();
+    shareDraft();
+    hideCommandMenu();
+  }
+
+  function showHint(text) {
+    composeHint.textContent = text;
+    composeHint.classList.remove("hidden");
+  }
+
+  function hideHint() {
+    composeHint.classList.add("hidden");
+  }
+
+  function matches(label, query) {
+    return label.toLowerCase().indexOf(query.toLowerCase()) !== -1;
+  }
+
+  // ── built-in commands
+
+  registerCommand({
+    name: "new",
+    description: "Start over in this session (sessions.reset)",
+    gateway: true,
+    run: function () { resetSession("new"); }
+  });
+
+  registerCommand({
+    name: "clear",
+    description: "Clear this session's transcript (sessions.reset)",
+    gateway: true,
+    run: function () { resetSession("reset"); }
+  });
+
+  registerCommand({
+    name: "abort",
+    description: "Stop the running reply (chat.abort)",
+    gateway: true,
+    run: function () {
+      if (!isRunning(active())) return "Nothing is running.";
+      abortRun();
+    }
+  });
+
+  registerCommand({
+    name: "model",
+    usage: "<id>",
+    description: "Switch this session's model",
+    gateway: true,
+    complete: function (arg) {
+      var out = [];
+      for (var i = 0; i < models.length; i++) {
+        var ref = modelRef(models[i].provider, models[i].id);
+        var label = models[i].name || models[i].id;
+        if (arg && !matches(ref, arg) && !matches(label, arg)) continue;
+        out.push({ value: "/model " + ref, label: ref, detail: label === ref ? "" : label });
+      }
+      return out;
+    },
+    run: function (arg) {
+      if (!arg) return "Usage: /model <id>. Current: " + (sessionModel(active()) || "gateway default");
+      var found = null;
+      for (var i = 0; i < models.length; i++) {
+        var ref = modelRef(models[i].provider, models[i].id);
+        if (ref === arg || models[i].id === arg || (models[i].name || "").toLowerCase() === arg.toLowerCase()) {
+          found = ref;
+          break;
+        }
+      }
+      if (!found) {
+        // the list may be stale; refresh it for the next try
+        loadModels();
+        return "Unknown model " + arg + ". Pick one from the list (models.list).";
+      }
+      setSessionModel(found);
+    }
+  });
+
+  registerCommand({
+    name: "session",
+    usage: "<name>",
+    description: "Switch to a session, or create it",
+    gateway: true,
+    complete: function (arg) {
+      var out = [];
+      for (var i = 0; i < sessionOrder.length; i++) {
+        var s = getSession(sessionOrder[i]);
+        var title = sessionTitle(s);
+        if (arg && !matches(title, arg) && !matches(s.key, arg)) continue;
+        out.push({ value: "/session " + title, label: title, detail: s.key === sessionKey ? "current" : "" });
+      }
+      return out;
+    },
+    run: function (arg) {
+      if (!arg) return "Usage: /session <name>";
+      for (var i = 0; i < sessionOrder.length; i++) {
+        var s = getSession(sessionOrder[i]);
+        if (sessionTitle(s).toLowerCase() === arg.toLowerCase() || s.key === arg) {
+          switchSession(s.key);
+          return;
+        }
+      }
+      createSession(arg);
+    }
+  });
+
+  registerCommand({
+    name: "export",
+    usage: "md|json|html",
+    description: "Download this session",
+    complete: function (arg) {
+      return ["md", "json", "html"].filter(function (f) {
+        return !arg || f.indexOf(arg.toLowerCase()) === 0;
+      }).map(function (f) {
+        return { value: "/export " + f, label: f, detail: "" };
+      });
+    },
+    run: function (arg) {
+      var format = (arg || "md").toLowerCase();
+      if (["md", "json", "html"].indexOf(format) === -1) return "Usage: /export md|json|html";
+      exportSession(format);
+    }
+  });
+
+  registerCommand({
+    name: "thinking",
+    usage: "show|hide",
+    description: "Show or always hide model reasoning",
+    complete: function (arg) {
+      return ["show", "hide"].filter(function (v) {
+        return !arg || v.indexOf(arg.toLowerCase()) === 0;
+      }).map(function (v) {
+        return { value: "/thinking " + v, label: v, detail: (v === "hide") === hideThinking ? "current" : "" };
+      });
+    },
+    run: function (arg) {
+      var value = (arg || "").toLowerCase();
+      if (value !== "show" && value !== "hide") return "Usage: /thinking show|hide";
+      setHideThinking(value === "hide");
+    }
+  });
+
+  registerCommand({
+    name: "keys",
+    description: "Show keyboard shortcuts",
+    run: function () { openHelp(); }
+  });
+
+  registerCommand({
+    name: "diag",
+    description: "Show connection diagnostics",
+    run: function () { openDiagnostics(); }
+  });
+
+  registerCommand({
+    name: "frames",
+    description: "Inspect gateway frames (needs ?debug=frames)",
+    run: function () {
+      if (!frameCapture) return "Frame capture is off. Open the page with ?debug=frames to turn it on.";
+      openFrames();
+    }
+  });
+
+  registerCommand({
+    name: "signout",
+    description: "Forget the gateway token and device key",
+    run: function () { signOut(); }
+  });
+
+  // ── autocomplete menu
+
+  function commandCompletions(text) {
+    var parsed = parseCommand(text);
+    if (!parsed) return [];
+    if (!parsed.hasArg) {
+      return commands.filter(function (c) {
+        return c.name.indexOf(parsed.name) === 0;
+      }).map(function (c) {
+        return {
+          value: "/" + c.name + (c.usage ? " " : ""),
+          label: "/" + c.name + (c.usage ? " " + c.usage : ""),
+          detail: c.description
+        };
+      });
+    }
+    var cmd = findCommand(parsed.name);
+    return cmd && cmd.complete ? cmd.complete(parsed.arg) : [];
+  }
+
+  function updateCommandMenu() {
+    var text = input.value;
+    // only while the whole input is a single-line command
+    if (text.charAt(0) !== "/" || text.charAt(1) === "/" || text.indexOf("\n") !== -1) {
+      hideCommandMenu();
+      return;
+    }
+    commandItems = commandCompletions(text);
+    if (commandItems.length === 0) {
+      hideCommandMenu();
+      return;
+    }
+    commandIndex = Math.min(commandIndex, commandItems.length - 1);
+    renderCommandMenu();
+  }
+
+  function renderCommandMenu() {
+    clearChildren(commandMenu);
+    for (var i = 0; i < commandItems.length; i++) {
+      commandMenu.appendChild(renderCommandItem(commandItems[i], i));
+    }
+    commandMenu.classList.remove("hidden");
+    input.setAttribute("aria-expanded", "true");
+  }
+
+  function renderCommandItem(item, index) {
+    var li = document.createElement("li");
+    li.className = "command-menu__item" + (index === commandIndex ? " active" : "");
+    li.setAttribute("role", "option");
+    li.setAttribute("aria-selected", index === commandIndex ? "true" : "false");
+
+    var label = document.createElement("span");
+    label.className = "command-menu__label";
+    label.textContent = item.label;
+    li.appendChild(label);
+    if (item.detail) {
+      var detail = document.createElement("span");
+      detail.className = "command-menu__detail";
+      detail.textContent = item.detail;
+      li.appendChild(detail);
+    }
+
+    // mousedown, so the textarea keeps focus
+    li.addEventListener("mousedown", function (e) {
+      e.preventDefault();
+      acceptCompletion(item);
+    });
+    return li;
+  }
+
+  function hideCommandMenu() {
+    commandItems = [];
+    commandIndex = 0;
+    commandMenu.classList.add("hidden");
+    input.setAttribute("aria-expanded", "false");
+  }
+
+  function acceptCompletion(item) {
+    input.value = item.value;
+    input.setSelectionRange(item.value.length, item.value.length);
+    autoGrow();
+    shareDraft();
+    updateCommandMenu();
+  }
+
+  // returns true when the key was for the menu
+  function commandMenuKeydown(e) {
+    if (commandItems.length === 0) return false;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      var step = e.key === "ArrowDown" ? 1 : -1;
+      commandIndex = (commandIndex + step + commandItems.length) % commandItems.length;
+      renderCommandMenu();
+      return true;
+    }
+    if (e.key === "Escape") {
+      e.preventDefault();
+      hideCommandMenu();
+      return true;
+    }
+    var item = commandItems[commandIndex];
+    // Enter runs what's typed once it matches the pick; until then it completes
+    if (e.key === "Tab" || (e.key === "Enter" && !e.shiftKey && item.value.trim() !== input.value.trim())) {
+      e.preventDefault();
+      acceptCompletion(item);
+      return true;
+    }
+    return false;
+  }
+
+  // ── compose auto-grow ─────────────────────────────────
+
+  function autoGrow() {
+    input.style.height = "auto";
+    var next = Math.min(input.scrollHeight, 150);
+    input.style.height = Math.max(40, next) + "px";
+  }
+
+  input.addEventListener("input", function () {
+    autoGrow();
+    shareDraft();
+    hideHint();
+    updateCommandMenu();
+  });
+
+  input.addEventListener("blur", hideCommandMenu);
+
+  input.addEventListener("keydown", function (e) {
+    if (commandMenuKeydown(e)) return;
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      sendMessage();
+    }
+  });
+
+  // ── button handlers ───────────────────────────────────
+
+  btnSend.addEventListener("click", sendMessage);
+  btnStop.addEventListener("click", abortRun);
+  btnNew.addEventListener("click", function () { resetSession("new"); });
+
+  // ── keyboard ──────────────────────────────────────────
+  // Every shortcut is an action with a default binding; the user's
+  // overrides live in localStorage ("openclaw-keys", next to
+  // "openclaw-theme"). Combos are written like "Mod+K" or "Alt+ArrowUp",
+  // where Mod is Cmd on macOS and Ctrl elsewhere. Bindings without a
+  // modifier don't fire while typing in a field, except Escape.
+
+  var IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform || "");
+
+  var ACTIONS = [
+    { id: "palette", label: "Open command palette", key: "Mod+K", run: openPalette },
+    { id: "help", label: "Show keyboard shortcuts", key: "?", run: openHelp },
+    { id: "focusCompose", label: "Focus the message box", key: "/", run: function () { input.focus(); } },
+    { id: "abort", label: "Stop the running reply", key: "Escape", run: abortIfRunning },
+    { id: "prevMessage", label: "Previous message", key: "Alt+ArrowUp", run: function () { focusMessageStep(-1); } },
+    { id: "nextMessage", label: "Next message", key: "Alt+ArrowDown", run: function () { focusMessageStep(1); } },
+    { id: "copyMessage", label: "Copy the focused message", key: "c", run: copyFocusedMessage },
+    { id: "newSession", label: "New conversation (reset session)", key: "Alt+N", run: function () { resetSession("new"); } },
+    { id: "toggleTheme", label: "Toggle theme", key: "Alt+T", run: function () { toggleTheme(); } },
+    { id: "toggleSidebar", label: "Toggle session list", key: "Alt+S", run: function () { appEl.classList.toggle("sidebar-open"); } },
+    { id: "search", label: "Search messages", key: "Mod+Shift+F", run: function () { searchInput.focus(); } },
+    { id: "diagnostics", label: "Connection diagnostics", key: "Alt+D", run: toggleDiagnostics }
+  ];
+
+  var keyOverrides = loadKeyOverrides();
+
+  function loadKeyOverrides() {
+    var data = null;
+    try { data = JSON.parse(localStorage.getItem("openclaw-keys") || "{}"); } catch (e) { /* noop */ }
+    return data && typeof data === "object" ? data : {};
+  }
+
+  function saveKeyOverrides() {
+    try { localStorage.setItem("openclaw-keys", JSON.stringify(keyOverrides)); } catch (e) { /* noop */ }
+  }
+
+  function bindingOf(action) {
+    return keyOverrides.hasOwnProperty(action.id) ? keyOverrides[action.id] : action.key;
+  }
+
+  // KeyboardEvent -> "Mod+Shift+K"; Shift is dropped for symbols, since
+  // it is already part of the character ("?" rather than "Shift+/")
+  function comboOf(e) {
+    var key = e.key;
+    if (!key || key === "Control" || key === "Shift" || key === "Alt" || key === "Meta") return null;
+    var parts = [];
+    var mod = IS_MAC ? e.metaKey : e.ctrlKey;
+    if (mod) parts.push("Mod");
+    if (IS_MAC ? e.ctrlKey : e.metaKey) parts.push(IS_MAC ? "Ctrl" : "Meta");
+    if (e.altKey) parts.push("Alt");
+    // Alt+letter types a symbol on macOS; the physical key is what was meant
+    if (e.altKey && /^Key[A-Z]$/.test(e.code || "")) key = e.code.slice(3);
+    var isLetter = /^[a-z]$/i.test(key);
+    if (e.shiftKey && (key.length > 1 || isLetter)) parts.push("Shift");
+    parts.push(isLetter ? key.toUpperCase() : key === " " ? "Space" : key);
+    return parts.join("+");
+  }
+
+  function normalizeCombo(combo) {
+    if (!combo) return "";
+    var parts = combo.split("+");
+    var key = parts.pop();
+    return parts.concat([/^[a-z]$/i.test(key) ? key.toUpperCase() : key]).join("+");
+  }
+
+  function displayCombo(combo) {
+    if (!combo) return "unbound";
+    return combo.split("+").map(function (p) {
+      if (p === "Mod") return IS_MAC ? "⌘" : "Ctrl";
+      if (p === "Alt") return IS_MAC ? "⌥" : "Alt";
+      if (p === "Shift") return IS_MAC ? "⇧" : "Shift";
+      if (p === "ArrowUp") return "↑";
+      if (p === "ArrowDown") return "↓";
+      if (p === "Escape") return "Esc";
+      return p;
+    }).join(IS_MAC ? "" : "+");
+  }
+
+  function isTyping(el) {
+    if (!el) return false;
+    var tag = el.tagName;
+    return tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || el.isContentEditable;
+  }
+
+  function overlayOpen() {
+    return !!document.querySelector(".overlay:not(.hidden)");
+  }
+
+  function abortIfRunning() {
+    if (!isRunning(active())) return false;
+    abortRun();
+  }
+
+  // bubbles get tabindex=-1 in renderGroup, so they can hold focus
+  function focusMessageStep(step) {
+    var bubbles = Array.prototype.slice.call(threadList.querySelectorAll(".chat-bubble"));
+    if (bubbles.length === 0) return;
+    var at = bubbles.indexOf(document.activeElement);
+    var next = at === -1 ? (step < 0 ? bubbles.length - 1 : 0) : at + step;
+    if (next < 0 || next >= bubbles.length) return;
+    stickToBottom = false;
+    bubbles[next].focus();
+    bubbles[next].scrollIntoView({ block: "nearest" });
+  }
+
+  function copyFocusedMessage() {
+    var bubble = document.activeElement;
+    if (!bubble || !bubble._msg) return false;
+    var text = extractText(bubble._msg);
+    if (!text) return false;
+    copyText(text).then(function () {
+      bubble.classList.add("hit");
+      setTimeout(function () { bubble.classList.remove("hit"); }, 2000);
+    }, function (err) {
+      console.error("[chat] copy error:", err);
+    });
+  }
+
+  document.addEventListener("keydown", function (e) {
+    // menus, editors and panels handle their own keys first
+    if (e.defaultPrevented || keyCapture) return;
+    var combo = comboOf(e);
+    if (!combo) return;
+    var plain = combo.indexOf("+") === -1 || combo === "+";
+    if (plain && combo !== "Escape" && isTyping(document.activeElement)) return;
+    // inside an open panel only the palette key (to close the palette) applies
+    if (overlayOpen() && (paletteEl.classList.contains("hidden") || combo !== normalizeCombo(bindingOf(ACTIONS[0])))) return;
+
+    for (var i = 0; i < ACTIONS.length; i++) {
+      if (normalizeCombo(bindingOf(ACTIONS[i])) !== combo) continue;
+      // an action returns false when it didn't apply; let the key through
+      if (ACTIONS[i].run() === false) return;
+      e.preventDefault();
+      return;
+    }
+  });
+
+  // ── command palette
+
+  var paletteItems = [];
+  var paletteIndex = 0;
+
+  function actionById(id) {
+    for (var i = 0; i < ACTIONS.length; i++) {
+      if (ACTIONS[i].id === id) return ACTIONS[i];
+    }
+    return null;
+  }
+
+  function paletteEntries() {
+    var entries = [];
+    function add(label, hint, run) {
+      entries.push({ label: label, hint: hint || "", run: run });
+    }
+    function act(id, label) {
+      var a = actionById(id);
+      add(label || a.label, bindingOf(a) ? displayCombo(bindingOf(a)) : "", a.run);
+    }
+
+    act("newSession", "New conversation");
+    if (isRunning(active())) add("Stop the running reply", displayCombo(bindingOf(actionById("abort"))), abortRun);
+    act("toggleTheme", "Toggle theme (" + (currentTheme() === "dark" ? "light" : "dark") + ")");
+    act("search");
+    act("toggleSidebar");
+    add("Workspace files", "", openWorkspace);
+    add("Export as Markdown", "", function () { exportSession("md"); });
+    add("Export as JSON", "", function () { exportSession("json"); });
+    add("Export as HTML", "", function () { exportSession("html"); });
+    add(hideThinking ? "Show model reasoning" : "Always hide model reasoning", "", function () { setHideThinking(!hideThinking); });
+    act("help");
+    act("diagnostics");
+    if (frameCapture) add("Frame inspector", "", openFrames);
+    if (!btnSignout.classList.contains("hidden")) add("Sign out", "", signOut);
+
+    var current = sessionModel(active());
+    for (var m = 0; m < models.length; m++) {
+      (function (ref, name) {
+        add("Model: " + name, ref === current ? "current" : ref, function () { setSessionModel(ref); });
+      })(modelRef(models[m].provider, models[m].id), models[m].name || models[m].id);
+    }
+    for (var k = 0; k < sessionOrder.length; k++) {
+      (function (key) {
+        add("Session: " + sessionTitle(getSession(key)), key === sessionKey ? "current" : "", function () { switchSession(key); });
+      })(sessionOrder[k]);
+    }
+    return entries;
+  }
+
+  // every word of the query must start a word in the label, or appear in it
+  function paletteMatch(label, query) {
+    var words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    var hay = label.toLowerCase();
+    for (var i = 0; i < words.length; i++) {
+      if (hay.indexOf(words[i]) === -1) return false;
+    }
+    return true;
+  }
+
+  function openPalette() {
+    if (!paletteEl.classList.contains("hidden")) {
+      closePalette();
+      return;
+    }
+    closeOverlays();
+    paletteInput.value = "";
+    paletteEl.classList.remove("hidden");
+    paletteIndex = 0;
+    renderPalette();
+    paletteInput.focus();
+  }
+
+  function closePalette() {
+    paletteEl.classList.add("hidden");
+    input.focus();
+  }
+
+  function renderPalette() {
+    var query = paletteInput.value.trim();
+    paletteItems = paletteEntries().filter(function (entry) {
+      return !query || paletteMatch(entry.label, query);
+    });
+    paletteIndex = Math.max(0, Math.min(paletteIndex, paletteItems.length - 1));
+    clearChildren(paletteList);
+    if (paletteItems.length === 0) {
+      var none = document.createElement("li");
+      none.className = "palette__empty";
+      none.textContent = "No matching commands";
+      paletteList.appendChild(none);
+      return;
+    }
+    for (var i = 0; i < paletteItems.length; i++) {
+      paletteList.appendChild(renderPaletteItem(paletteItems[i], i));
+    }
+    var activeItem = paletteList.children[paletteIndex];
+    if (activeItem && activeItem.scrollIntoView) activeItem.scrollIntoView({ block: "nearest" });
+  }
+
+  function renderPaletteItem(entry, index) {
+    var li = document.createElement("li");
+    li.className = "palette__item" + (index === paletteIndex ? " active" : "");
+    li.setAttribute("role", "option");
+    li.setAttribute("aria-selected", index === paletteIndex ? "true" : "false");
+    var label = document.createElement("span");
+    label.textContent = entry.label;
+    li.appendChild(label);
+    if (entry.hint) {
+      var hint = document.createElement("span");
+      hint.className = "palette__hint";
+      hint.textContent = entry.hint;
+      li.appendChild(hint);
+    }
+    li.addEventListener("mousedown", function (e) {
+      e.preventDefault();
+      runPaletteEntry(entry);
+    });
+    return li;
+  }
+
+  function runPaletteEntry(entry) {
+    closePalette();
+    entry.run();
+  }
+
+  paletteInput.addEventListener("input", function () {
+    paletteIndex = 0;
+    renderPalette();
+  });
+
+  paletteInput.addEventListener("keydown", function (e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (paletteItems.length === 0) return;
+      paletteIndex = (paletteIndex + (e.key === "ArrowDown" ? 1 : -1) + paletteItems.length) % paletteItems.length;
+      renderPalette();
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (paletteItems[paletteIndex]) runPaletteEntry(paletteItems[paletteIndex]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      closePalette();
+    }
+  });
+
+  paletteEl.addEventListener("mousedown", function (e) {
+    if (e.target === paletteEl) closePalette();
+  });
+
+  // ── shortcut help (and rebinding)
+
+  var keyCapture = null;    // action being rebound, waiting for a key
+
+  function openHelp() {
+    closeOverlays();
+    helpPanel.classList.remove("hidden");
+    renderHelp();
+    btnHelpClose.focus();
+  }
+
+  function closeHelp() {
+    keyCapture = null;
+    helpPanel.classList.add("hidden");
+    input.focus();
+  }
+
+  function closeOverlays() {
+    // the sign-in form stays up until it's answered
+    paletteEl.classList.add("hidden");
+    helpPanel.classList.add("hidden");
+    keyCapture = null;
+  }
+
+  function renderHelp() {
+    clearChildren(helpList);
+    for (var i = 0; i < ACTIONS.length; i++) {
+      helpList.appendChild(renderHelpRow(ACTIONS[i]));
+    }
+    var fixed = [
+      ["Send message", "Enter"],
+      ["New line", "Shift+Enter"],
+      ["Slash commands", "/ in the message box"],
+      ["Save a workspace file", displayCombo("Mod+S")]
+    ];
+    for (var f = 0; f < fixed.length; f++) {
+      var row = document.createElement("tr");
+      row.className = "keys__row keys__row--fixed";
+      var name = document.createElement("td");
+      name.textContent = fixed[f][0];
+      var key = document.createElement("td");
+      key.colSpan = 2;
+      var kbd = document.createElement("kbd");
+      kbd.textContent = fixed[f][1];
+      key.appendChild(kbd);
+      row.appendChild(name);
+      row.appendChild(key);
+      helpList.appendChild(row);
+    }
+    // re-rendering drops the focused button; keep keys going to the panel
+    if (!helpPanel.contains(document.activeElement)) btnHelpClose.focus();
+  }
+
+  function renderHelpRow(action) {
+    var row = document.createElement("tr");
+    row.className = "keys__row";
+
+    var name = document.createElement("td");
+    name.textContent = action.label;
+    row.appendChild(name);
+
+    var key = document.createElement("td");
+    var kbd = document.createElement("kbd");
+    var capturing = keyCapture === action.id;
+    kbd.textContent = capturing ? "Press a key..." : displayCombo(bindingOf(action));
+    if (capturing) kbd.className = "capturing";
+    key.appendChild(kbd);
+    row.appendChild(key);
+
+    var tools = document.createElement("td");
+    tools.className = "keys__tools";
+    var change = document.createElement("button");
+    change.type = "button";
+    change.className = "msg-action";
+    change.textContent = capturing ? "Cancel" : "Change";
+    change.addEventListener("click", function () {
+      keyCapture = capturing ? null : action.id;
+      renderHelp();
+    });
+    tools.appendChild(change);
+    if (keyOverrides.hasOwnProperty(action.id)) {
+      var reset = document.createElement("button");
+      reset.type = "button";
+      reset.className = "msg-action";
+      reset.textContent = "Default";
+      reset.title = "Back to " + displayCombo(action.key);
+      reset.addEventListener("click", function () {
+        delete keyOverrides[action.id];
+        saveKeyOverrides();
+        renderHelp();
+      });
+      tools.appendChild(reset);
+    }
+    row.appendChild(tools);
+    return row;
+  }
+
+  // while rebinding, the next combo is the new binding; Backspace unbinds
+  helpPanel.addEventListener("keydown", function (e) {
+    if (keyCapture) {
+      var combo = comboOf(e);
+      if (!combo) return;
+      e.preventDefault();
+      e.stopPropagation();
+      if (combo !== "Escape") {
+        keyOverrides[keyCapture] = combo === "Backspace" ? "" : combo;
+        // one combo, one action
+        for (var i = 0; i < ACTIONS.length; i++) {
+          if (ACTIONS[i].id !== keyCapture && normalizeCombo(bindingOf(ACTIONS[i])) === combo) keyOverrides[ACTIONS[i].id] = "";
+        }
+        saveKeyOverrides();
+      }
+      keyCapture = null;
+      renderHelp();
+      return;
+    }
+    if (e.key === "Escape") {
+      e.preventDefault();
+      closeHelp();
+    }
+  });
+
+  btnHelpClose.addEventListener("click", closeHelp);
+  btnKeysReset.addEventListener("click", function () {
+    keyOverrides = {};
+    saveKeyOverrides();
+    renderHelp();
+  });
+
+  helpPanel.addEventListener("click", function (e) {
+    if (e.target === helpPanel) closeHelp();
+  });
+
+  // ── tabs ──────────────────────────────────────────────
+  // Every open tab shares the one connection in tabs.js. What else a tab
+  // keeps to itself -- open session, theme, compose draft, outbox and the
+  // optimistic half of a send -- travels between tabs here.
+
+  var TAB_ROLES = {
+    standalone: "own connection",
+    leader: "holds the connection",
+    follower: "connected through tab"
+  };
+
+  var fromTab = false;       // applying another tab's change: don't echo it
+
+  // nothing from a replay reaches the live tabs
+  function tellTabs(data) {
+    if (gw && !fromTab && !replaying()) gw.broadcast(data);
+  }
+
+  function shareDraft() {
+    tellTabs({ type: "draft", key: sessionKey, text: input.value });
+  }
+
+  function handleTabMessage(msg) {
+    fromTab = true;
+    try {
+      applyTabMessage(msg);
+    } finally {
+      fromTab = false;
+    }
+  }
+
+  function applyTabMessage(msg) {
+    var s;
+    if (msg.type === "theme") {
+      applyTheme(msg.theme);
+    } else if (msg.type === "session") {
+      // before the first hello the stored session is picked up anyway
+      if (sessionResolved) switchSession(msg.key);
+    } else if (msg.type === "draft") {
+      if (msg.key !== sessionKey || input.value === msg.text) return;
+      input.value = msg.text;
+      autoGrow();
+    } else if (msg.type === "outbox") {
+      adoptOutbox(msg.items);
+      renderSession(active());
+    } else if (msg.type === "sent") {
+      s = getSession(msg.key);
+      beginRun(s, msg.message, msg.runId);
+      if (s.key === sessionKey) stickToBottom = true;
+      renderSession(s);
+    } else if (msg.type === "run") {
+      s = getSession(msg.key);
+      if (s.runId === msg.from) s.runId = msg.runId;
+    } else if (msg.type === "unsent") {
+      s = getSession(msg.key);
+      unsend(s, msg.id);
+      renderSession(s);
+    } else if (msg.type === "reset") {
+      clearSession(getSession(msg.key));
+    } else if (msg.type === "signout") {
+      showSignedOut();
+    }
+  }
+
+  // ── init ──────────────────────────────────────────────
+
+  function init() {
+    var token = qs("token");
+    if (token) {
+      setStoredToken(token);
+      stripTokenFromUrl();
+    } else {
+      token = getStoredToken();
+    }
+    console.log("[chat] init token:", token ? token.slice(0, 8) + "..." : "(none)");
+
+    // build WebSocket URL from current page location
+    var protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+    var wsUrl = protocol + "//" + window.location.host;
+    console.log("[chat] ws url:", wsUrl);
+
+    // fetch assistant name from config
+    fetch("/__openclaw/control-ui-config.json")
+      .then(function (res) { return res.json(); })
+      .then(function (config) {
+        console.log("[chat] config:", JSON.stringify(config));
+        if (config.assistantName) {
+          assistantName = config.assistantName;
+        }
+      })
+      .catch(function (err) {
+        console.log("[chat] config fetch failed (using defaults):", err);
+      });
+
+    gw = new TabGateway({
       url: wsUrl,
       token: token,
       onHello: function (hello) {
@@ -526,43 +5237,70 @@
         // use the server's resolved session key for event matching
         var defaults = hello && hello.snapshot && hello.snapshot.sessionDefaults;
         if (defaults && defaults.mainSessionKey) {
-          console.log("[chat] sessionKey resolved:", sessionKey, "->", defaults.mainSessionKey);
-          sessionKey = defaults.mainSessionKey;
+          mainSessionKey = defaults.mainSessionKey;
+        }
+        var features = hello && hello.features;
+        gatewayMethods = features && Array.isArray(features.methods) ? features.methods : [];
+        pairing = null;
+        signedOut = false;
+        loginPanel.classList.add("hidden");
+        syncSignout();
+        var firstHello = !sessionResolved;
+        if (firstHello) {
+          // first hello: drop the pre-connect placeholder and resume the
+          // session this browser had open last
+          delete sessions[sessionKey];
+          sessionKey = getStoredSession() || mainSessionKey;
+          sessionResolved = true;
+          console.log("[chat] sessionKey resolved:", sessionKey);
         }
         isConnected = true;
-        setHeaderStatus("idle");
+        syncHeaderStatus();
         updateButtons();
-        loadHistory();
+        renderSessions();
+        renderThread();
+        // reconnects catch up through onGap instead
+        if (firstHello) loadHistory();
+        refreshSessions();
+        // the outbox is shared; see flushOutbox for who sends what
+        flushOutbox();
         // disable TTS so it doesn't block chat responses
         gw.request("tts.disable", {}).then(function () {
           console.log("[chat] tts disabled");
         }).catch(function (err) {
           console.log("[chat] tts.disable skipped:", err.message);
         });
-        // fetch model name for header display
-        gw.request("models.list", {}).then(function (res) {
-          var models = res && res.models;
-          if (Array.isArray(models) && models.length > 0) {
-            modelName = models[0].name || models[0].id || null;
-            console.log("[chat] model:", modelName);
-            if (headerStatus === "idle") setHeaderStatus("idle");
-          }
-        }).catch(function (err) {
-          console.log("[chat] models.list skipped:", err.message);
-        });
+        loadModels();
+        loadPairRequests();
       },
       onEvent: handleEvent,
+      onPairing: handlePairing,
+      capture: frameCapture ? FRAME_CAPTURE : 0,
+      onFrame: handleFrame,
+      onTab: handleTabMessage,
+      onGap: resync,
       onClose: function (info) {
         console.log("[chat] onClose:", JSON.stringify(info));
         isConnected = false;
-        setHeaderStatus("disconnected");
+        if (info.authFailed) {
+          handleAuthRejected();
+        } else {
+          setHeaderStatus(offlineStatus());
+        }
         updateButtons();
+        renderThread();
       }
     });
 
+    updateButtons();
+    // nothing to sign in with yet: ask before the first connect
+    if (!token && !gw.paired()) {
+      showLogin(null);
+      return;
+    }
+    setHeaderStatus("connecting");
     gw.start();
     console.log("[chat] gateway started");
-    updateButtons();
   }
 
   // ── boot ──────────────────────────────────────────────
@@ -1,8 +1,12 @@
 /* gateway.js -- WebSocket protocol client for OpenClaw gateway
  *
  * Ported from openclaw/ui/src/ui/gateway.ts
- * Token-only auth (no device identity -- local only)
+ * Device-identity auth (Ed25519 via WebCrypto), token as fallback
  * No template literals per project convention
+ *
+ * Loads as a browser script (window.Gateway) or a CommonJS module
+ * (require("./gateway.js")). Node has no WebSocket before v22; pass
+ * one in with opts.WebSocket (e.g. the "ws" package).
  */
 
 (function (root) {
@@ -22,7 +26,174 @@
     });
   }
 
+  // ── errors ───────────────────────────────────────────
+  // Every request rejects with a GatewayError. code is one of:
+  //   "timeout"      no response within timeoutMs
+  //   "disconnected" socket closed (or never open) before the response
+  //   "aborted"      the caller's AbortSignal fired
+  //   "server"       the gateway answered ok:false (see serverCode)
+  // replay() also rejects with "invalid" when handed something that is
+  // not a frame capture.
+
+  function GatewayError(code, message, details) {
+    this.name = "GatewayError";
+    this.code = code;
+    this.message = message;
+    this.serverCode = (details && details.code) || null;
+    this.retryable = !!(details && details.retryable);
+    this.details = details || null;
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, GatewayError);
+    } else {
+      this.stack = new Error(message).stack;
+    }
+  }
+  GatewayError.prototype = Object.create(Error.prototype);
+  GatewayError.prototype.constructor = GatewayError;
+
+  // read-only methods that can be re-sent without side effects
+  var RETRY_SAFE = {
+    "chat.history": true,
+    "sessions.list": true,
+    "models.list": true,
+    "health": true,
+    "status": true
+  };
+
+  var WS_OPEN = 1;
+
+  var DEFAULT_TIMEOUT_MS = 30000;
+  var DEFAULT_RETRIES = 2;
+  var RETRY_BASE_MS = 500;
+  var MAX_CLOSES = 10;        // close history kept for diagnostics()
+  var CAPTURE_FORMAT = "openclaw-frames";
+
+  function isRetryable(method, err) {
+    if (!RETRY_SAFE[method]) return false;
+    if (err.code === "timeout" || err.code === "disconnected") return true;
+    return err.code === "server" && err.retryable;
+  }
+
+  // ── device identity ──────────────────────────────────────
+  // Each browser gets an Ed25519 keypair (WebCrypto), kept in storage as
+  // "openclaw-device-identity"; its id is the SHA-256 of the public key.
+  // connect signs the challenge nonce with it. The gateway answers an
+  // unknown device with "pairing required" until an operator approves
+  // it, then issues a device token that later connects present instead
+  // of the shared one. Without WebCrypto (plain-http LAN pages are not a
+  // secure context) or Ed25519 support, connect falls back to the token.
+
+  var IDENTITY_KEY = "openclaw-device-identity";
+  var DEVICE_TOKEN_KEY = "openclaw-device-token";
+
+  function subtleCrypto() {
+    return typeof crypto !== "undefined" && crypto.subtle ? crypto.subtle : null;
+  }
+
+  function toBase64Url(buffer) {
+    var bytes = new Uint8Array(buffer);
+    var bin = "";
+    for (var i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+    return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+
+  function fromBase64Url(text) {
+    var bin = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+    var bytes = new Uint8Array(bin.length);
+    for (var i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+  }
+
+  function toHex(buffer) {
+    var bytes = new Uint8Array(buffer);
+    var out = "";
+    for (var i = 0; i < bytes.length; i++) out += (bytes[i] < 16 ? "0" : "") + bytes[i].toString(16);
+    return out;
+  }
+
+  function readJSON(storage, key) {
+    try { return JSON.parse(storage.getItem(key) || "null"); } catch (e) { return null; }
+  }
+
+  function writeJSON(storage, key, value) {
+    try {
+      if (value === null) storage.removeItem(key);
+      else storage.setItem(key, JSON.stringify(value));
+    } catch (e) { /* noop */ }
+  }
+
+  // resolves { deviceId, publicKey (base64url raw), privateKey (CryptoKey) }
+  function loadIdentity(storage) {
+    var subtle = subtleCrypto();
+    var stored = readJSON(storage, IDENTITY_KEY);
+    if (stored && stored.version === 1 && stored.deviceId && stored.publicKey && stored.privateKey) {
+      return subtle.importKey("pkcs8", fromBase64Url(stored.privateKey), { name: "Ed25519" }, false, ["sign"])
+        .then(function (key) {
+          return { deviceId: stored.deviceId, publicKey: stored.publicKey, privateKey: key };
+        });
+    }
+    var pair;
+    return subtle.generateKey({ name: "Ed25519" }, true, ["sign", "verify"])
+      .then(function (generated) {
+        pair = generated;
+        return Promise.all([
+          subtle.exportKey("raw", pair.publicKey),
+          subtle.exportKey("pkcs8", pair.privateKey)
+        ]);
+      })
+      .then(function (exported) {
+        return subtle.digest("SHA-256", exported[0]).then(function (hash) {
+          var identity = {
+            version: 1,
+            deviceId: toHex(hash),
+            publicKey: toBase64Url(exported[0]),
+            privateKey: toBase64Url(exported[1]),
+            createdAtMs: Date.now()
+          };
+          writeJSON(storage, IDENTITY_KEY, identity);
+          return { deviceId: identity.deviceId, publicKey: identity.publicKey, privateKey: pair.privateKey };
+        });
+      });
+  }
+
+  // what the device signs: v2 binds the challenge nonce, v1 is for
+  // gateways that sent no challenge
+  function devicePayload(p) {
+    var parts = [
+      p.nonce ? "v2" : "v1",
+      p.deviceId,
+      p.clientId,
+      p.clientMode,
+      p.role,
+      p.scopes.join(","),
+      String(p.signedAt),
+      p.token || ""
+    ];
+    if (p.nonce) parts.push(p.nonce);
+    return parts.join("|");
+  }
+
+  function isPairingError(err) {
+    return err.serverCode === "NOT_PAIRED" || /pairing required/i.test(err.message || "");
+  }
+
+  // a wrong or revoked token: retrying with the same one cannot succeed
+  function isAuthError(err) {
+    return err.serverCode === "UNAUTHORIZED" || /unauthori[sz]ed/i.test(err.message || "");
+  }
+
   // ── constructor ──────────────────────────────────────────
+  // opts: url, token, onHello, onEvent, onClose, onGap, plus
+  //   WebSocket  constructor to use (default: the global one)
+  //   client     overrides for the connect "client" block ({ id, mode, ... })
+  //   reconnect  false to stay closed after the socket drops (default true)
+  //   logger     console-like { log, warn, error } (default: console)
+  //   storage    localStorage-like store for the device identity
+  //              (default: localStorage; null = token auth only)
+  //   onPairing  called with { deviceId, requestId } while the gateway
+  //              waits for an operator to approve this device
+  //   capture    keep the last N frames in and out for frames() (default 0)
+  //   onFrame    called with each captured { t, dir, size, frame }
 
   function Gateway(opts) {
     this._url = opts.url;
@@ -30,6 +201,19 @@
     this._onHello = opts.onHello || null;
     this._onEvent = opts.onEvent || null;
     this._onClose = opts.onClose || null;
+    this._onGap = opts.onGap || null;
+    this._WebSocket = opts.WebSocket || root.WebSocket;
+    this._client = opts.client || null;
+    this._reconnect = opts.reconnect !== false;
+    this._logger = opts.logger || console;
+    this._onPairing = opts.onPairing || null;
+    this._storage = opts.storage;
+    if (this._storage === undefined) {
+      // reading localStorage throws where storage is blocked
+      try { this._storage = root.localStorage || null; } catch (e) { this._storage = null; }
+    }
+    this._identity = null;    // Promise of the device identity (or null)
+    this._deviceId = null;
 
     this._ws = null;
     this._pending = {};
@@ -39,6 +223,18 @@
     this._connectTimer = null;
     this._backoffMs = 800;
     this._lastSeq = null;
+    this._helloSeen = false;
+    this._reconnectTimer = null;
+    this._reconnectAt = null;
+    this._authFailed = false;
+    this._hello = null;
+    this._helloAt = null;
+    this._attempts = 0;
+    this._closes = [];        // newest last: { at, code, reason }
+    this._captureSize = opts.capture || 0;
+    this._onFrame = opts.onFrame || null;
+    this._frames = [];        // newest last, at most _captureSize
+    this._replay = null;      // see replay()
   }
 
   // ── public api ───────────────────────────────────────────
@@ -50,6 +246,8 @@
 
   Gateway.prototype.stop = function () {
     this._closed = true;
+    this._clearTimers();
+    this._endReplay(true);
     if (this._ws) {
       this._ws.close();
       this._ws = null;
@@ -57,27 +255,112 @@
     this._flushPending("gateway client stopped");
   };
 
+  // drop the socket (if any) and connect again now, without backoff;
+  // also clears an auth rejection, e.g. once a new token is set
+  Gateway.prototype.reconnect = function () {
+    this._closed = false;
+    this._authFailed = false;
+    this._backoffMs = 800;
+    this._clearTimers();
+    this._endReplay(true);
+    var old = this._ws;
+    this._ws = null;
+    if (old) old.close();
+    this._flushPending("gateway reconnecting");
+    this._connect();
+  };
+
+  Gateway.prototype.setToken = function (token) {
+    this._token = token || null;
+  };
+
+  // true after the gateway refused our credentials; no reconnects until
+  // reconnect() is called
+  Gateway.prototype.authFailed = function () {
+    return this._authFailed;
+  };
+
+  // whether this device holds a device token from an earlier pairing
+  Gateway.prototype.paired = function () {
+    var stored = this._storage ? readJSON(this._storage, DEVICE_TOKEN_KEY) : null;
+    return !!(stored && stored.token);
+  };
+
+  // forget the device key and token (sign-out); the next connect makes a
+  // new key, which the gateway treats as a new device
+  Gateway.prototype.forgetDevice = function () {
+    if (this._storage) {
+      writeJSON(this._storage, IDENTITY_KEY, null);
+      writeJSON(this._storage, DEVICE_TOKEN_KEY, null);
+    }
+    this._identity = null;
+    this._deviceId = null;
+  };
+
+  // id of this device once the identity has loaded (null with token-only auth)
+  Gateway.prototype.deviceId = function () {
+    return this._deviceId;
+  };
+
+  // also true during replay(), where the capture answers requests
   Gateway.prototype.connected = function () {
-    return this._ws && this._ws.readyState === WebSocket.OPEN;
+    return !!this._replay || (!!this._ws && this._ws.readyState === WS_OPEN);
   };
 
-  Gateway.prototype.request = function (method, params) {
+  // where the connection stands, for a diagnostics view or a bug report.
+  // The hello is copied with its device token blanked out.
+  Gateway.prototype.diagnostics = function () {
+    var state = this._replay ? "replay"
+      : this._closed ? "stopped"
+      : this._authFailed ? "auth-failed"
+      : this._ws && this._hello ? "open"
+      : this._ws ? "connecting"
+      : this._reconnectTimer !== null ? "waiting"
+      : "closed";
+    var hello = this._hello ? JSON.parse(JSON.stringify(this._hello)) : null;
+    if (hello && hello.auth && hello.auth.deviceToken) hello.auth.deviceToken = "(redacted)";
+    return {
+      url: this._url,
+      state: state,
+      protocol: hello ? hello.protocol : null,
+      hello: hello,
+      helloAt: this._helloAt,
+      deviceId: this._deviceId,
+      attempts: this._attempts,
+      pending: Object.keys(this._pending).length,
+      lastSeq: this._lastSeq,
+      backoffMs: this._backoffMs,
+      reconnectAt: this._reconnectAt,
+      closes: this._closes.slice()
+    };
+  };
+
+  // opts (all optional):
+  //   timeoutMs  reject with "timeout" after this long (0 = never, default 30s)
+  //   signal     AbortSignal; rejects with "aborted" and drops the response
+  //   retries    extra attempts for RETRY_SAFE methods (default 2)
+  //   retryDelayMs  first backoff delay, doubled per attempt (default 500)
+  Gateway.prototype.request = function (method, params, opts) {
     var self = this;
-    if (!self._ws || self._ws.readyState !== WebSocket.OPEN) {
-      return Promise.reject(new Error("gateway not connected"));
+    opts = opts || {};
+    var retries = RETRY_SAFE[method]
+      ? (typeof opts.retries === "number" ? opts.retries : DEFAULT_RETRIES)
+      : 0;
+    var delay = typeof opts.retryDelayMs === "number" ? opts.retryDelayMs : RETRY_BASE_MS;
+    var attempt = 0;
+
+    function run() {
+      return self._requestOnce(method, params, opts).catch(function (err) {
+        if (attempt >= retries || !isRetryable(method, err)) throw err;
+        if (opts.signal && opts.signal.aborted) throw err;
+        var wait = delay * Math.pow(2, attempt);
+        attempt++;
+        self._logger.warn("[gw] " + method + " " + err.code + ", retry " + attempt + "/" + retries + " in " + wait + "ms");
+        return new Promise(function (resolve) { setTimeout(resolve, wait); }).then(run);
+      });
     }
-    var id = uuid();
-    var frame = JSON.stringify({
-      type: "req",
-      id: id,
-      method: method,
-      params: params
-    });
-    var promise = new Promise(function (resolve, reject) {
-      self._pending[id] = { resolve: resolve, reject: reject };
-    });
-    self._ws.send(frame);
-    return promise;
+
+    return run();
   };
 
   // ── internal ─────────────────────────────────────────────
@@ -85,50 +368,141 @@
   Gateway.prototype._connect = function () {
     if (this._closed) return;
     var self = this;
-    var ws = new WebSocket(this._url);
+    if (!this._WebSocket) {
+      throw new Error("no WebSocket implementation (pass opts.WebSocket)");
+    }
+    var ws = new this._WebSocket(this._url);
     this._ws = ws;
+    this._attempts++;
+    this._hello = null;
+    // seq numbering starts over with every socket
+    this._lastSeq = null;
 
     ws.addEventListener("open", function () {
-      console.log("[gw] ws open");
+      self._logger.log("[gw] ws open");
       self._queueConnect();
     });
 
     ws.addEventListener("message", function (ev) {
+      // a socket replaced by reconnect() may still deliver a frame or two
+      if (self._ws !== ws) return;
       self._handleMessage(String(ev.data || ""));
     });
 
     ws.addEventListener("close", function (ev) {
       var reason = String(ev.reason || "");
-      console.log("[gw] ws close code:", ev.code, "reason:", reason);
+      self._logger.log("[gw] ws close code:", ev.code, "reason:", reason);
+      if (self._ws !== ws) return;
       self._ws = null;
+      self._hello = null;
+      self._closes.push({ at: Date.now(), code: ev.code, reason: reason });
+      if (self._closes.length > MAX_CLOSES) self._closes.shift();
       self._flushPending("gateway closed (" + ev.code + "): " + reason);
       if (self._onClose) {
-        self._onClose({ code: ev.code, reason: reason });
+        self._onClose({ code: ev.code, reason: reason, authFailed: self._authFailed });
       }
       self._scheduleReconnect();
     });
 
     ws.addEventListener("error", function (ev) {
-      console.error("[gw] ws error:", ev);
+      self._logger.error("[gw] ws error:", ev);
     });
   };
 
   Gateway.prototype._scheduleReconnect = function () {
-    if (this._closed) return;
+    if (this._closed || !this._reconnect || this._authFailed) return;
     var delay = this._backoffMs;
     this._backoffMs = Math.min(this._backoffMs * 1.7, 15000);
+    this._reconnectAt = Date.now() + delay;
     var self = this;
-    setTimeout(function () { self._connect(); }, delay);
+    this._reconnectTimer = setTimeout(function () {
+      self._reconnectTimer = null;
+      self._reconnectAt = null;
+      self._connect();
+    }, delay);
+  };
+
+  Gateway.prototype._clearTimers = function () {
+    if (this._reconnectTimer !== null) {
+      clearTimeout(this._reconnectTimer);
+      this._reconnectTimer = null;
+      this._reconnectAt = null;
+    }
+    if (this._connectTimer !== null) {
+      clearTimeout(this._connectTimer);
+      this._connectTimer = null;
+    }
+  };
+
+  Gateway.prototype._requestOnce = function (method, params, opts) {
+    var self = this;
+    var signal = opts.signal || null;
+    if (signal && signal.aborted) {
+      return Promise.reject(new GatewayError("aborted", method + " aborted"));
+    }
+    if (self._replay) return self._replayResponse(method);
+    if (!self._ws || self._ws.readyState !== WS_OPEN) {
+      return Promise.reject(new GatewayError("disconnected", "gateway not connected"));
+    }
+    var id = uuid();
+    var req = {
+      type: "req",
+      id: id,
+      method: method,
+      params: params
+    };
+    var frame = JSON.stringify(req);
+    var timeoutMs = typeof opts.timeoutMs === "number" ? opts.timeoutMs : DEFAULT_TIMEOUT_MS;
+
+    var promise = new Promise(function (resolve, reject) {
+      var entry = { resolve: resolve, reject: reject, timer: null, onAbort: null };
+
+      // clear timer + abort listener however the request settles
+      entry.settle = function () {
+        if (entry.timer !== null) clearTimeout(entry.timer);
+        if (entry.onAbort) signal.removeEventListener("abort", entry.onAbort);
+        delete self._pending[id];
+      };
+
+      if (timeoutMs > 0) {
+        entry.timer = setTimeout(function () {
+          entry.settle();
+          reject(new GatewayError("timeout", method + " timed out after " + timeoutMs + "ms"));
+        }, timeoutMs);
+      }
+      if (signal) {
+        entry.onAbort = function () {
+          entry.settle();
+          reject(new GatewayError("aborted", method + " aborted"));
+        };
+        signal.addEventListener("abort", entry.onAbort);
+      }
+      self._pending[id] = entry;
+    });
+    self._record("out", req, frame.length);
+    self._ws.send(frame);
+    return promise;
   };
 
   Gateway.prototype._flushPending = function (msg) {
-    var keys = Object.keys(this._pending);
+    var pending = this._pending;
+    var keys = Object.keys(pending);
     for (var i = 0; i < keys.length; i++) {
-      this._pending[keys[i]].reject(new Error(msg));
+      var p = pending[keys[i]];
+      p.settle();
+      p.reject(new GatewayError("disconnected", msg));
     }
     this._pending = {};
   };
 
+  // info: { reason: "gap", expected, received } or { reason: "reconnect" }
+  Gateway.prototype._emitGap = function (info) {
+    if (!this._onGap) return;
+    try { this._onGap(info); } catch (err) {
+      this._logger.error("[gateway] gap handler error:", err);
+    }
+  };
+
   Gateway.prototype._queueConnect = function () {
     this._connectNonce = null;
     this._connectSent = false;
@@ -141,52 +515,175 @@
     }, 750);
   };
 
+  // loads (or creates) the identity once; resolves null when unavailable
+  Gateway.prototype._deviceIdentity = function () {
+    if (this._identity) return this._identity;
+    var self = this;
+    if (!this._storage || !subtleCrypto()) {
+      this._logger.log("[gw] no WebCrypto or storage, token auth only");
+      this._identity = Promise.resolve(null);
+      return this._identity;
+    }
+    this._identity = loadIdentity(this._storage).then(function (identity) {
+      self._deviceId = identity.deviceId;
+      self._logger.log("[gw] device id:", identity.deviceId.slice(0, 12) + "...");
+      return identity;
+    }).catch(function (err) {
+      self._logger.warn("[gw] device identity unavailable, token auth only:", err && err.message);
+      return null;
+    });
+    return this._identity;
+  };
+
+  // device tokens are per device and role: { deviceId, role, token, scopes }
+  Gateway.prototype._deviceToken = function (deviceId, role) {
+    var stored = this._storage ? readJSON(this._storage, DEVICE_TOKEN_KEY) : null;
+    return stored && stored.deviceId === deviceId && stored.role === role ? stored.token : null;
+  };
+
+  Gateway.prototype._saveDeviceToken = function (deviceId, role, auth) {
+    if (!this._storage) return;
+    writeJSON(this._storage, DEVICE_TOKEN_KEY, auth ? {
+      deviceId: deviceId,
+      role: role,
+      token: auth.deviceToken,
+      scopes: auth.scopes || [],
+      issuedAtMs: auth.issuedAtMs || Date.now()
+    } : null);
+  };
+
   Gateway.prototype._sendConnect = function () {
     if (this._connectSent) return;
-    console.log("[gw] sendConnect nonce:", this._connectNonce ? this._connectNonce.slice(0, 8) + "..." : "(none)");
+    this._logger.log("[gw] sendConnect nonce:", this._connectNonce ? this._connectNonce.slice(0, 8) + "..." : "(none)");
     this._connectSent = true;
     if (this._connectTimer !== null) {
       clearTimeout(this._connectTimer);
       this._connectTimer = null;
     }
 
-    var auth = this._token ? { token: this._token } : undefined;
+    var self = this;
+    var ws = this._ws;
+    var nonce = this._connectNonce;
+    this._deviceIdentity().then(function (identity) {
+      // the socket may have dropped while the key loaded
+      if (self._ws !== ws) return;
+      self._connectWith(identity, nonce);
+    });
+  };
+
+  Gateway.prototype._connectWith = function (identity, nonce) {
+    var role = "operator";
+    var scopes = ["operator.admin", "operator.read", "operator.write"];
+    // an explicit token wins; a paired device otherwise uses its own
+    var deviceToken = identity ? this._deviceToken(identity.deviceId, role) : null;
+    var token = this._token || deviceToken;
+    var auth = token ? { token: token } : undefined;
+    var nav = typeof navigator !== "undefined" ? navigator : {};
+    var client = {
+      id: "openclaw-control-ui",
+      version: "standalone-1.0",
+      platform: nav.platform || (typeof process !== "undefined" ? process.platform : "web"),
+      mode: "webchat"
+    };
+    if (this._client) {
+      for (var k in this._client) {
+        if (Object.prototype.hasOwnProperty.call(this._client, k)) client[k] = this._client[k];
+      }
+    }
     var params = {
       minProtocol: 3,
       maxProtocol: 3,
-      client: {
-        id: "openclaw-control-ui",
-        version: "standalone-1.0",
-        platform: navigator.platform || "web",
-        mode: "webchat"
-      },
-      role: "operator",
-      scopes: ["operator.admin", "operator.read", "operator.write"],
+      client: client,
+      role: role,
+      scopes: scopes,
       caps: [],
       auth: auth,
-      userAgent: navigator.userAgent,
-      locale: navigator.language
+      userAgent: nav.userAgent,
+      locale: nav.language
     };
 
     var self = this;
-    console.log("[gw] connect request:", JSON.stringify(params, null, 2));
-    this.request("connect", params)
+    var signed = Promise.resolve(params);
+    if (identity) {
+      var signedAt = Date.now();
+      var payload = devicePayload({
+        deviceId: identity.deviceId,
+        clientId: client.id,
+        clientMode: client.mode,
+        role: role,
+        scopes: scopes,
+        signedAt: signedAt,
+        token: token,
+        nonce: nonce
+      });
+      signed = subtleCrypto().sign({ name: "Ed25519" }, identity.privateKey, new TextEncoder().encode(payload))
+        .then(function (signature) {
+          params.device = {
+            id: identity.deviceId,
+            publicKey: identity.publicKey,
+            signature: toBase64Url(signature),
+            signedAt: signedAt,
+            nonce: nonce || undefined
+          };
+          return params;
+        });
+    }
+
+    signed
+      .then(function (params) {
+        self._logger.log("[gw] connect request:", JSON.stringify(redactFrame({ type: "req", params: params }).params, null, 2));
+        return self.request("connect", params);
+      })
       .then(function (hello) {
-        console.log("[gw] hello-ok:", JSON.stringify(hello));
+        self._logger.log("[gw] hello-ok:", JSON.stringify(hello));
         self._backoffMs = 800;
+        self._hello = hello;
+        self._helloAt = Date.now();
+        if (identity && hello && hello.auth && hello.auth.deviceToken) {
+          self._saveDeviceToken(identity.deviceId, (hello.auth.role || role), hello.auth);
+        }
         if (self._onHello) self._onHello(hello);
+        // events sent while we were away are gone -- ask for a resync
+        if (self._helloSeen) self._emitGap({ reason: "reconnect" });
+        self._helloSeen = true;
       })
       .catch(function (err) {
-        console.error("[gw] connect failed:", err);
-        if (self._ws) self._ws.close(4008, "connect failed");
+        if (identity && isPairingError(err)) {
+          self._logger.log("[gw] pairing required, waiting for approval");
+          var details = (err.details && err.details.details) || {};
+          if (self._onPairing) {
+            self._onPairing({ deviceId: identity.deviceId, requestId: details.requestId || null });
+          }
+        } else if (identity && deviceToken && !self._token && err.code === "server" && isAuthError(err)) {
+          // the gateway no longer takes our device token (revoked or
+          // re-paired elsewhere); drop it so the next attempt pairs again
+          self._logger.error("[gw] connect failed:", err);
+          self._saveDeviceToken(identity.deviceId, role, null);
+        } else if (err.code === "server" && isAuthError(err)) {
+          // onClose reports it; retrying the same credentials is pointless
+          self._logger.log("[gw] credentials rejected, not reconnecting:", err.message);
+          self._authFailed = true;
+        } else {
+          self._logger.error("[gw] connect failed:", err);
+        }
+        // close reasons are capped at 123 bytes
+        if (self._ws) self._ws.close(4008, ("connect failed: " + err.message).slice(0, 120));
       });
   };
 
+  Gateway.prototype._dispatchEvent = function (evt) {
+    if (!this._onEvent) return;
+    try { this._onEvent(evt); } catch (err) {
+      this._logger.error("[gateway] event handler error:", err);
+    }
+  };
+
   Gateway.prototype._handleMessage = function (raw) {
     var parsed;
     try { parsed = JSON.parse(raw); } catch (e) { return; }
+    this._record("in", parsed, raw.length);
 
-    console.log("[gw] msg:", parsed.type, parsed.method || parsed.event || "", parsed.ok !== undefined ? "ok:" + parsed.ok : "");
+    this._logger.log("[gw] msg:", parsed.type, parsed.method || parsed.event || "", parsed.ok !== undefined ? "ok:" + parsed.ok : "");
 
     // event frame
     if (parsed.type === "event") {
@@ -203,15 +700,11 @@
       // sequence gap detection
       var seq = typeof parsed.seq === "number" ? parsed.seq : null;
       if (seq !== null && this._lastSeq !== null && seq > this._lastSeq + 1) {
-        // gap detected -- we just log for now
-        console.warn("[gateway] seq gap: expected " + (this._lastSeq + 1) + ", got " + seq);
+        this._logger.warn("[gateway] seq gap: expected " + (this._lastSeq + 1) + ", got " + seq);
+        this._emitGap({ reason: "gap", expected: this._lastSeq + 1, received: seq });
       }
       if (seq !== null) this._lastSeq = seq;
-      if (this._onEvent) {
-        try { this._onEvent(parsed); } catch (err) {
-          console.error("[gateway] event handler error:", err);
-        }
-      }
+      this._dispatchEvent(parsed);
       return;
     }
 
@@ -219,12 +712,12 @@
     if (parsed.type === "res") {
       var p = this._pending[parsed.id];
       if (!p) return;
-      delete this._pending[parsed.id];
+      p.settle();
       if (parsed.ok) {
         p.resolve(parsed.payload);
       } else {
         var errMsg = (parsed.error && parsed.error.message) ? parsed.error.message : "request failed";
-        p.reject(new Error(errMsg));
+        p.reject(new GatewayError("server", errMsg, parsed.error));
       }
       return;
     }
@@ -233,8 +726,171 @@
     // so it flows through the res handler above.
   };
 
+  // ── capture + replay ─────────────────────────────────────
+  // With opts.capture set, every frame in and out lands in a ring buffer
+  // as { t, dir: "in"|"out", size, frame }, tokens blanked out. capture()
+  // wraps it for a file; replay() plays a saved one back through onHello
+  // and onEvent with its original timing, no socket needed. A request made
+  // while replaying gets the captured response to the first request for
+  // the same method sent at or after that point in the capture.
+
+  // a copy of frame with tokens blanked out, safe to keep in a capture
+  function redactFrame(frame) {
+    var holder = frame.type === "req" ? frame.params : frame.type === "res" ? frame.payload : null;
+    var auth = holder && holder.auth;
+    if (!auth || !(auth.token || auth.deviceToken)) return frame;
+    var copy = JSON.parse(JSON.stringify(frame));
+    auth = (copy.type === "req" ? copy.params : copy.payload).auth;
+    if (auth.token) auth.token = "(redacted)";
+    if (auth.deviceToken) auth.deviceToken = "(redacted)";
+    return copy;
+  }
+
+  Gateway.prototype.replaying = function () {
+    return !!this._replay;
+  };
+
+  Gateway.prototype.frames = function () {
+    return this._frames.slice();
+  };
+
+  Gateway.prototype.clearFrames = function () {
+    this._frames = [];
+  };
+
+  Gateway.prototype.capture = function () {
+    return {
+      format: CAPTURE_FORMAT,
+      version: 1,
+      capturedAt: new Date().toISOString(),
+      url: this._url,
+      frames: this.frames()
+    };
+  };
+
+  // capture: what capture() returned (or just its frames array)
+  // opts: speed (default 1), maxGapMs to shorten long pauses
+  // Resolves with { events, cancelled } once the last event is out, or
+  // when stop() / reconnect() cuts it short.
+  Gateway.prototype.replay = function (capture, opts) {
+    opts = opts || {};
+    var frames = Array.isArray(capture) ? capture : capture && capture.frames;
+    if (!Array.isArray(frames)) {
+      return Promise.reject(new GatewayError("invalid", "not a frame capture"));
+    }
+    if (capture.format !== undefined && capture.format !== CAPTURE_FORMAT) {
+      return Promise.reject(new GatewayError("invalid", "unknown capture format: " + capture.format));
+    }
+    var speed = opts.speed > 0 ? opts.speed : 1;
+    var maxGap = typeof opts.maxGapMs === "number" ? opts.maxGapMs : Infinity;
+
+    // pair responses with their requests: method -> [{ t, frame }]
+    var requests = {};
+    var responses = {};
+    var hello = null;
+    var helloAt = null;
+    var events = [];
+    for (var i = 0; i < frames.length; i++) {
+      var entry = frames[i];
+      var f = entry && entry.frame;
+      if (!f) continue;
+      var req = f.type === "res" ? requests[f.id] : null;
+      if (entry.dir === "out" && f.type === "req") {
+        requests[f.id] = entry;
+      } else if (entry.dir === "in" && req) {
+        if (req.frame.method === "connect") {
+          if (!hello && f.ok) {
+            hello = f.payload;
+            helloAt = entry.t;
+          }
+        } else {
+          (responses[req.frame.method] = responses[req.frame.method] || []).push({ t: req.t, frame: f });
+        }
+      } else if (entry.dir === "in" && f.type === "event" && f.event !== "connect.challenge") {
+        events.push(entry);
+      }
+    }
+
+    this.stop();
+    var self = this;
+    this._logger.log("[gw] replaying", events.length, "events");
+    return new Promise(function (resolve) {
+      var replay = { responses: responses, now: helloAt || 0, timer: null, count: 0, resolve: resolve };
+      self._replay = replay;
+      if (hello && self._onHello) self._onHello(hello);
+
+      var index = 0;
+      function next() {
+        replay.timer = null;
+        if (self._replay !== replay) return;
+        if (index >= events.length) {
+          self._endReplay(false);
+          return;
+        }
+        var entry = events[index++];
+        replay.now = entry.t;
+        if (typeof entry.frame.seq === "number") self._lastSeq = entry.frame.seq;
+        replay.count++;
+        self._dispatchEvent(entry.frame);
+        var following = events[index];
+        var gap = following ? Math.min(Math.max(following.t - entry.t, 0), maxGap) / speed : 0;
+        replay.timer = setTimeout(next, gap);
+      }
+      replay.timer = setTimeout(next, 0);
+    });
+  };
+
+  Gateway.prototype._record = function (dir, frame, size) {
+    if (!this._captureSize || this._replay) return;
+    var entry = { t: Date.now(), dir: dir, size: size, frame: redactFrame(frame) };
+    this._frames.push(entry);
+    if (this._frames.length > this._captureSize) this._frames.shift();
+    if (this._onFrame) {
+      try { this._onFrame(entry); } catch (err) {
+        this._logger.error("[gateway] frame handler error:", err);
+      }
+    }
+  };
+
+  Gateway.prototype._replayResponse = function (method) {
+    var queue = this._replay.responses[method] || [];
+    var pick = queue.length - 1;
+    for (var i = 0; i < queue.length; i++) {
+      if (queue[i].t >= this._replay.now) {
+        pick = i;
+        break;
+      }
+    }
+    var res = pick >= 0 ? queue.splice(pick, 1)[0].frame : null;
+    if (!res) {
+      return Promise.reject(new GatewayError("disconnected", method + " is not in the capture"));
+    }
+    if (res.ok) return Promise.resolve(res.payload);
+    var errMsg = (res.error && res.error.message) ? res.error.message : "request failed";
+    return Promise.reject(new GatewayError("server", errMsg, res.error));
+  };
+
+  // cancelled: true when stop() or reconnect() cut the replay short
+  Gateway.prototype._endReplay = function (cancelled) {
+    var replay = this._replay;
+    if (!replay) return;
+    this._replay = null;
+    if (replay.timer !== null) clearTimeout(replay.timer);
+    this._logger.log("[gw] replay", cancelled ? "cancelled" : "finished", "after", replay.count, "events");
+    replay.resolve({ events: replay.count, cancelled: cancelled });
+    if (!cancelled && this._onClose) {
+      this._onClose({ code: 1000, reason: "replay finished", authFailed: false });
+    }
+  };
+
   // ── export ───────────────────────────────────────────────
 
-  root.Gateway = Gateway;
+  Gateway.GatewayError = GatewayError;
+  if (typeof module === "object" && module.exports) {
+    module.exports = Gateway;
+  } else {
+    root.Gateway = Gateway;
+    root.GatewayError = GatewayError;
+  }
 
-})(window);
+})(typeof window !== "undefined" ? window : globalThis);
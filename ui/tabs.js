@@ -0,0 +1,455 @@
+/* tabs.js -- one gateway connection shared by every open tab
+ *
+ * TabGateway has the Gateway API, but only one tab -- the leader -- opens
+ * the WebSocket. The leader is whichever tab holds the "openclaw-gateway"
+ * Web Lock; when it closes, the browser hands the lock to the next tab.
+ * Over a BroadcastChannel the leader fans hello, events and closes out to
+ * the other tabs and runs their requests for them. broadcast() / onTab
+ * carry the UI's own messages between tabs.
+ *
+ * A tab replaying a capture steps off the shared connection until
+ * reconnect(), handing it on first if it held it.
+ *
+ * Without BroadcastChannel or Web Locks each tab keeps its own connection.
+ * No template literals per project convention
+ * Depends on: gateway.js
+ */
+
+(function (root) {
+  "use strict";
+
+  var Gateway = root.Gateway || require("./gateway.js");
+  var GatewayError = Gateway.GatewayError;
+
+  var CHANNEL_NAME = "openclaw-gateway";
+  var LOCK_NAME = "openclaw-gateway";
+  var DEFAULT_TIMEOUT_MS = 30000;  // same as gateway.js
+  var REQUEST_SLACK_MS = 1000;     // a follower waits this much past the leader's timeout
+
+  // ── helpers ──────────────────────────────────────────────
+
+  function newId() {
+    return Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 10);
+  }
+
+  // ── constructor ──────────────────────────────────────────
+  // opts: everything Gateway takes, plus
+  //   onTab  called with what another tab passed to broadcast()
+
+  function TabGateway(opts) {
+    var self = this;
+    this._opts = opts;
+    this._onTab = opts.onTab || null;
+    this._logger = opts.logger || console;
+    this._id = newId();
+    this._leader = false;
+    this._leaderId = null;
+    this._started = false;
+    this._stopped = false;        // stop() from any tab, until reconnect()
+    this._detached = false;       // replaying a capture, until reconnect()
+    this._release = null;         // lets go of the lock (leader)
+    this._status = null;          // the leader's, as last heard (followers)
+    this._lastHello = null;       // our own Gateway's (leader)
+    this._helloSeen = false;      // from either role
+    this._helloFrom = null;       // tab whose hello we last took
+    this._pending = {};           // requests sent to the leader
+
+    var inner = {};
+    for (var k in opts) {
+      if (Object.prototype.hasOwnProperty.call(opts, k)) inner[k] = opts[k];
+    }
+    inner.onHello = function (hello) { self._ownHello(hello); };
+    inner.onEvent = function (evt) { self._own("event", { evt: evt }, opts.onEvent, evt); };
+    inner.onGap = function (info) { self._own("gap", { info: info }, opts.onGap, info); };
+    inner.onPairing = function (info) { self._own("pairing", { info: info }, opts.onPairing, info); };
+    inner.onClose = function (info) { self._own("close", { info: info }, opts.onClose, info); };
+    this._gw = new Gateway(inner);
+
+    var nav = root.navigator;
+    this._locks = nav && nav.locks ? nav.locks : null;
+    this._channel = null;
+    if (root.BroadcastChannel && this._locks) {
+      this._channel = new root.BroadcastChannel(CHANNEL_NAME);
+      this._channel.onmessage = function (ev) { self._receive(ev.data || {}); };
+      if (root.addEventListener) {
+        root.addEventListener("pagehide", function () {
+          if (self._leader) self._post({ type: "bye" });
+        });
+      }
+      // a leader answers with its hello, so this tab can join in
+      this._post({ type: "who" });
+    }
+  }
+
+  // ── public api ───────────────────────────────────────────
+
+  // joins the election; the tab that wins connects
+  TabGateway.prototype.start = function () {
+    if (!this._channel) return this._gw.start();
+    if (this._started) return;
+    this._started = true;
+    var self = this;
+    this._locks.request(LOCK_NAME, function () {
+      // granted in the middle of a replay: pass it straight on
+      if (self._detached) {
+        self._started = false;
+        return;
+      }
+      self._lead();
+      // held until the tab closes or resigns for a replay
+      return new Promise(function (resolve) { self._release = resolve; });
+    });
+  };
+
+  // stop and reconnect act on the shared connection, from any tab; the
+  // local Gateway is stopped too, which ends a replay in this tab
+  TabGateway.prototype.stop = function () {
+    this._stopped = true;
+    this._gw.stop();
+    this._call("stop");
+  };
+
+  TabGateway.prototype.reconnect = function () {
+    this._stopped = false;
+    if (!this._channel) return this._gw.reconnect();
+    var detached = this._detached;
+    this._detached = false;
+    if (this._leader) {
+      this._call("reconnect");
+      return this._gw.reconnect();
+    }
+    this._gw.stop();
+    if (!this._started) this.start();
+    // back from a replay: pick the shared connection up as it is
+    if (detached) this._post({ type: "who" });
+    else this._call("reconnect");
+  };
+
+  // credentials live in every tab's Gateway, for whichever leads next
+  TabGateway.prototype.setToken = function (token) {
+    this._gw.setToken(token);
+    this._call("setToken", [token]);
+  };
+
+  TabGateway.prototype.forgetDevice = function () {
+    this._gw.forgetDevice();
+    this._call("forgetDevice");
+  };
+
+  TabGateway.prototype.request = function (method, params, opts) {
+    if (this._local()) return this._gw.request(method, params, opts);
+    return this._proxy(method, params, opts || {});
+  };
+
+  TabGateway.prototype.connected = function () {
+    if (this._local()) return this._gw.connected();
+    return !!(this._status && this._status.connected);
+  };
+
+  TabGateway.prototype.authFailed = function () {
+    if (this._local()) return this._gw.authFailed();
+    return !!(this._status && this._status.authFailed);
+  };
+
+  TabGateway.prototype.deviceId = function () {
+    if (this._local()) return this._gw.deviceId();
+    return this._status ? this._status.deviceId : null;
+  };
+
+  TabGateway.prototype.paired = function () {
+    return this._gw.paired();
+  };
+
+  // a follower shows the leader's last snapshot and asks for a fresh one
+  TabGateway.prototype.diagnostics = function () {
+    var diag;
+    if (this._local() || !this._status) {
+      diag = this._gw.diagnostics();
+    } else {
+      diag = this._status.diagnostics;
+      this._post({ type: "status?", to: this._leaderId });
+    }
+    diag.tab = {
+      role: !this._channel ? "standalone" : this._leader ? "leader" : "follower",
+      id: this._id,
+      leader: this._leaderId
+    };
+    return diag;
+  };
+
+  TabGateway.prototype.isLeader = function () {
+    return !this._channel || this._leader;
+  };
+
+  // hand data to the other tabs' onTab
+  TabGateway.prototype.broadcast = function (data) {
+    if (this._channel && !this._detached) this._post({ type: "tab", data: data });
+  };
+
+  // capture and replay stay in this tab; frames are only seen by the leader
+  TabGateway.prototype.frames = function () { return this._gw.frames(); };
+  TabGateway.prototype.clearFrames = function () { this._gw.clearFrames(); };
+  TabGateway.prototype.capture = function () { return this._gw.capture(); };
+  TabGateway.prototype.replaying = function () { return this._gw.replaying(); };
+
+  // a replay takes this tab off the shared connection until reconnect();
+  // a leader first hands the connection to another tab
+  TabGateway.prototype.replay = function (capture, opts) {
+    if (this._channel) {
+      if (this._leader) this._resign();
+      this._detached = true;
+    }
+    return this._gw.replay(capture, opts);
+  };
+
+  // ── internal ─────────────────────────────────────────────
+
+  // our own Gateway answers: no channel, leading, or off for a replay
+  TabGateway.prototype._local = function () {
+    return !this._channel || this._leader || this._detached;
+  };
+
+  TabGateway.prototype._post = function (msg) {
+    msg.from = this._id;
+    try { this._channel.postMessage(msg); } catch (err) {
+      this._logger.error("[tabs] post failed:", err);
+    }
+  };
+
+  TabGateway.prototype._call = function (method, args) {
+    if (this._channel) this._post({ type: "call", method: method, args: args || [] });
+  };
+
+  TabGateway.prototype._statusNow = function () {
+    return {
+      connected: this._gw.connected(),
+      authFailed: this._gw.authFailed(),
+      deviceId: this._gw.deviceId(),
+      diagnostics: this._gw.diagnostics()
+    };
+  };
+
+  TabGateway.prototype._lead = function () {
+    this._logger.log("[tabs] this tab holds the gateway connection");
+    this._leader = true;
+    this._leaderId = this._id;
+    this._status = null;
+    // anything still out with the old leader went down with it
+    this._flushPending("gateway leader changed");
+    this._post({ type: "leader", status: this._statusNow() });
+    // signed out in some tab: wait for reconnect()
+    if (!this._stopped) this._gw.reconnect();
+  };
+
+  TabGateway.prototype._resign = function () {
+    this._logger.log("[tabs] handing the gateway connection to another tab");
+    this._post({ type: "bye" });
+    this._leader = false;
+    this._leaderId = null;
+    this._lastHello = null;
+    this._started = false;
+    var release = this._release;
+    this._release = null;
+    if (release) release();
+  };
+
+  // a callback from our own Gateway: run it here, and pass it on to the
+  // other tabs unless it comes from a local replay
+  TabGateway.prototype._own = function (type, msg, local, arg) {
+    if (local) local(arg);
+    if (!this._channel || !this._leader || this._gw.replaying()) return;
+    msg.type = type;
+    if (type === "close") msg.status = this._statusNow();
+    this._post(msg);
+  };
+
+  TabGateway.prototype._ownHello = function (hello) {
+    var opts = this._opts;
+    if (this._gw.replaying()) {
+      if (opts.onHello) opts.onHello(hello);
+      return;
+    }
+    this._takeHello(hello, this._id);
+    if (this._channel && this._leader) {
+      this._lastHello = hello;
+      this._post({ type: "hello", hello: hello, status: this._statusNow() });
+    }
+  };
+
+  // a hello from a different tab than last time (the leader moved) means
+  // events were missed in between, like a reconnect
+  TabGateway.prototype._takeHello = function (hello, from) {
+    var moved = this._helloSeen && this._helloFrom !== from;
+    this._helloSeen = true;
+    this._helloFrom = from;
+    if (this._opts.onHello) this._opts.onHello(hello);
+    if (moved && this._opts.onGap) this._opts.onGap({ reason: "reconnect" });
+  };
+
+  TabGateway.prototype._receive = function (msg) {
+    if (msg.to && msg.to !== this._id) return;
+    var opts = this._opts;
+
+    // asked of the leader
+    if (this._leader) {
+      if (msg.type === "who" || msg.type === "status?") {
+        var status = this._statusNow();
+        if (msg.type === "who" && status.connected && this._lastHello) {
+          this._post({ type: "hello", to: msg.from, hello: this._lastHello, status: status });
+        } else {
+          this._post({ type: "status", to: msg.from, status: status });
+        }
+      } else if (msg.type === "req") {
+        this._serve(msg);
+      }
+    }
+    if (msg.type === "call" && (msg.method === "stop" || msg.method === "reconnect")) {
+      this._stopped = msg.method === "stop";
+      if (this._leader) this._gw[msg.method]();
+      // a tab that never started (signed out at load) joins the election now
+      else if (msg.method === "reconnect" && !this._started && !this._detached) this.start();
+      return;
+    }
+    if (msg.type === "call" && (msg.method === "setToken" || msg.method === "forgetDevice")) {
+      this._gw[msg.method].apply(this._gw, msg.args || []);
+      return;
+    }
+    if (msg.type === "tab") {
+      // a replaying tab shows the capture, not what the live tabs do
+      if (this._onTab && !this._detached) this._onTab(msg.data);
+      return;
+    }
+    if (this._leader) return;
+
+    // heard by followers
+    if (msg.type === "leader" || msg.type === "status") {
+      this._leaderId = msg.from;
+      this._status = msg.status;
+    } else if (msg.type === "bye") {
+      if (msg.from === this._leaderId) this._leaderGone();
+    } else if (msg.type === "res") {
+      this._settle(msg);
+    } else if (this._detached) {
+      // a replay in this tab: live traffic would garble it
+    } else if (msg.type === "hello") {
+      this._leaderId = msg.from;
+      this._status = msg.status;
+      this._takeHello(msg.hello, msg.from);
+    } else if (msg.type === "event") {
+      if (opts.onEvent) opts.onEvent(msg.evt);
+    } else if (msg.type === "gap") {
+      if (opts.onGap) opts.onGap(msg.info);
+    } else if (msg.type === "pairing") {
+      if (opts.onPairing) opts.onPairing(msg.info);
+    } else if (msg.type === "close") {
+      this._status = msg.status;
+      if (opts.onClose) opts.onClose(msg.info);
+    }
+  };
+
+  // the leader's tab went away; another takes the lock and says hello
+  TabGateway.prototype._leaderGone = function () {
+    this._logger.log("[tabs] leader tab closed");
+    var wasConnected = this.connected();
+    this._leaderId = null;
+    this._status = null;
+    this._flushPending("gateway leader tab closed");
+    if (wasConnected && this._opts.onClose) {
+      this._opts.onClose({ code: 1001, reason: "leader tab closed", authFailed: false });
+    }
+  };
+
+  // run a follower's request on our connection and post the outcome back
+  TabGateway.prototype._serve = function (msg) {
+    var self = this;
+    // the replay's canned answers are not for other tabs
+    if (this._gw.replaying()) {
+      this._post({ type: "res", to: msg.from, id: msg.id, ok: false, error: { code: "disconnected", message: "gateway not connected" } });
+      return;
+    }
+    this._gw.request(msg.method, msg.params, { timeoutMs: msg.timeoutMs }).then(function (payload) {
+      self._post({ type: "res", to: msg.from, id: msg.id, ok: true, payload: payload });
+    }, function (err) {
+      self._post({
+        type: "res",
+        to: msg.from,
+        id: msg.id,
+        ok: false,
+        error: { code: err.code || "server", message: err.message, details: err.details || null }
+      });
+    });
+  };
+
+  TabGateway.prototype._proxy = function (method, params, opts) {
+    var self = this;
+    var signal = opts.signal || null;
+    if (signal && signal.aborted) {
+      return Promise.reject(new GatewayError("aborted", method + " aborted"));
+    }
+    if (!this._leaderId || !this.connected()) {
+      return Promise.reject(new GatewayError("disconnected", "gateway not connected"));
+    }
+    var id = newId();
+    var timeoutMs = typeof opts.timeoutMs === "number" ? opts.timeoutMs : DEFAULT_TIMEOUT_MS;
+
+    var promise = new Promise(function (resolve, reject) {
+      var entry = { resolve: resolve, reject: reject, timer: null, onAbort: null };
+
+      entry.settle = function () {
+        if (entry.timer !== null) clearTimeout(entry.timer);
+        if (entry.onAbort) signal.removeEventListener("abort", entry.onAbort);
+        delete self._pending[id];
+      };
+
+      // the leader keeps running an aborted or timed-out request; its
+      // answer then finds nothing waiting and is dropped
+      if (timeoutMs > 0) {
+        entry.timer = setTimeout(function () {
+          entry.settle();
+          reject(new GatewayError("timeout", method + " timed out after " + timeoutMs + "ms"));
+        }, timeoutMs + REQUEST_SLACK_MS);
+      }
+      if (signal) {
+        entry.onAbort = function () {
+          entry.settle();
+          reject(new GatewayError("aborted", method + " aborted"));
+        };
+        signal.addEventListener("abort", entry.onAbort);
+      }
+      self._pending[id] = entry;
+    });
+    this._post({ type: "req", to: this._leaderId, id: id, method: method, params: params, timeoutMs: timeoutMs });
+    return promise;
+  };
+
+  TabGateway.prototype._settle = function (msg) {
+    var p = this._pending[msg.id];
+    if (!p) return;
+    p.settle();
+    if (msg.ok) {
+      p.resolve(msg.payload);
+    } else {
+      var err = msg.error || {};
+      p.reject(new GatewayError(err.code || "server", err.message || "request failed", err.details));
+    }
+  };
+
+  TabGateway.prototype._flushPending = function (reason) {
+    var pending = this._pending;
+    this._pending = {};
+    for (var id in pending) {
+      if (!Object.prototype.hasOwnProperty.call(pending, id)) continue;
+      pending[id].settle();
+      pending[id].reject(new GatewayError("disconnected", reason));
+    }
+  };
+
+  // ── export ───────────────────────────────────────────────
+
+  if (typeof module === "object" && module.exports) {
+    module.exports = TabGateway;
+  } else {
+    root.TabGateway = TabGateway;
+  }
+
+})(typeof window !== "undefined" ? window : globalThis);